@@ -0,0 +1,28 @@
+/**
+ * Script to check company matching of the default exclusion rules against company_match_corpus.json
+ * Each corpus entry names a company and the rule expected to exclude it (null = the company is kept).
+ * Run with: npm run check:company-matching
+ */
+
+import { readFileSync } from 'fs';
+import { createExclusionRules } from './src/exclusion_rules.js';
+
+const corpus = JSON.parse(readFileSync(new URL('./company_match_corpus.json', import.meta.url), 'utf8'));
+const rules = createExclusionRules();
+
+let failures = 0;
+for (const { company, rule: expectedRule } of corpus) {
+    const job = { title: 'Executive Chef', company, description: '' };
+    const exclusion = rules.check(job, { stage: 'search', provider: 'google' }) || rules.check(job, { stage: 'process', provider: 'google' });
+    const actualRule = exclusion ? exclusion.rule : null;
+
+    if (actualRule === expectedRule) {
+        console.log(`ok   "${company}" -> ${actualRule || 'kept'}`);
+    } else {
+        failures++;
+        console.log(`FAIL "${company}" -> ${actualRule ? `${actualRule} (matched "${exclusion.match}")` : 'kept'}, expected ${expectedRule || 'kept'}`);
+    }
+}
+
+console.log(`\n${corpus.length - failures} of ${corpus.length} companies matched as expected`);
+process.exitCode = failures > 0 ? 1 : 0;
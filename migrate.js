@@ -0,0 +1,52 @@
+/**
+ * Script to migrate the database schema with the files in migrations/
+ * Connects to DATABASE_URL. Run with:
+ *   npm run migrate                 apply every pending migration
+ *   npm run migrate -- up 3         apply pending migrations up to version 3
+ *   npm run migrate -- down         revert the newest applied migration
+ *   npm run migrate -- down 2       revert migrations newer than version 2 (0 reverts everything)
+ *   npm run migrate -- status       list migrations and when they were applied
+ */
+
+import pg from 'pg';
+import { runMigrations, rollbackMigrations, getMigrationStatus, getMigrationFileName } from './src/migrations.js';
+const { Pool } = pg;
+
+const [command = 'up', versionArg] = process.argv.slice(2);
+const version = versionArg === undefined ? null : parseInt(versionArg, 10);
+
+if (!['up', 'down', 'status'].includes(command) || Number.isNaN(version)) {
+    console.error('Usage: node migrate.js [up [version] | down [version] | status]');
+    process.exit(1);
+}
+
+const dbUrl = process.env.DATABASE_URL;
+if (!dbUrl) {
+    console.error('DATABASE_URL environment variable is not set');
+    process.exit(1);
+}
+
+const pool = new Pool({
+    connectionString: dbUrl.replace('DATABASE_URL=', ''),
+    ssl: {
+        rejectUnauthorized: false
+    }
+});
+
+try {
+    if (command === 'status') {
+        for (const migration of await getMigrationStatus(pool)) {
+            const appliedAt = migration.applied_at ? `applied ${new Date(migration.applied_at).toISOString()}` : 'pending';
+            console.log(`${getMigrationFileName(migration).padEnd(45)} ${appliedAt}`);
+        }
+    } else if (command === 'up') {
+        await runMigrations(pool, version === null ? {} : { targetVersion: version });
+    } else {
+        await rollbackMigrations(pool, version === null ? {} : { targetVersion: version });
+    }
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+} finally {
+    await pool.end();
+}
@@ -0,0 +1,3 @@
+-- Drops every job and contact the actor has saved
+DROP TABLE IF EXISTS culinary_contacts_google;
+DROP TABLE IF EXISTS culinary_jobs_google;
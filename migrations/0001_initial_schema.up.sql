@@ -0,0 +1,52 @@
+-- Jobs table and the per-job contacts table as the actor first created them.
+-- Databases created by earlier versions already have both tables; only the keys below are changed there.
+
+CREATE TABLE IF NOT EXISTS culinary_jobs_google (
+    id SERIAL PRIMARY KEY,
+    title VARCHAR(255) NOT NULL,
+    company VARCHAR(255) NOT NULL,
+    parent_company VARCHAR(255),
+    location VARCHAR(255),
+    salary VARCHAR(255),
+    contact_name VARCHAR(255),
+    contact_title VARCHAR(255),
+    email VARCHAR(255),
+    url TEXT,
+    job_details TEXT,
+    linkedin VARCHAR(255),
+    domain VARCHAR(255),
+    company_size VARCHAR(255),
+    date_added TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_updated TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    contacts_last_viewed TIMESTAMP WITH TIME ZONE,
+    parent_url TEXT,
+
+    CONSTRAINT culinary_jobs_google_title_company_key UNIQUE (title, company)
+);
+
+CREATE TABLE IF NOT EXISTS culinary_contacts_google (
+    id SERIAL PRIMARY KEY,
+    job_id INTEGER REFERENCES culinary_jobs_google(id) ON DELETE CASCADE,
+    name VARCHAR(255),
+    title VARCHAR(255),
+    email VARCHAR(255) NOT NULL,
+    date_added TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_updated TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT unique_google_contact_email UNIQUE (job_id, email)
+);
+
+-- Several postings of a job share its apply url, so the url is indexed but not unique
+ALTER TABLE culinary_jobs_google DROP CONSTRAINT IF EXISTS unique_job_url;
+ALTER TABLE culinary_jobs_google DROP CONSTRAINT IF EXISTS culinary_jobs_google_email_company_key;
+
+CREATE INDEX IF NOT EXISTS idx_google_url ON culinary_jobs_google(url);
+CREATE INDEX IF NOT EXISTS idx_google_company_name ON culinary_jobs_google(company);
+CREATE INDEX IF NOT EXISTS idx_google_job_title ON culinary_jobs_google(title);
+CREATE INDEX IF NOT EXISTS idx_google_date_added ON culinary_jobs_google(date_added);
+CREATE INDEX IF NOT EXISTS idx_google_domain ON culinary_jobs_google(domain);
+CREATE INDEX IF NOT EXISTS idx_google_parent_company ON culinary_jobs_google(parent_company);
+
+CREATE INDEX IF NOT EXISTS idx_google_contact_email ON culinary_contacts_google(email);
+CREATE INDEX IF NOT EXISTS idx_google_contact_job_id ON culinary_contacts_google(job_id);
+CREATE INDEX IF NOT EXISTS idx_google_contact_name ON culinary_contacts_google(name);
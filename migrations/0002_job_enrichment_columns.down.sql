@@ -0,0 +1,27 @@
+DROP INDEX IF EXISTS idx_google_posted_date;
+DROP INDEX IF EXISTS idx_google_benefits;
+DROP INDEX IF EXISTS idx_google_salary_annual_max;
+DROP INDEX IF EXISTS idx_google_location;
+DROP INDEX IF EXISTS idx_google_location_key;
+DROP INDEX IF EXISTS idx_google_search_location;
+
+ALTER TABLE culinary_jobs_google
+    DROP COLUMN IF EXISTS posted_date,
+    DROP COLUMN IF EXISTS apply_links,
+    DROP COLUMN IF EXISTS benefits,
+    DROP COLUMN IF EXISTS benefit_details,
+    DROP COLUMN IF EXISTS qualifications,
+    DROP COLUMN IF EXISTS responsibilities,
+    DROP COLUMN IF EXISTS no_degree_mentioned,
+    DROP COLUMN IF EXISTS salary_annual_min,
+    DROP COLUMN IF EXISTS salary_annual_max,
+    DROP COLUMN IF EXISTS location_city,
+    DROP COLUMN IF EXISTS location_region,
+    DROP COLUMN IF EXISTS location_country,
+    DROP COLUMN IF EXISTS location_postal_code,
+    DROP COLUMN IF EXISTS remote_type,
+    DROP COLUMN IF EXISTS location_key,
+    DROP COLUMN IF EXISTS search_location,
+    DROP COLUMN IF EXISTS sources,
+    DROP COLUMN IF EXISTS domain_confidence,
+    DROP COLUMN IF EXISTS domain_method;
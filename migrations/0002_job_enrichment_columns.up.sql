@@ -0,0 +1,29 @@
+-- Posted date, Google Jobs highlights, annual salary, normalized location, sources and website confidence
+
+ALTER TABLE culinary_jobs_google
+    ADD COLUMN IF NOT EXISTS posted_date TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS apply_links JSONB,
+    ADD COLUMN IF NOT EXISTS benefits JSONB,
+    ADD COLUMN IF NOT EXISTS benefit_details JSONB,
+    ADD COLUMN IF NOT EXISTS qualifications JSONB,
+    ADD COLUMN IF NOT EXISTS responsibilities JSONB,
+    ADD COLUMN IF NOT EXISTS no_degree_mentioned BOOLEAN,
+    ADD COLUMN IF NOT EXISTS salary_annual_min NUMERIC,
+    ADD COLUMN IF NOT EXISTS salary_annual_max NUMERIC,
+    ADD COLUMN IF NOT EXISTS location_city VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS location_region VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS location_country VARCHAR(2),
+    ADD COLUMN IF NOT EXISTS location_postal_code VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS remote_type VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS location_key VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS search_location VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS sources JSONB,
+    ADD COLUMN IF NOT EXISTS domain_confidence NUMERIC,
+    ADD COLUMN IF NOT EXISTS domain_method VARCHAR(20);
+
+CREATE INDEX IF NOT EXISTS idx_google_posted_date ON culinary_jobs_google(posted_date);
+CREATE INDEX IF NOT EXISTS idx_google_benefits ON culinary_jobs_google USING GIN (benefits);
+CREATE INDEX IF NOT EXISTS idx_google_salary_annual_max ON culinary_jobs_google(salary_annual_max);
+CREATE INDEX IF NOT EXISTS idx_google_location ON culinary_jobs_google(location_country, location_region, location_city);
+CREATE INDEX IF NOT EXISTS idx_google_location_key ON culinary_jobs_google(location_key);
+CREATE INDEX IF NOT EXISTS idx_google_search_location ON culinary_jobs_google(search_location);
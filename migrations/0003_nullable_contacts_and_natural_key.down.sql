@@ -0,0 +1,5 @@
+-- Restores the title + company key; fails if a job title is saved for the same company in two locations.
+-- Placeholder emails are not written back, so email stays nullable.
+ALTER TABLE culinary_jobs_google DROP CONSTRAINT IF EXISTS culinary_jobs_google_natural_key;
+ALTER TABLE culinary_jobs_google
+    ADD CONSTRAINT culinary_jobs_google_title_company_key UNIQUE (title, company);
@@ -0,0 +1,55 @@
+-- Jobs without a contact have NULL contact_name, contact_title and email instead of the placeholder
+-- "no-email-<title>_<location>@placeholder.com", and a job is identified by its title, company and location.
+-- Fails if two rows share a title, company and location; merge them and run the migration again.
+
+ALTER TABLE culinary_jobs_google ALTER COLUMN email DROP NOT NULL;
+
+UPDATE culinary_jobs_google
+SET email = NULL,
+    contact_name = NULLIF(contact_name, ''),
+    contact_title = NULLIF(contact_title, '')
+WHERE email LIKE 'no-email-%@placeholder.com';
+
+DO $$
+DECLARE
+    old_key RECORD;
+BEGIN
+    -- Versions before this migration may already have created the key
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint con
+        WHERE con.conname = 'culinary_jobs_google_natural_key'
+          AND con.conrelid = 'culinary_jobs_google'::regclass
+    ) THEN
+        ALTER TABLE culinary_jobs_google
+            ADD CONSTRAINT culinary_jobs_google_natural_key UNIQUE (title, company, location);
+    END IF;
+
+    -- The title + company key rejected the same job title in a second city, and keys on the contact
+    -- email are what the placeholder emails were written to satisfy
+    FOR old_key IN
+        SELECT con.conname FROM pg_constraint con
+        WHERE con.conrelid = 'culinary_jobs_google'::regclass
+          AND con.contype = 'u'
+          AND con.conname <> 'culinary_jobs_google_natural_key'
+          AND (con.conname = 'culinary_jobs_google_title_company_key' OR EXISTS (
+              SELECT 1 FROM pg_attribute att
+              WHERE att.attrelid = con.conrelid AND att.attnum = ANY(con.conkey) AND att.attname = 'email'
+          ))
+    LOOP
+        EXECUTE format('ALTER TABLE culinary_jobs_google DROP CONSTRAINT %I', old_key.conname);
+    END LOOP;
+
+    FOR old_key IN
+        SELECT idx.relname FROM pg_index ind
+        JOIN pg_class idx ON idx.oid = ind.indexrelid
+        WHERE ind.indrelid = 'culinary_jobs_google'::regclass
+          AND ind.indisunique AND NOT ind.indisprimary
+          AND NOT EXISTS (SELECT 1 FROM pg_constraint con WHERE con.conindid = ind.indexrelid)
+          AND EXISTS (
+              SELECT 1 FROM pg_attribute att
+              WHERE att.attrelid = ind.indrelid AND att.attnum = ANY(ind.indkey) AND att.attname = 'email'
+          )
+    LOOP
+        EXECUTE format('DROP INDEX %I', old_key.relname);
+    END LOOP;
+END $$;
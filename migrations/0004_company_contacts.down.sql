@@ -0,0 +1,10 @@
+-- culinary_contacts_google is left as it was; contacts saved since the up migration are copied back to it,
+-- once per job they were linked to, before the per-company tables are dropped.
+INSERT INTO culinary_contacts_google (job_id, name, title, email, date_added, last_updated)
+SELECT jc.job_id, cc.name, cc.title, cc.email, cc.date_added, cc.last_updated
+FROM culinary_job_contacts_google jc
+JOIN culinary_company_contacts_google cc ON cc.id = jc.contact_id
+ON CONFLICT (job_id, email) DO NOTHING;
+
+DROP TABLE IF EXISTS culinary_job_contacts_google;
+DROP TABLE IF EXISTS culinary_company_contacts_google;
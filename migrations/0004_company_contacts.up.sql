@@ -0,0 +1,89 @@
+-- A company's contacts are stored once, keyed by the normalized company name and email, however many of
+-- its jobs they were found for; culinary_job_contacts_google links them to each job.
+
+CREATE TABLE IF NOT EXISTS culinary_company_contacts_google (
+    id SERIAL PRIMARY KEY,
+    company VARCHAR(255) NOT NULL,
+    company_key VARCHAR(255) NOT NULL,
+    domain VARCHAR(255),
+    name VARCHAR(255),
+    title VARCHAR(255),
+    role VARCHAR(30),
+    email VARCHAR(255) NOT NULL,
+    date_added TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_updated TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT culinary_company_contacts_google_company_email_key UNIQUE (company_key, email)
+);
+
+CREATE TABLE IF NOT EXISTS culinary_job_contacts_google (
+    job_id INTEGER NOT NULL REFERENCES culinary_jobs_google(id) ON DELETE CASCADE,
+    contact_id INTEGER NOT NULL REFERENCES culinary_company_contacts_google(id) ON DELETE CASCADE,
+    PRIMARY KEY (job_id, contact_id)
+);
+
+-- Grade (A-F) and flags from contact_quality.js
+ALTER TABLE culinary_company_contacts_google
+    ADD COLUMN IF NOT EXISTS quality_grade VARCHAR(1),
+    ADD COLUMN IF NOT EXISTS quality_flags JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_google_company_contact_domain ON culinary_company_contacts_google(domain);
+CREATE INDEX IF NOT EXISTS idx_google_company_contact_role ON culinary_company_contacts_google(role);
+CREATE INDEX IF NOT EXISTS idx_google_job_contact_contact_id ON culinary_job_contacts_google(contact_id);
+
+-- Copy the contacts saved per job before this migration. company_key follows normalizeCompanyName in
+-- src/job_dedup.js (accents and apostrophes dropped, "&" spelled out, legal and generic words removed
+-- unless nothing else is left); the newest name and title win when a company's jobs disagree. Roles
+-- and quality grades are filled in the next time the actor finds the contact.
+CREATE TEMP TABLE legacy_contacts ON COMMIT DROP AS
+SELECT
+    c.job_id,
+    c.email,
+    c.name,
+    c.title,
+    c.date_added,
+    c.last_updated,
+    j.company,
+    NULLIF(j.domain, '') AS domain,
+    regexp_split_to_array(trim(regexp_replace(
+        translate(replace(replace(lower(j.company), '&', ' and '), '''', ''),
+            'àáâãäåçèéêëìíîïñòóôõöùúûüýÿ’', 'aaaaaaceeeeiiiinooooouuuuyy'),
+        '[^a-z0-9]+', ' ', 'g')), ' ') AS words
+FROM culinary_contacts_google c
+JOIN culinary_jobs_google j ON j.id = c.job_id;
+
+ALTER TABLE legacy_contacts ADD COLUMN company_key VARCHAR(255);
+
+UPDATE legacy_contacts
+SET company_key = COALESCE(
+    NULLIF(array_to_string(ARRAY(
+        SELECT word FROM unnest(words) WITH ORDINALITY AS w(word, position)
+        WHERE word <> ALL (ARRAY[
+            'the', 'inc', 'llc', 'llp', 'lp', 'pllc', 'ltd', 'co', 'corp', 'corporation', 'company', 'group',
+            'restaurant', 'restaurants', 'hospitality', 'holdings', 'brands', 'international', 'enterprises',
+            'management', 'concepts'
+        ])
+        ORDER BY position
+    ), ' '), ''),
+    array_to_string(words, ' ')
+);
+
+INSERT INTO culinary_company_contacts_google (company, company_key, domain, name, title, email, date_added, last_updated)
+SELECT DISTINCT ON (company_key, email)
+    company,
+    company_key,
+    domain,
+    name,
+    title,
+    email,
+    MIN(date_added) OVER (PARTITION BY company_key, email),
+    last_updated
+FROM legacy_contacts
+ORDER BY company_key, email, last_updated DESC NULLS LAST
+ON CONFLICT (company_key, email) DO NOTHING;
+
+INSERT INTO culinary_job_contacts_google (job_id, contact_id)
+SELECT l.job_id, cc.id
+FROM legacy_contacts l
+JOIN culinary_company_contacts_google cc ON cc.company_key = l.company_key AND cc.email = l.email
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,203 @@
+/**
+ * Apply link ranking
+ * Google Jobs lists every site a job is posted on in apply_links. These helpers label each link
+ * (employer site, applicant tracking system, other careers site, aggregator) and rank them so the
+ * employer's own careers page is used as the canonical url instead of a job board.
+ */
+
+import { EXCLUDED_JOB_DOMAINS, EXCLUDED_COMPANY_NAMES } from './bing_search_api.js';
+import { EXCLUDED_DOMAINS, getDomainFromUrl } from './search_api.js';
+import { createCompanyMatcher } from './company_matcher.js';
+
+// Applicant tracking systems that host an employer's own postings
+const ATS_DOMAINS = [
+    'smartrecruiters.com', 'myworkdayjobs.com', 'workday.com', 'icims.com', 'greenhouse.io',
+    'lever.co', 'jobvite.com', 'paycomonline.net', 'paylocity.com', 'ultipro.com', 'ukg.com',
+    'taleo.net', 'successfactors.com', 'adp.com', 'workable.com', 'bamboohr.com',
+    'applytojob.com', 'harri.com', 'hirebridge.com', 'peopleadmin.com'
+];
+
+// Words too common in company names to identify an employer's domain
+const GENERIC_COMPANY_WORDS = [
+    'the', 'and', 'inc', 'llc', 'ltd', 'corp', 'company', 'group', 'restaurant', 'restaurants',
+    'hospitality', 'hotel', 'hotels', 'resort', 'resorts', 'management', 'services', 'concepts',
+    'kitchen', 'grill', 'bar', 'cafe', 'club', 'holdings', 'brands', 'international'
+];
+
+// Aggregators: the job board lists from the Bing and website searches
+const AGGREGATOR_DOMAINS = Array.from(new Set([...EXCLUDED_JOB_DOMAINS, ...EXCLUDED_DOMAINS]));
+
+// Apply link sources are site names ("Indeed", "Monster.com", "Hays"). A source is an aggregator's when it is the
+// whole name, so an employer's own "Hays House Careers" isn't taken for the recruiter "Hays"
+const SITE_SUFFIX_PATTERN = /\.(com|net|org|io|co)\b/gi;
+const AGGREGATOR_SOURCES = createCompanyMatcher(
+    EXCLUDED_COMPANY_NAMES.map(name => name.replace(SITE_SUFFIX_PATTERN, '')),
+    'exact'
+);
+
+// Ranking score for each kind of link; higher wins. ATS links naming the company in the URL
+// (e.g., jobs.smartrecruiters.com/HillstoneRestaurantGroup/...) get one point extra.
+const LINK_KIND_SCORES = {
+    employer: 4,
+    ats: 2,
+    careers: 2,
+    other: 1,
+    aggregator: 0
+};
+
+// Careers and other sites that don't name the company are usually another employer's listing that
+// Google merged into this job (a Dunkin' careers page on a Habit Burger job), so they rank below aggregators
+const UNRELATED_LINK_SCORE = -1;
+const COMPANY_CHECKED_KINDS = ['careers', 'other'];
+
+/**
+ * Checks if a domain is (a subdomain of) one of the listed domains
+ * @param {string} domain - Domain to check
+ * @param {Array<string>} domains - Domain list
+ * @returns {boolean} - True if the domain is in the list
+ */
+function isDomainInList(domain, domains) {
+    return domains.some(listed => domain === listed || domain.endsWith(`.${listed}`));
+}
+
+/**
+ * Gets the words of a company name that can identify its domain
+ * @param {string} company - Company name
+ * @returns {Array<string>} - Lowercase tokens, including the whole name joined together
+ */
+function getCompanyTokens(company) {
+    if (!company || /^unknown/i.test(company)) return [];
+
+    const words = company.toLowerCase().replace(/['’]/g, '').split(/[^a-z0-9]+/).filter(Boolean);
+    const tokens = words.filter(word => word.length >= 3 && !GENERIC_COMPANY_WORDS.includes(word));
+
+    const joined = words.join('');
+    if (joined.length >= 4 && !tokens.includes(joined)) {
+        tokens.unshift(joined);
+    }
+
+    return tokens;
+}
+
+/**
+ * Classifies a single apply link
+ * Google often merges listings from several employers, so a careers site is only treated as the
+ * employer's when its domain matches the company name or website.
+ * @param {Object} applyLink - Apply link ({ link, source })
+ * @param {Array<string>} companyTokens - Tokens from getCompanyTokens
+ * @param {string} companyDomain - Company website domain, if known
+ * @returns {string} - employer, ats, careers, aggregator or other
+ */
+function classifyApplyLink(applyLink, companyTokens, companyDomain = null) {
+    const domain = getDomainFromUrl(applyLink.link) || '';
+    const source = (applyLink.source || '').toLowerCase();
+    const compactDomain = domain.replace(/[^a-z0-9]/g, '');
+
+    if (isDomainInList(domain, AGGREGATOR_DOMAINS) ||
+        AGGREGATOR_SOURCES.match(source.replace(SITE_SUFFIX_PATTERN, ''))) {
+        return 'aggregator';
+    }
+
+    if (companyDomain && (domain === companyDomain || domain.endsWith(`.${companyDomain}`))) {
+        return 'employer';
+    }
+
+    if (isDomainInList(domain, ATS_DOMAINS)) {
+        return 'ats';
+    }
+
+    if (companyTokens.some(token => compactDomain.includes(token))) {
+        return 'employer';
+    }
+
+    // Careers sites that don't name the company (e.g., "FoxRC Careers Home Apply")
+    if (/career/.test(domain) || /\bcareers?\b/.test(source)) {
+        return 'careers';
+    }
+
+    return 'other';
+}
+
+/**
+ * Ranks a job's apply links: employer sites, applicant tracking systems naming the company,
+ * other ATS and careers sites, other sites, aggregators, and careers or other sites that
+ * don't name the company last
+ * Links of the same kind keep Google's order.
+ * @param {Object} job - Job object (apply_link, apply_links, company, company_domain, source)
+ * @returns {Array<Object>} - Ranked links ({ link, source, domain, kind, mentions_company })
+ */
+function rankApplyLinks(job) {
+    const candidates = Array.isArray(job.apply_links) && job.apply_links.length > 0
+        ? job.apply_links
+        : (job.apply_link ? [{ link: job.apply_link, source: job.source }] : []);
+
+    const companyTokens = getCompanyTokens(job.company);
+    const mentionsCompany = text => {
+        const compactText = (text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+        return companyTokens.some(token => compactText.includes(token));
+    };
+    const seen = new Set();
+    const ranked = [];
+
+    candidates.forEach((applyLink, index) => {
+        if (!applyLink || !applyLink.link || seen.has(applyLink.link)) return;
+        seen.add(applyLink.link);
+
+        const kind = classifyApplyLink(applyLink, companyTokens, job.company_domain);
+        const domain = getDomainFromUrl(applyLink.link);
+        const linkMentionsCompany = kind === 'employer' ||
+            mentionsCompany(domain) || mentionsCompany(applyLink.source);
+
+        let score = LINK_KIND_SCORES[kind];
+        if (kind === 'ats' && mentionsCompany(applyLink.link)) {
+            score += 1;
+        } else if (COMPANY_CHECKED_KINDS.includes(kind) && !linkMentionsCompany) {
+            score = UNRELATED_LINK_SCORE;
+        }
+
+        ranked.push({
+            link: applyLink.link,
+            source: applyLink.source || null,
+            domain,
+            kind,
+            mentions_company: linkMentionsCompany,
+            _score: score,
+            _index: index
+        });
+    });
+
+    ranked.sort((a, b) => (b._score - a._score) || (a._index - b._index));
+
+    return ranked.map(({ _score, _index, ...applyLink }) => applyLink);
+}
+
+/**
+ * Checks if a ranked link can be a job's canonical apply link
+ * Careers and other sites only qualify when they name the company.
+ * @param {Object} rankedLink - Link from rankApplyLinks
+ * @returns {boolean} - True if the link can be used as the canonical link
+ */
+function isCanonicalCandidate(rankedLink) {
+    return !COMPANY_CHECKED_KINDS.includes(rankedLink.kind) || rankedLink.mentions_company;
+}
+
+/**
+ * Picks the canonical apply link for a job
+ * @param {Array<Object>} rankedLinks - Links from rankApplyLinks
+ * @param {string} fallbackLink - Link to use when no ranked link qualifies (Google's apply_link)
+ * @returns {string|null} - Canonical link
+ */
+function pickCanonicalApplyLink(rankedLinks, fallbackLink = null) {
+    const best = rankedLinks.find(isCanonicalCandidate);
+    return best ? best.link : fallbackLink;
+}
+
+export {
+    rankApplyLinks,
+    pickCanonicalApplyLink,
+    classifyApplyLink,
+    getCompanyTokens,
+    isDomainInList,
+    ATS_DOMAINS,
+    AGGREGATOR_DOMAINS
+};
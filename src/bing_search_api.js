@@ -3,110 +3,21 @@
  * Searches for job listings using Bing search and extracts job information
  */
 
-/**
- * List of domains to exclude from job search results
- * These are major job boards and sites that aggregate jobs rather than direct employers
- */
-const EXCLUDED_JOB_DOMAINS = [
-    // Major Job Boards (Indeed removed to allow Indeed listings)
-    'linkedin.com', 'glassdoor.com', 'ziprecruiter.com',
-    'monster.com', 'careerbuilder.com', 'simplyhired.com', 'snagajob.com',
-    'joblist.com', 'jobrapido.com', 'ihirechefs.com', 'chefjobsnetwork.com',
-    
-    // Recruiting/Staffing Sites
-    'randstad.com', 'adecco.com', 'manpower.com', 'kellyservices.com',
-    'robertwalters.com', 'hays.com', 'michaelpage.com',
-    
-    // General directories and listing sites
-    'yellowpages.com', 'whitepages.com', 'superpages.com',
-    'manta.com', 'bbb.org', 'yelp.com', 'google.com',
-
-    // Fast food chains (excluded to focus on professional culinary positions)
-    'mcdonalds.com'
-];
-
-/**
- * List of company names to exclude from job search results
- * These are job boards, recruiting companies, and aggregators that appear as company names
- */
+import { getSearchMode } from './search_recorder.js';
+import { searchApiRequest } from './searchapi_client.js';
+import { parseSalary } from './salary_parser.js';
+import { getCountryConfig, getRegionCode } from './country_config.js';
+import { createExclusionRules, checkExclusionRules, DEFAULT_EXCLUSION_RULES } from './exclusion_rules.js';
+import { recordExclusion } from './exclusion_audit.js';
+
+// Job boards, staffing sites and directories, and the job boards, aggregators and staffing companies that show up as company names
+// (from the default exclusion rules; also used to exclude job boards from Bing queries and to rank apply links)
+const defaultRules = createExclusionRules(DEFAULT_EXCLUSION_RULES);
+const EXCLUDED_JOB_DOMAINS = defaultRules.getTerms('job_board_domains', 'domain');
 const EXCLUDED_COMPANY_NAMES = [
-    // Job Boards (as company names)
-    'indeed', 'linkedin', 'glassdoor', 'ziprecruiter', 'monster', 'careerbuilder',
-    'simplyhired', 'snagajob', 'job.com', 'ladders', 'getwork', 'bebee',
-    'diversityjobs', 'ihirechefs', 'chefjobsnetwork', 'hcareers',
-
-    // Recruiting/Staffing Companies
-    'aramark', 'robert half', 'roberthalf', 'randstad', 'adecco', 'manpower', 'kelly services',
-    'kellyservices', 'robert walters', 'robertwalters', 'hays', 'michael page',
-    'michaelpage', 'gecko hospitality', 'geckohospitality', 'hospitality confidential', 'hospitalityconfidential',
-
-    // Craigslist variants (any domain or company name containing these)
-    'craigslist', 'craiglist', 'craig list', 'craigs list', 'craig\'s list',
-    'detroit.craigslist', 'newyork.craigslist', 'chicago.craigslist', 'losangeles.craigslist',
-
-    // Other aggregators and job sites
-    'culinary agents', 'hospitality online', 'chicagotribune', 'thechefagency',
-    'the chef agency', 'maggianosjobs', 'flagshiprestaurantgroup', 'hrmdirect',
-
-    // Fast food chains (excluded to focus on professional culinary positions)
-    'mcdonalds', 'mcdonald\'s', 'mcdonald', 'mc donalds'
-];
-
-/**
- * Checks if a URL should be excluded from job search results
- * @param {string} url - The URL to check
- * @returns {boolean} - True if the URL should be excluded
- */
-function shouldExcludeJobUrl(url) {
-    if (!url) return false;
-
-    const lowerUrl = url.toLowerCase();
-
-    return EXCLUDED_JOB_DOMAINS.some(domain => {
-        return lowerUrl.includes(domain);
-    });
-}
-
-/**
- * Checks if a company name should be excluded from job search results
- * @param {string} companyName - The company name to check
- * @returns {boolean} - True if the company should be excluded
- */
-function shouldExcludeCompany(companyName) {
-    if (!companyName) return false;
-
-    const lowerCompany = companyName.toLowerCase();
-
-    return EXCLUDED_COMPANY_NAMES.some(excludedName => {
-        return lowerCompany.includes(excludedName);
-    });
-}
-
-/**
- * Checks if a job should be excluded because it's hourly/per hour work
- * @param {Object} result - The search result object with title and snippet
- * @returns {boolean} - True if the job should be excluded (is hourly)
- */
-function shouldExcludeHourlyJob(result) {
-    if (!result) return false;
-
-    const textToCheck = `${result.title || ''} ${result.snippet || ''}`.toLowerCase();
-
-    // Patterns that indicate hourly work
-    const hourlyPatterns = [
-        'per hour',
-        'hourly rate',
-        'hourly wage',
-        'hourly pay',
-        '/hour',
-        '/hr',
-        'hour rate',
-        'hour wage',
-        'hour pay'
-    ];
-
-    return hourlyPatterns.some(pattern => textToCheck.includes(pattern));
-}
+    ...defaultRules.getTerms('job_board_companies', 'company'),
+    ...defaultRules.getTerms('recruiting_companies', 'company')
+].map(name => name.toLowerCase());
 
 /**
  * Extracts job title from search result title
@@ -229,29 +140,46 @@ function extractCompanyName(result) {
 
 /**
  * Extracts location from search result snippet or title
+ * Recognizes "City, XX" with the country's state/province codes, "City, Province" with the full
+ * region name (returned as "City, XX"), and the country's well-known cities.
  * @param {Object} result - The search result object
  * @param {string} searchLocation - The location used in the search query
+ * @param {string} country - Country searched (e.g., "us", "ca")
  * @returns {string} - Extracted location
  */
-function extractLocation(result, searchLocation) {
+function extractLocation(result, searchLocation, country = 'us') {
     if (!result) return searchLocation || 'Unknown Location';
-    
-    const text = `${result.title || ''} ${result.snippet || ''}`.toLowerCase();
-    
-    // Common location patterns
-    const locationPatterns = [
-        /(?:in|at|located in)\s+([^,\n.]+(?:,\s*[A-Z]{2})?)/i,
-        /([A-Za-z\s]+,\s*[A-Z]{2})\s*(?:\d{5})?/,
-        /(new york|los angeles|chicago|houston|phoenix|philadelphia|san antonio|san diego|dallas|san jose|austin|jacksonville|fort worth|columbus|charlotte|san francisco|indianapolis|seattle|denver|washington|boston|el paso|detroit|nashville|portland|memphis|oklahoma city|las vegas|louisville|baltimore|milwaukee|albuquerque|tucson|fresno|sacramento|mesa|kansas city|atlanta|long beach|colorado springs|raleigh|miami|virginia beach|omaha|oakland|minneapolis|tulsa|arlington|new orleans|wichita|cleveland|tampa|bakersfield|aurora|honolulu|anaheim|santa ana|corpus christi|riverside|lexington|stockton|toledo|st\. paul|newark|greensboro|plano|henderson|lincoln|buffalo|jersey city|chula vista|fort wayne|orlando|st\. petersburg|chandler|laredo|norfolk|durham|madison|lubbock|irvine|winston-salem|glendale|garland|hialeah|reno|chesapeake|gilbert|baton rouge|irving|scottsdale|north las vegas|fremont|boise|richmond|san bernardino|birmingham|spokane|rochester|des moines|modesto|fayetteville|tacoma|oxnard|fontana|columbus|montgomery|moreno valley|shreveport|aurora|yonkers|akron|huntington beach|little rock|augusta|amarillo|glendale|mobile|grand rapids|salt lake city|tallahassee|huntsville|grand prairie|knoxville|worcester|newport news|brownsville|overland park|santa clarita|providence|garden grove|chattanooga|oceanside|jackson|fort lauderdale|santa rosa|rancho cucamonga|port st\. lucie|tempe|ontario|vancouver|cape coral|sioux falls|springfield|peoria|pembroke pines|elk grove|salem|lancaster|corona|eugene|palmdale|salinas|springfield|pasadena|fort collins|hayward|pomona|cary|rockford|alexandria|escondido|mckinney|kansas city|joliet|sunnyvale|torrance|bridgeport|lakewood|hollywood|paterson|naperville|syracuse|mesquite|dayton|savannah|clarksville|orange|pasadena|fullerton|killeen|frisco|hampton|mcallen|warren|west valley city|columbia|sterling heights|new haven|miramar|waco|thousand oaks|cedar rapids|charleston|sioux city|round rock|fargo|carrollton|roseville|concord|thornton|visalia|gainesville|olathe|denton|high point|richardson|pueblo|murfreesboro|lewisville|rochester|elgin|broken arrow|miami gardens|pearland|hartford|surprise|west jordan|college station|independence|clearwater|midland|inglewood|carlsbad|el monte|abilene|north charleston|berkeley|evansville|ann arbor|columbia|fairfield|vallejo|lansing|renton)/i
-    ];
-    
-    for (const pattern of locationPatterns) {
-        const match = text.match(pattern);
-        if (match) {
-            return match[1] || match[0];
-        }
+
+    const countryConfig = getCountryConfig(country);
+    const text = `${result.title || ''} ${result.snippet || ''}`;
+    const cityPattern = "([A-Z][A-Za-zÀ-ÿ.'-]*(?:[ -][A-Z][A-Za-zÀ-ÿ.'-]*){0,3})";
+
+    // "Toronto, ON" / "Austin, TX 78701"
+    const regionCodes = Object.keys(countryConfig.regions).join('|');
+    const codeMatch = text.match(new RegExp(`${cityPattern},\\s*(${regionCodes})\\b(?!\\.\\w)`));
+    if (codeMatch) {
+        return `${codeMatch[1]}, ${codeMatch[2]}`;
     }
-    
+
+    // "Halifax, Nova Scotia" -> "Halifax, NS" (accents optional, e.g. "Québec")
+    const regionNames = Object.values(countryConfig.regions)
+        .sort((a, b) => b.length - a.length)
+        .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/e/g, '[eé]'))
+        .join('|');
+    const nameMatch = text.match(new RegExp(`${cityPattern},\\s*(${regionNames})\\b`));
+    if (nameMatch) {
+        return `${nameMatch[1]}, ${getRegionCode(countryConfig, nameMatch[2])}`;
+    }
+
+    // Well-known cities mentioned without a region
+    const knownCities = countryConfig.knownCities
+        .map(city => city.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('|');
+    const cityMatch = text.match(new RegExp(`(?<![\\w-])(${knownCities})(?![\\w-])`, 'i'));
+    if (cityMatch) {
+        return cityMatch[1];
+    }
+
     // Return the search location as fallback
     return searchLocation || 'Unknown Location';
 }
@@ -259,30 +187,13 @@ function extractLocation(result, searchLocation) {
 /**
  * Extracts salary information from search result snippet
  * @param {Object} result - The search result object
- * @returns {string|null} - Extracted salary or null if not found
+ * @returns {string|null} - Salary text as written in the snippet (parsed later by the shared salary parser) or null if not found
  */
 function extractSalary(result) {
     if (!result || !result.snippet) return null;
-    
-    const text = result.snippet.toLowerCase();
-    
-    // Salary patterns
-    const salaryPatterns = [
-        /\$[\d,]+\s*-\s*\$[\d,]+/g, // $50,000 - $70,000
-        /\$[\d,]+\s*to\s*\$[\d,]+/g, // $50,000 to $70,000
-        /\$[\d,]+\s*\/\s*(?:year|yr|hour|hr)/g, // $50,000/year or $25/hour
-        /salary:\s*\$[\d,]+/gi, // Salary: $50,000
-        /pay:\s*\$[\d,]+/gi, // Pay: $50,000
-    ];
-    
-    for (const pattern of salaryPatterns) {
-        const matches = text.match(pattern);
-        if (matches && matches.length > 0) {
-            return matches[0];
-        }
-    }
-    
-    return null;
+
+    const salary = parseSalary(result.snippet, { requireContext: true });
+    return salary ? salary.text : null;
 }
 
 /**
@@ -290,12 +201,14 @@ function extractSalary(result) {
  * @param {string} query - The search query (e.g., "restaurant chef jobs")
  * @param {string} location - The location to search in (e.g., "New York NY")
  * @param {number} maxResults - Maximum number of results to return (default: 10)
+ * @param {string} country - Country searched (e.g., "us", "ca")
  * @returns {Promise<Array>} - Array of job objects
  */
-async function searchJobsWithBing(query, location = '', maxResults = 100) {
+async function searchJobsWithBing(query, location = '', maxResults = 100, country = 'us') {
     const apiKey = process.env.SEARCH_API_KEY;
+    const searchMode = getSearchMode();
 
-    if (!apiKey) {
+    if (!apiKey && searchMode !== 'replay') {
         console.warn('SEARCH_API_KEY environment variable not found. Skipping Bing search.');
         return [];
     }
@@ -307,6 +220,12 @@ async function searchJobsWithBing(query, location = '', maxResults = 100) {
             searchQuery += ` ${location}`;
         }
 
+        // Outside the US, name the country so Bing doesn't match a same-named US city (e.g., London ON)
+        const countryConfig = getCountryConfig(country);
+        if (countryConfig.code !== 'us' && !(location || '').match(countryConfig.countryNamePattern)) {
+            searchQuery += ` ${countryConfig.name}`;
+        }
+
         // Add terms to find job listings and exclude major job boards
         searchQuery += ' ("now hiring" OR "job opening" OR "career" OR "position" OR "employment")';
 
@@ -314,16 +233,13 @@ async function searchJobsWithBing(query, location = '', maxResults = 100) {
         const excludeTerms = EXCLUDED_JOB_DOMAINS.slice(0, 10).map(domain => `-site:${domain}`).join(' ');
         searchQuery += ` ${excludeTerms}`;
 
-        // Build the API URL
-        const searchUrl = `https://www.searchapi.io/api/v1/search?engine=bing&q=${encodeURIComponent(searchQuery)}&api_key=${apiKey}&num=${maxResults}`;
-
-        console.info(`BING SEARCH: Searching for "${searchQuery}"`);
+        if (searchMode !== 'replay') {
+            console.info(`BING SEARCH: Searching for "${searchQuery}"`);
+        }
 
-        const response = await fetch(searchUrl);
-        const data = await response.json();
+        const data = await searchApiRequest('bing', { q: searchQuery, num: maxResults });
 
-        if (!response.ok) {
-            console.error(`Bing Search API error: ${data.error || response.statusText}`);
+        if (!data) {
             return [];
         }
 
@@ -341,42 +257,23 @@ async function searchJobsWithBing(query, location = '', maxResults = 100) {
         for (let i = 0; i < data.organic_results.length; i++) {
             const result = data.organic_results[i];
 
-            // Skip excluded domains
-            if (shouldExcludeJobUrl(result.link)) {
-                console.info(`Skipping excluded domain result #${i+1}: ${result.link}`);
-                continue;
-            }
-
-            // Skip hourly jobs
-            if (shouldExcludeHourlyJob(result)) {
-                console.info(`Skipping hourly job result #${i+1}: "${result.title}" (contains hourly/per hour text)`);
-                continue;
-            }
-
             // Extract job information
             const jobTitle = extractJobTitle(result.title);
             const company = extractCompanyName(result);
-            const jobLocation = extractLocation(result, location);
+            const jobLocation = extractLocation(result, location, country);
             const salary = extractSalary(result);
 
-            // Skip if company is a job board or recruiting site
-            if (shouldExcludeCompany(company)) {
-                console.info(`Skipping excluded company result #${i+1}: "${company}" from ${result.link}`);
-                continue;
-            }
-
-            // Skip if company name is a salary-related word
-            if (isSalaryCompanyName(company)) {
-                console.info(`Skipping result #${i+1}: Company name is a salary-related word: "${company}" from ${result.link}`);
-                continue;
-            }
-
             // Debug: Log company name for troubleshooting
             console.info(`Company extracted: "${company}" from ${result.link}`);
 
             // Skip if we can't extract basic job info
             if (jobTitle === 'Unknown Position' && company === 'Unknown Company') {
                 console.info(`Skipping result #${i+1}: Unable to extract job info from "${result.title}"`);
+                recordExclusion(
+                    { title: result.title, company: null, location: jobLocation, search_location: location || null, apply_link: result.link },
+                    { rule: 'no_job_info', reason: 'no_job_info', field: 'title', match: result.title },
+                    { stage: 'search', provider: 'bing' }
+                );
                 continue;
             }
 
@@ -385,6 +282,7 @@ async function searchJobsWithBing(query, location = '', maxResults = 100) {
                 title: jobTitle,
                 company: company,
                 location: jobLocation,
+                search_location: location || null,
                 salary: salary,
                 apply_link: result.link,
                 description: result.snippet || '',
@@ -392,6 +290,15 @@ async function searchJobsWithBing(query, location = '', maxResults = 100) {
                 source: 'Bing Search'
             };
 
+            // Skip job boards, hourly roles, recruiters, etc. (checked against the full result title,
+            // which often carries the pay rate the extracted title drops)
+            const exclusion = checkExclusionRules({ ...job, title: result.title || job.title }, { stage: 'search', provider: 'bing', country });
+            if (exclusion) {
+                console.info(`Skipping result #${i+1}: "${result.title}" at "${company}" excluded by rule "${exclusion.rule}" (${exclusion.field} matched "${exclusion.match}") - ${result.link}`);
+                recordExclusion(job, exclusion, { stage: 'search', provider: 'bing' });
+                continue;
+            }
+
             jobs.push(job);
             console.info(`Extracted job #${i+1}: "${job.title}" at "${job.company}" - ${job.apply_link}`);
         }
@@ -400,6 +307,8 @@ async function searchJobsWithBing(query, location = '', maxResults = 100) {
         return jobs;
 
     } catch (error) {
+        // Quota/API key errors abort the whole run
+        if (error.fatal) throw error;
         console.error(`Error during Bing Search API call for "${query}": ${error.message}`);
         return [];
     }
@@ -434,10 +343,11 @@ function extractDomainFromUrl(url) {
  * @param {Array} queries - Array of search queries
  * @param {string} location - Location filter
  * @param {number} maxResults - Maximum results per query
- * @param {Map} existingJobs - Map of existing jobs to avoid duplicates
+ * @param {Object} existingJobs - Index of existing jobs to avoid duplicates (see createJobIndex)
+ * @param {string} country - Country searched (e.g., "us", "ca")
  * @returns {Promise<Array>} - Array of job objects
  */
-async function searchAllJobsWithBing(queries, location = '', maxResults = 100, existingJobs = null) {
+async function searchAllJobsWithBing(queries, location = '', maxResults = 100, existingJobs = null, country = 'us') {
     let allJobs = [];
     let skippedExistingJobs = 0;
 
@@ -457,7 +367,7 @@ async function searchAllJobsWithBing(queries, location = '', maxResults = 100, e
                 }
             }
 
-            const jobs = await searchJobsWithBing(query, searchLocation, maxResults);
+            const jobs = await searchJobsWithBing(query, searchLocation, maxResults, country);
 
             if (jobs.length === 0) {
                 console.info(`No jobs found for Bing query: "${query}"`);
@@ -469,16 +379,17 @@ async function searchAllJobsWithBing(queries, location = '', maxResults = 100, e
                 const newJobs = [];
 
                 for (const job of jobs) {
-                    // Create a key using title+company
-                    const key = `${job.title.toLowerCase()}|${job.company.toLowerCase()}`;
+                    // Match against existing jobs by normalized title/company, location and description
+                    const existingJob = existingJobs.findDuplicate(job);
 
-                    if (existingJobs.has(key)) {
+                    if (existingJob) {
                         // Job already exists in database, skip it
-                        console.info(`Skipping existing Bing job: "${job.title}" at "${job.company}" (already in database)`);
+                        console.info(`Skipping existing Bing job: "${job.title}" at "${job.company}" (already in database as "${existingJob.job.title}" at "${existingJob.job.company}")`);
                         skippedExistingJobs++;
 
-                        // Add a flag to indicate this job was skipped due to existing in DB
+                        // Add a flag to indicate this job was skipped due to existing in DB, and the row it matched
                         job._existsInDatabase = true;
+                        job.existing_job_id = existingJob.job.id;
 
                         // Still add to allJobs for tracking purposes
                         allJobs.push(job);
@@ -496,13 +407,9 @@ async function searchAllJobsWithBing(queries, location = '', maxResults = 100, e
                 console.info(`Bing query "${query}": Found ${jobs.length} jobs`);
             }
 
-            // Add delay between queries to avoid rate limiting
-            if (queries.indexOf(query) < queries.length - 1) {
-                console.info('Adding delay between Bing queries...');
-                await new Promise(resolve => setTimeout(resolve, 2000));
-            }
-
+            // Rate limiting between queries is handled by the shared request scheduler
         } catch (error) {
+            if (error.fatal) throw error;
             console.error(`Error processing Bing query "${query}": ${error.message}`);
         }
     }
@@ -514,9 +421,6 @@ async function searchAllJobsWithBing(queries, location = '', maxResults = 100, e
 export {
     searchJobsWithBing,
     searchAllJobsWithBing,
-    shouldExcludeJobUrl,
-    shouldExcludeCompany,
-    shouldExcludeHourlyJob,
     isSalaryCompanyName,
     extractJobTitle,
     extractCompanyName,
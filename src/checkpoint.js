@@ -0,0 +1,149 @@
+/**
+ * Checkpoint and resume support for long city-by-city runs
+ * Progress (query index, finished city/provider searches, page tokens of unfinished ones and the jobs
+ * already processed) is saved to the Apify key-value store so a restarted or migrated run picks up
+ * where it stopped. Pages are checkpointed at most once a minute, since every save rewrites the run's
+ * whole job index; a resumed run searches at most that last minute's pages again, and the jobs they
+ * find are already in the database.
+ */
+
+import { Actor } from 'apify';
+import crypto from 'crypto';
+
+const CHECKPOINT_KEY = 'RUN_CHECKPOINT';
+// Minimum time between checkpoints that aren't forced
+const CHECKPOINT_INTERVAL_MS = 60 * 1000;
+
+// Key-value store holding the checkpoint (the run's default store unless a named store is configured)
+let checkpointStore = null;
+let lastSavedAt = 0;
+
+/**
+ * Opens the key-value store used for checkpoints
+ * A named store survives across runs, so a new run can resume a previous run's progress.
+ * @param {string} storeName - Optional named key-value store
+ * @returns {Promise<void>}
+ */
+async function openCheckpointStore(storeName = '') {
+    checkpointStore = storeName
+        ? await Actor.openKeyValueStore(storeName)
+        : await Actor.openKeyValueStore();
+    console.info(`Using ${storeName ? `key-value store "${storeName}"` : 'default key-value store'} for checkpoints`);
+}
+
+/**
+ * Builds a fingerprint of the run configuration so a checkpoint is only reused by the same run plan
+ * @param {Object} plan - Run plan
+ * @param {Array<string>} plan.queries - Queries being processed
+ * @param {Array<string>} plan.locations - Locations being searched
+ * @param {Array<string>} plan.providers - Provider names being used
+ * @param {Object} plan.filters - Search filters per query (page tokens are only valid for the same filters)
+ * @returns {string} - Fingerprint hash
+ */
+function buildRunFingerprint({ queries = [], locations = [], providers = [], filters = {} }) {
+    return crypto
+        .createHash('sha1')
+        .update(JSON.stringify({ queries, locations, providers, filters }))
+        .digest('hex');
+}
+
+/**
+ * Loads the saved checkpoint if it belongs to the same run plan
+ * @param {string} fingerprint - Fingerprint of the current run plan
+ * @returns {Promise<Object|null>} - Checkpoint or null if there is nothing to resume
+ */
+async function loadCheckpoint(fingerprint) {
+    if (!checkpointStore) {
+        console.error('Checkpoint store not opened');
+        return null;
+    }
+
+    try {
+        const checkpoint = await checkpointStore.getValue(CHECKPOINT_KEY);
+        if (!checkpoint) {
+            console.info('No checkpoint found, starting from the beginning');
+            return null;
+        }
+
+        if (checkpoint.fingerprint !== fingerprint) {
+            console.warn('Found a checkpoint for different queries/cities/providers, ignoring it');
+            return null;
+        }
+
+        const { queryIndex, completedTasks, taskPages } = checkpoint.position;
+        console.info(`Resuming from checkpoint saved at ${checkpoint.updatedAt}: query #${queryIndex + 1}, ${completedTasks.length} city/provider searches done, ${Object.keys(taskPages).length} in progress (${checkpoint.processedJobs.length} jobs already processed)`);
+        return checkpoint;
+    } catch (error) {
+        console.error(`Error loading checkpoint: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Checks whether enough time has passed since the last checkpoint to save another one
+ * @returns {boolean} - True if a checkpoint that isn't forced should be saved now
+ */
+function isCheckpointDue() {
+    return Date.now() - lastSavedAt >= CHECKPOINT_INTERVAL_MS;
+}
+
+/**
+ * Saves a checkpoint
+ * @param {Object} checkpoint - Checkpoint data (fingerprint, position, processedJobs, counters, jobStats)
+ * @returns {Promise<void>}
+ */
+async function saveCheckpoint(checkpoint) {
+    if (!checkpointStore) return;
+
+    try {
+        await checkpointStore.setValue(CHECKPOINT_KEY, {
+            ...checkpoint,
+            updatedAt: new Date().toISOString()
+        });
+        lastSavedAt = Date.now();
+    } catch (error) {
+        console.error(`Error saving checkpoint: ${error.message}`);
+    }
+}
+
+/**
+ * Removes the checkpoint once a run has completed
+ * @returns {Promise<void>}
+ */
+async function clearCheckpoint() {
+    if (!checkpointStore) return;
+
+    try {
+        await checkpointStore.setValue(CHECKPOINT_KEY, null);
+        console.info('Run completed, checkpoint cleared');
+    } catch (error) {
+        console.error(`Error clearing checkpoint: ${error.message}`);
+    }
+}
+
+/**
+ * Reduces a job to the fields the completion email needs, to keep checkpoints small
+ * @param {Object} job - Job object
+ * @returns {Object} - Job summary
+ */
+function summarizeJobForCheckpoint(job) {
+    return {
+        title: job.title,
+        company: job.company,
+        location: job.location,
+        salary_min: job.salary_min || null,
+        salary_max: job.salary_max || null,
+        salary_period: job.salary_period || null,
+        salary_currency: job.salary_currency || null
+    };
+}
+
+export {
+    openCheckpointStore,
+    buildRunFingerprint,
+    loadCheckpoint,
+    saveCheckpoint,
+    isCheckpointDue,
+    clearCheckpoint,
+    summarizeJobForCheckpoint
+};
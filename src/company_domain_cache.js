@@ -0,0 +1,191 @@
+/**
+ * Company domain cache
+ * Websites found by the resolver are saved to a named key-value store so later runs don't search for
+ * the same companies again. Companies without a website are cached too (for a shorter time), and
+ * manual overrides pin a company to a domain, or to no website, without any search.
+ */
+
+import { Actor } from 'apify';
+import { normalizeCompanyName } from './job_dedup.js';
+import { getDomainFromUrl } from './search_api.js';
+
+const DEFAULT_CACHE_STORE = 'company-domains';
+const CACHE_KEY = 'COMPANY_DOMAINS';
+// Overrides kept in the store, for lists shared by several tasks; the companyDomainOverrides input wins
+const OVERRIDES_KEY = 'COMPANY_DOMAIN_OVERRIDES';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let cacheStore = null; // null = cache kept in memory for this run only
+let cacheTtlDays = 30;
+let negativeTtlDays = 7;
+
+// Normalized company name -> { website, domain, confidence, method, resolved_at } (domain null = no website)
+const cachedDomains = new Map();
+// Normalized company name -> domain, or null for companies that have no website
+const overrides = new Map();
+let cacheChanged = false;
+
+const cacheStats = { overrides: 0, hits: 0, negativeHits: 0, misses: 0, stored: 0 };
+
+/**
+ * Gets the cache key of a company
+ * Names that differ only in legal suffixes or words like "Restaurant Group" share an entry.
+ * @param {string} company - Company name
+ * @returns {string} - Cache key (e.g., "hillstone")
+ */
+function getCompanyCacheKey(company) {
+    return normalizeCompanyName(company);
+}
+
+/**
+ * Adds manual overrides
+ * @param {Object} entries - Company name -> domain or website url; null or "" means the company has no website
+ */
+function addOverrides(entries) {
+    if (!entries || typeof entries !== 'object') return;
+
+    for (const [company, value] of Object.entries(entries)) {
+        const key = getCompanyCacheKey(company);
+        if (key) overrides.set(key, value ? getDomainFromUrl(String(value)) : null);
+    }
+}
+
+/**
+ * Checks whether a cached entry is still fresh
+ * @param {Object} entry - Cached entry
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} - True if it is younger than its TTL
+ */
+function isFresh(entry, now = Date.now()) {
+    const ttlDays = entry.domain ? cacheTtlDays : negativeTtlDays;
+    return now - new Date(entry.resolved_at).getTime() < ttlDays * DAY_MS;
+}
+
+/**
+ * Configures the cache and loads the entries and overrides saved by earlier runs
+ * @param {Object} options - Cache options
+ * @param {string} options.storeName - Named key-value store (empty keeps the cache in memory for this run)
+ * @param {number} options.ttlDays - Days a found website is reused
+ * @param {number} options.negativeTtlDays - Days a company without a website is not searched again
+ * @param {Object} options.overrides - Company name -> domain, or null for no website
+ * @returns {Promise<void>}
+ */
+async function configureCompanyDomainCache({
+    storeName = DEFAULT_CACHE_STORE,
+    ttlDays = 30,
+    negativeTtlDays: negativeDays = 7,
+    overrides: inputOverrides = {}
+} = {}) {
+    cacheTtlDays = ttlDays;
+    negativeTtlDays = negativeDays;
+    cachedDomains.clear();
+    overrides.clear();
+    cacheChanged = false;
+    cacheStore = null;
+
+    if (storeName) {
+        try {
+            cacheStore = await Actor.openKeyValueStore(storeName);
+            const saved = await cacheStore.getValue(CACHE_KEY);
+            const now = Date.now();
+            for (const [key, entry] of Object.entries(saved || {})) {
+                if (entry && entry.resolved_at && isFresh(entry, now)) {
+                    cachedDomains.set(key, entry);
+                }
+            }
+            addOverrides(await cacheStore.getValue(OVERRIDES_KEY));
+        } catch (error) {
+            console.error(`Error loading company domain cache from "${storeName}": ${error.message}`);
+        }
+    }
+    addOverrides(inputOverrides);
+
+    console.info(`Company domain cache: ${cacheStore ? `key-value store "${storeName}"` : 'this run only'}, ${cachedDomains.size} cached companies, ${overrides.size} overrides (websites kept ${cacheTtlDays} days, companies without one ${negativeTtlDays} days)`);
+}
+
+/**
+ * Looks up a company's website in the overrides and the cache
+ * @param {string} company - Company name
+ * @returns {Object|null} - { source: "override" or "cache", website } where website is null for a company
+ *   known to have none, or null if the company has to be resolved
+ */
+function lookupCompanyDomain(company) {
+    const key = getCompanyCacheKey(company);
+    if (!key) return null;
+
+    if (overrides.has(key)) {
+        cacheStats.overrides++;
+        const domain = overrides.get(key);
+        return {
+            source: 'override',
+            website: domain ? { website: `https://${domain}`, domain, confidence: 1, method: 'override' } : null
+        };
+    }
+
+    const entry = cachedDomains.get(key);
+    if (entry && isFresh(entry)) {
+        if (entry.domain) {
+            cacheStats.hits++;
+            const { resolved_at, ...website } = entry;
+            return { source: 'cache', website };
+        }
+        cacheStats.negativeHits++;
+        return { source: 'cache', website: null };
+    }
+
+    cacheStats.misses++;
+    return null;
+}
+
+/**
+ * Caches a resolved website
+ * @param {string} company - Company name
+ * @param {Object|null} website - { website, domain, confidence, method }, or null if the company has no website
+ */
+function storeCompanyDomain(company, website) {
+    const key = getCompanyCacheKey(company);
+    if (!key) return;
+
+    cachedDomains.set(key, {
+        website: website ? website.website : null,
+        domain: website ? website.domain : null,
+        confidence: website ? website.confidence : null,
+        method: website ? website.method : null,
+        resolved_at: new Date().toISOString()
+    });
+    cacheChanged = true;
+    cacheStats.stored++;
+}
+
+/**
+ * Saves the cache to its key-value store if it changed
+ * @returns {Promise<void>}
+ */
+async function saveCompanyDomainCache() {
+    if (!cacheStore || !cacheChanged) return;
+
+    cacheChanged = false;
+    try {
+        await cacheStore.setValue(CACHE_KEY, Object.fromEntries(cachedDomains));
+    } catch (error) {
+        console.error(`Error saving company domain cache: ${error.message}`);
+        cacheChanged = true;
+    }
+}
+
+/**
+ * Logs how many lookups the cache answered
+ */
+function logCompanyDomainCacheSummary() {
+    const { overrides: overrideHits, hits, negativeHits, misses, stored } = cacheStats;
+    console.log(`\nCompany domain cache: ${hits} hits, ${negativeHits} known without a website, ${overrideHits} overrides, ${misses} not cached (${stored} saved)`);
+}
+
+export {
+    configureCompanyDomainCache,
+    lookupCompanyDomain,
+    storeCompanyDomain,
+    saveCompanyDomainCache,
+    logCompanyDomainCacheSummary,
+    getCompanyCacheKey
+};
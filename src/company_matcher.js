@@ -0,0 +1,127 @@
+/**
+ * Company name matching
+ * Exclusion lists hold short names ("Shell", "Giant", "Pioneer", "Compass") that also appear inside
+ * real restaurant names ("The Shellfish Company", "Pioneer Square Tavern"). Names are compared as
+ * words rather than substrings, and each list entry says how strictly it matches:
+ *   exact: the whole name is the entry ("Shell", "Shell Inc." but not "Shell Canada Select")
+ *   prefix: the name starts with the entry's words ("Compass Group" matches "Compass Group USA")
+ *   token: the entry's words appear together anywhere in the name ("Olive Garden" matches "Olive Garden Italian Kitchen")
+ *   contains: the entry appears anywhere in the name, even inside a word ("recruit" matches "Recruiters")
+ */
+
+const COMPANY_MATCH_MODES = ['exact', 'prefix', 'token', 'contains'];
+
+// Words ignored at the start and end of a name when matching exact and prefix entries
+const LEADING_IGNORED_WORDS = ['the'];
+const TRAILING_LEGAL_WORDS = ['inc', 'incorporated', 'llc', 'llp', 'lp', 'ltd', 'limited', 'co', 'corp', 'corporation', 'plc'];
+
+/**
+ * Splits a company name into lowercase words
+ * Accents, apostrophes and punctuation are dropped and "&" is read as "and" ("Bojangles'" -> ["bojangles"],
+ * "Chick-fil-A" -> ["chick", "fil", "a"]).
+ * @param {string} name - Company name
+ * @returns {Array<string>} - Words
+ */
+function tokenizeCompanyName(name) {
+    return String(name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/['’]/g, '')
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+}
+
+/**
+ * Removes a leading "the" and trailing legal suffixes ("Inc", "LLC") from a name's words
+ * @param {Array<string>} tokens - Words of a name
+ * @returns {Array<string>} - Core words of the name
+ */
+function getCoreTokens(tokens) {
+    let start = 0;
+    let end = tokens.length;
+    while (start < end - 1 && LEADING_IGNORED_WORDS.includes(tokens[start])) start++;
+    while (end > start + 1 && TRAILING_LEGAL_WORDS.includes(tokens[end - 1])) end--;
+    return tokens.slice(start, end);
+}
+
+/**
+ * Checks whether a word sequence appears in a name at a given position
+ * @param {Array<string>} tokens - Words of the name
+ * @param {Array<string>} termTokens - Words of the entry
+ * @param {number} index - Position in the name
+ * @returns {boolean} - True if the entry's words start at that position
+ */
+function tokensMatchAt(tokens, termTokens, index) {
+    return termTokens.every((token, offset) => tokens[index + offset] === token);
+}
+
+/**
+ * Checks whether a company name matches one list entry
+ * @param {Object} name - Prepared name ({ text, tokens, core })
+ * @param {Object} entry - Compiled entry ({ match, text, tokens, core })
+ * @returns {boolean} - True if the name matches
+ */
+function entryMatches(name, entry) {
+    if (entry.tokens.length === 0) return false;
+
+    switch (entry.match) {
+        case 'exact':
+            return name.core.length === entry.core.length && tokensMatchAt(name.core, entry.core, 0);
+        case 'prefix':
+            return name.core.length >= entry.core.length && tokensMatchAt(name.core, entry.core, 0);
+        case 'token':
+            for (let index = 0; index + entry.tokens.length <= name.tokens.length; index++) {
+                if (tokensMatchAt(name.tokens, entry.tokens, index)) return true;
+            }
+            return false;
+        case 'contains':
+            return name.text.includes(entry.text);
+        default:
+            return false;
+    }
+}
+
+/**
+ * Creates a matcher for a list of company names
+ * @param {Array<string|Object>} entries - Names, or { term, match } objects to set the mode of one entry
+ * @param {string} defaultMatch - Mode for entries that don't set one (default token)
+ * @returns {Object} - Matcher with match(name) and entries
+ */
+function createCompanyMatcher(entries, defaultMatch = 'token') {
+    const compiled = (entries || []).map(entry => {
+        const term = typeof entry === 'string' ? entry : String(entry.term || '');
+        const match = (typeof entry === 'object' && entry.match) || defaultMatch;
+        if (!COMPANY_MATCH_MODES.includes(match)) {
+            throw new Error(`Unknown company match "${match}" for "${term}" (supported: ${COMPANY_MATCH_MODES.join(', ')})`);
+        }
+
+        const tokens = tokenizeCompanyName(term);
+        return { term, match, tokens, core: getCoreTokens(tokens), text: tokens.join(' ') };
+    });
+
+    return {
+        entries: compiled,
+
+        /**
+         * Finds the first entry a company name matches
+         * @param {string} companyName - Company name
+         * @returns {Object|null} - Matching entry ({ term, match }) or null
+         */
+        match(companyName) {
+            const tokens = tokenizeCompanyName(companyName);
+            if (tokens.length === 0) return null;
+
+            const name = { tokens, core: getCoreTokens(tokens), text: tokens.join(' ') };
+            const found = compiled.find(entry => entryMatches(name, entry));
+            return found ? { term: found.term, match: found.match } : null;
+        }
+    };
+}
+
+export {
+    createCompanyMatcher,
+    tokenizeCompanyName,
+    COMPANY_MATCH_MODES
+};
@@ -0,0 +1,208 @@
+/**
+ * Hunter.io contact enrichment
+ * Optional stage run on processed jobs: looks up email contacts for each job's company domain with
+ * Hunter.io and fills job.emails, which insertJobsIntoDatabase saves to culinary_company_contacts_google.
+ * Lookups are limited per run, and results are cached per domain in a named key-value store so a
+ * domain enriched within CACHE_MAX_AGE_DAYS is not looked up again.
+ */
+
+import { Actor } from 'apify';
+import { findEmailsWithHunter, CACHE_MAX_AGE_DAYS } from './hunter_api.js';
+import { tagContactRoles } from './contact_roles.js';
+import { gradeContacts } from './contact_quality.js';
+
+const DEFAULT_CACHE_STORE = 'hunter-domains';
+const CACHE_KEY = 'HUNTER_DOMAINS';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Domains the website resolver is less sure of aren't worth a lookup
+const MIN_DOMAIN_CONFIDENCE = 0.5;
+
+let enrichmentEnabled = false;
+let maxLookups = 0; // 0 = unlimited
+let cacheMaxAgeDays = CACHE_MAX_AGE_DAYS;
+let cacheStore = null; // null = cache kept in memory for this run only
+
+// Domain -> { emails, enriched_at }
+const enrichedDomains = new Map();
+// Lookups in progress, so concurrent searches finding the same domain share one request
+const pendingLookups = new Map();
+let cacheChanged = false;
+
+const enrichmentStats = { lookups: 0, cached: 0, skippedBudget: 0, skippedConfidence: 0, failed: 0, jobsWithEmails: 0 };
+
+/**
+ * Checks whether a domain was enriched within the cache age
+ * @param {Object} entry - Cached entry
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} - True if the entry can be reused
+ */
+function isFresh(entry, now = Date.now()) {
+    return now - new Date(entry.enriched_at).getTime() < cacheMaxAgeDays * DAY_MS;
+}
+
+/**
+ * Configures the enrichment stage and loads the domains enriched by earlier runs
+ * @param {Object} options - Enrichment options
+ * @param {boolean} options.enabled - Whether to look up contacts (off by default)
+ * @param {number} options.maxLookups - Hunter.io domain lookups allowed in this run (0 = unlimited)
+ * @param {string} options.storeName - Named key-value store for the domain cache (empty keeps it for this run only)
+ * @param {number} options.cacheMaxAgeDays - Days a domain's contacts are reused
+ * @returns {Promise<void>}
+ */
+async function configureContactEnrichment({
+    enabled = false,
+    maxLookups: lookupBudget = 0,
+    storeName = DEFAULT_CACHE_STORE,
+    cacheMaxAgeDays: maxAgeDays = CACHE_MAX_AGE_DAYS
+} = {}) {
+    enrichmentEnabled = Boolean(enabled);
+    maxLookups = lookupBudget > 0 ? lookupBudget : 0;
+    cacheMaxAgeDays = maxAgeDays;
+    enrichedDomains.clear();
+    cacheChanged = false;
+    cacheStore = null;
+    Object.keys(enrichmentStats).forEach(key => { enrichmentStats[key] = 0; });
+
+    if (!enrichmentEnabled) {
+        console.info('Hunter.io contact enrichment: disabled');
+        return;
+    }
+
+    if (!process.env.HUNTER_API_KEY) {
+        console.warn('Hunter.io contact enrichment requested but HUNTER_API_KEY is not set; only cached contacts will be used');
+    }
+
+    if (storeName) {
+        try {
+            cacheStore = await Actor.openKeyValueStore(storeName);
+            const saved = await cacheStore.getValue(CACHE_KEY);
+            const now = Date.now();
+            for (const [domain, entry] of Object.entries(saved || {})) {
+                if (entry && entry.enriched_at && isFresh(entry, now)) {
+                    enrichedDomains.set(domain, entry);
+                }
+            }
+        } catch (error) {
+            console.error(`Error loading Hunter.io domain cache from "${storeName}": ${error.message}`);
+        }
+    }
+
+    console.info(`Hunter.io contact enrichment: ${maxLookups ? `up to ${maxLookups} lookups` : 'unlimited lookups'}, ${enrichedDomains.size} domains enriched in the last ${cacheMaxAgeDays} days${cacheStore ? ` (key-value store "${storeName}")` : ''}`);
+}
+
+/**
+ * Gets a domain's contacts from the cache or Hunter.io
+ * @param {string} domain - Company domain
+ * @param {string} company - Company name
+ * @returns {Promise<Array|null>} - Email objects, or null if the domain was not looked up
+ */
+async function getDomainContacts(domain, company) {
+    const entry = enrichedDomains.get(domain);
+    if (entry && isFresh(entry)) {
+        enrichmentStats.cached++;
+        return entry.emails;
+    }
+
+    if (pendingLookups.has(domain)) {
+        return pendingLookups.get(domain);
+    }
+
+    if (!process.env.HUNTER_API_KEY) {
+        return null;
+    }
+
+    if (maxLookups && enrichmentStats.lookups >= maxLookups) {
+        if (enrichmentStats.skippedBudget === 0) {
+            console.warn(`Hunter.io lookup budget of ${maxLookups} used up; remaining domains are not enriched`);
+        }
+        enrichmentStats.skippedBudget++;
+        return null;
+    }
+
+    enrichmentStats.lookups++;
+    const lookup = findEmailsWithHunter(domain, company).then(emails => {
+        // A failed request is tried again next time rather than cached as "no contacts"
+        if (emails === null) {
+            enrichmentStats.failed++;
+            return null;
+        }
+        enrichedDomains.set(domain, { emails, enriched_at: new Date().toISOString() });
+        cacheChanged = true;
+        return emails;
+    });
+
+    pendingLookups.set(domain, lookup);
+    try {
+        return await lookup;
+    } finally {
+        pendingLookups.delete(domain);
+    }
+}
+
+/**
+ * Fills job.emails with Hunter.io contacts for each job's company domain, tagged with their role and quality grade
+ * Jobs without a domain, or whose domain the website resolver is unsure of, are left as they are.
+ * @param {Array<Object>} jobs - Processed jobs (company, company_domain, company_domain_confidence)
+ * @returns {Promise<number>} - Number of jobs that got contacts
+ */
+async function enrichJobsWithContacts(jobs) {
+    if (!enrichmentEnabled) return 0;
+
+    let enrichedCount = 0;
+    for (const job of jobs) {
+        if (!job.company_domain) continue;
+
+        if (job.company_domain_confidence !== null && job.company_domain_confidence !== undefined &&
+            job.company_domain_confidence < MIN_DOMAIN_CONFIDENCE) {
+            enrichmentStats.skippedConfidence++;
+            continue;
+        }
+
+        const domain = job.company_domain.toLowerCase();
+        const emails = await getDomainContacts(domain, job.company);
+        if (emails && emails.length > 0) {
+            job.emails = gradeContacts(tagContactRoles(emails), job.company_domain);
+            enrichedCount++;
+        }
+    }
+
+    enrichmentStats.jobsWithEmails += enrichedCount;
+    if (enrichedCount > 0) {
+        console.info(`Added Hunter.io contacts to ${enrichedCount} of ${jobs.length} jobs`);
+    }
+    return enrichedCount;
+}
+
+/**
+ * Saves the domain cache to its key-value store if it changed
+ * @returns {Promise<void>}
+ */
+async function saveContactCache() {
+    if (!cacheStore || !cacheChanged) return;
+
+    cacheChanged = false;
+    try {
+        await cacheStore.setValue(CACHE_KEY, Object.fromEntries(enrichedDomains));
+    } catch (error) {
+        console.error(`Error saving Hunter.io domain cache: ${error.message}`);
+        cacheChanged = true;
+    }
+}
+
+/**
+ * Logs the Hunter.io lookups made and saved by the cache
+ */
+function logContactEnrichmentSummary() {
+    if (!enrichmentEnabled) return;
+
+    const { lookups, cached, skippedBudget, skippedConfidence, failed, jobsWithEmails } = enrichmentStats;
+    console.log(`\nHunter.io enrichment: ${jobsWithEmails} jobs with contacts, ${lookups}${maxLookups ? `/${maxLookups}` : ''} lookups (${failed} failed), ${cached} from cache, ${skippedBudget} over budget, ${skippedConfidence} skipped for low domain confidence`);
+}
+
+export {
+    configureContactEnrichment,
+    enrichJobsWithContacts,
+    saveContactCache,
+    logContactEnrichmentSummary
+};
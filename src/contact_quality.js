@@ -0,0 +1,218 @@
+/**
+ * Contact quality grading
+ * Works offline on the contacts Hunter.io returned for a domain: infers the domain's address pattern
+ * (first.last, flast...) from the named contacts, then grades every contact A-F from its confidence,
+ * address syntax, whether it is a role account (info@, jobs@), whether it is on the company's domain
+ * and whether it follows the domain's pattern.
+ */
+
+import { GENERIC_EMAIL_PATTERNS } from './hunter_api.js';
+
+// Local part builders for common corporate address patterns
+const EMAIL_PATTERNS = {
+    'first.last': (first, last) => `${first}.${last}`,
+    'first_last': (first, last) => `${first}_${last}`,
+    'firstlast': (first, last) => `${first}${last}`,
+    'flast': (first, last) => `${first[0]}${last}`,
+    'f.last': (first, last) => `${first[0]}.${last}`,
+    'firstl': (first, last) => `${first}${last[0]}`,
+    'first.l': (first, last) => `${first}.${last[0]}`,
+    'lastf': (first, last) => `${last}${first[0]}`,
+    'last.first': (first, last) => `${last}.${first}`,
+    'first': first => first,
+    'last': (first, last) => last
+};
+
+// Local parts of role accounts beyond the generic mailboxes Hunter.io results are sorted by
+const ROLE_ACCOUNT_WORDS = ['info', 'contact', 'hello', 'admin', 'support', 'office', 'mail', 'inquiry', 'inquiries',
+    'general', 'sales', 'help', 'service', 'hr', 'jobs', 'careers', 'team', 'marketing', 'press', 'media', 'events',
+    'reservations', 'catering', 'hiring', 'recruiting', 'noreply', 'no-reply', 'billing', 'accounting', 'orders'];
+
+const FREE_EMAIL_DOMAINS = ['gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'aol.com', 'icloud.com',
+    'msn.com', 'live.com', 'me.com', 'protonmail.com', 'ymail.com', 'comcast.net'];
+
+const EMAIL_SYNTAX = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*@([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/i;
+
+// Score needed for each grade; F is kept for addresses that can't be delivered to
+const GRADE_THRESHOLDS = [['A', 85], ['B', 70], ['C', 50]];
+// Named contacts needed before an address that doesn't follow the pattern is marked down
+const MIN_PATTERN_SAMPLES = 2;
+
+/**
+ * Simplifies a first or last name for building addresses ("José" -> "jose", "O'Brien" -> "obrien")
+ * @param {string} name - Name
+ * @returns {string} - Lowercase letters
+ */
+function simplifyName(name) {
+    return String(name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z]/g, '');
+}
+
+/**
+ * Splits an address into its local part and domain
+ * @param {string} email - Email address
+ * @returns {Object} - { local, domain } in lowercase
+ */
+function splitEmail(email) {
+    const value = String(email || '').trim().toLowerCase();
+    const at = value.lastIndexOf('@');
+    return at === -1 ? { local: value, domain: '' } : { local: value.slice(0, at), domain: value.slice(at + 1) };
+}
+
+/**
+ * Checks whether an address has valid syntax
+ * @param {string} email - Email address
+ * @returns {boolean} - True if it is a syntactically valid address
+ */
+function isValidEmailSyntax(email) {
+    return EMAIL_SYNTAX.test(String(email || '').trim());
+}
+
+/**
+ * Checks whether an address is a role account rather than a person's
+ * @param {string} email - Email address
+ * @returns {boolean} - True for addresses like info@, jobs@ or reservations@
+ */
+function isRoleAccount(email) {
+    const lowerEmail = String(email || '').toLowerCase();
+    if (GENERIC_EMAIL_PATTERNS.some(pattern => lowerEmail.startsWith(pattern))) return true;
+
+    const { local } = splitEmail(lowerEmail);
+    return local.split(/[._+-]/).some(word => ROLE_ACCOUNT_WORDS.includes(word));
+}
+
+/**
+ * Finds the patterns a named contact's address follows
+ * @param {Object} contact - Contact ({ email, firstName, lastName })
+ * @returns {Array<string>} - Names of matching patterns (empty if the contact isn't named)
+ */
+function getMatchingPatterns(contact) {
+    const first = simplifyName(contact.firstName);
+    const last = simplifyName(contact.lastName);
+    if (!first || !last) return [];
+
+    const { local } = splitEmail(contact.email);
+    return Object.entries(EMAIL_PATTERNS)
+        .filter(([, build]) => build(first, last) === local)
+        .map(([name]) => name);
+}
+
+/**
+ * Infers a domain's address pattern from the named contacts found on it
+ * @param {Array<Object>} contacts - Contacts ({ email, firstName, lastName })
+ * @returns {Object|null} - { pattern, matches, samples } or null if no named contact follows a known pattern
+ */
+function inferEmailPattern(contacts) {
+    const counts = new Map();
+    let samples = 0;
+
+    for (const contact of contacts || []) {
+        if (!isValidEmailSyntax(contact.email) || isRoleAccount(contact.email)) continue;
+        if (!simplifyName(contact.firstName) || !simplifyName(contact.lastName)) continue;
+
+        samples++;
+        getMatchingPatterns(contact).forEach(pattern => counts.set(pattern, (counts.get(pattern) || 0) + 1));
+    }
+
+    // Ties go to the pattern listed first (first.last before first)
+    let best = null;
+    for (const pattern of Object.keys(EMAIL_PATTERNS)) {
+        const matches = counts.get(pattern) || 0;
+        if (matches > 0 && (!best || matches > best.matches)) {
+            best = { pattern, matches, samples };
+        }
+    }
+    return best;
+}
+
+/**
+ * Checks whether an email domain belongs to the company's domain
+ * @param {string} emailDomain - Domain of the address
+ * @param {string} companyDomain - Company website domain
+ * @returns {boolean} - True if it is the company's domain or a subdomain of it
+ */
+function isCompanyDomain(emailDomain, companyDomain) {
+    const domain = String(companyDomain || '').toLowerCase().replace(/^www\./, '');
+    return emailDomain === domain || emailDomain.endsWith(`.${domain}`);
+}
+
+/**
+ * Grades one contact
+ * @param {Object} contact - Contact ({ email, firstName, lastName, confidence })
+ * @param {Object} context - Domain context
+ * @param {string} context.companyDomain - Company website domain, if known
+ * @param {Object|null} context.pattern - Inferred pattern from inferEmailPattern
+ * @returns {Object} - { grade, flags }
+ */
+function gradeContact(contact, { companyDomain = null, pattern = null } = {}) {
+    if (!isValidEmailSyntax(contact.email)) {
+        return { grade: 'F', flags: ['invalid_syntax'] };
+    }
+
+    const flags = [];
+    const { domain } = splitEmail(contact.email);
+    let score = typeof contact.confidence === 'number' ? contact.confidence : 50;
+
+    if (isRoleAccount(contact.email)) {
+        flags.push('role_account');
+        score = Math.min(score, 60);
+    }
+
+    if (FREE_EMAIL_DOMAINS.includes(domain)) {
+        flags.push('free_email');
+        score = Math.min(score, 60);
+    }
+
+    if (companyDomain && !isCompanyDomain(domain, companyDomain)) {
+        flags.push('domain_mismatch');
+        score -= 30;
+    }
+
+    if (pattern && !flags.includes('role_account')) {
+        const matchingPatterns = getMatchingPatterns(contact);
+        if (matchingPatterns.includes(pattern.pattern)) {
+            flags.push('matches_pattern');
+            score += 10;
+        } else if (simplifyName(contact.firstName) && simplifyName(contact.lastName) && pattern.matches >= MIN_PATTERN_SAMPLES) {
+            flags.push('pattern_mismatch');
+            score -= 15;
+        }
+    }
+
+    const grade = GRADE_THRESHOLDS.find(([, threshold]) => score >= threshold);
+    return { grade: grade ? grade[0] : 'D', flags };
+}
+
+/**
+ * Grades a domain's contacts
+ * @param {Array<Object>} contacts - Contacts found for the domain
+ * @param {string} companyDomain - Company website domain, if known
+ * @returns {Array<Object>} - Copies of the contacts with quality_grade, quality_flags and email_pattern
+ */
+function gradeContacts(contacts, companyDomain = null) {
+    const onDomain = (contacts || []).filter(contact =>
+        !companyDomain || isCompanyDomain(splitEmail(contact.email).domain, companyDomain));
+    const pattern = inferEmailPattern(onDomain);
+
+    return (contacts || []).map(contact => {
+        const { grade, flags } = gradeContact(contact, { companyDomain, pattern });
+        return {
+            ...contact,
+            quality_grade: grade,
+            quality_flags: flags,
+            email_pattern: pattern ? pattern.pattern : null
+        };
+    });
+}
+
+export {
+    gradeContacts,
+    gradeContact,
+    inferEmailPattern,
+    isValidEmailSyntax,
+    isRoleAccount,
+    EMAIL_PATTERNS
+};
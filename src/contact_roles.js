@@ -0,0 +1,120 @@
+/**
+ * Contact role classification
+ * Tags each contact with a role from its position (owner, executive chef, GM, HR...) and picks the best
+ * decision-maker for a job: a kitchen job goes to the executive chef, a front-of-house job to the GM,
+ * a management job to the owner or operations lead. Ties are broken by getJobTitlePriority.
+ */
+
+import { getJobTitlePriority } from './hunter_api.js';
+
+// Checked in order; the first matching role wins ("Vice President" is an executive, not an owner)
+const ROLE_PATTERNS = [
+    ['executive', /\b(vice president|vp|svp|evp|chief (?!executive)\w+|coo|cfo|cto|cmo|partner)\b/],
+    ['owner', /\b(owner|co ?owner|founder|co ?founder|proprietor|ceo|chief executive|president)\b/],
+    ['executive_chef', /\b(executive chef|head chef|chef de cuisine|corporate chef|culinary director|director of culinary)\b/],
+    ['operations', /\b(operations|area manager|district manager|regional manager|multi unit)\b/],
+    ['general_manager', /\b(general manager|gm|restaurant manager|hotel manager|managing director)\b/],
+    ['hr', /\b(hr|human resources|talent|recruit\w*|hiring|people|staffing)\b/],
+    ['manager', /\b(manager|director|supervisor|head)\b/],
+    ['chef', /\b(chef|sous|cook|culinary|kitchen|pastry)\b/]
+];
+
+const CONTACT_ROLES = [...ROLE_PATTERNS.map(([role]) => role), 'other'];
+
+// Job departments and the roles that decide on their hires, best first
+const JOB_DEPARTMENT_PATTERNS = [
+    ['kitchen', /\b(chef|sous|cook|culinary|kitchen|pastry|baker|dishwasher|prep|line|steward)\b/],
+    ['management', /\b(general manager|gm|director|operations|area manager|district manager|regional manager)\b/],
+    ['front_of_house', /\b(manager|server|host|hostess|bartender|barista|sommelier|front of house|foh|busser|waiter|waitress)\b/]
+];
+
+const DECISION_MAKERS = {
+    kitchen: ['executive_chef', 'owner', 'general_manager', 'operations', 'executive', 'hr', 'manager', 'chef'],
+    front_of_house: ['general_manager', 'owner', 'operations', 'manager', 'executive', 'hr', 'executive_chef', 'chef'],
+    management: ['owner', 'operations', 'executive', 'general_manager', 'hr', 'manager', 'executive_chef', 'chef'],
+    other: ['hr', 'owner', 'general_manager', 'executive', 'operations', 'manager', 'executive_chef', 'chef']
+};
+
+/**
+ * Lowercases a title and turns punctuation into spaces ("Co-Owner/GM" -> "co owner gm")
+ * @param {string} title - Job title or position
+ * @returns {string} - Simplified title
+ */
+function simplifyTitle(title) {
+    return ` ${String(title || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+}
+
+/**
+ * Classifies a contact's position
+ * @param {string} position - Position from Hunter.io (e.g., "Executive Chef")
+ * @returns {Object} - { role, priority } where priority is getJobTitlePriority's value (lower is better)
+ */
+function classifyContactRole(position) {
+    const title = simplifyTitle(position);
+    const match = ROLE_PATTERNS.find(([, pattern]) => pattern.test(title));
+    return {
+        role: match ? match[0] : 'other',
+        priority: getJobTitlePriority(position)
+    };
+}
+
+/**
+ * Gets the department a job belongs to
+ * @param {string} jobTitle - Job title
+ * @returns {string} - kitchen, front_of_house, management or other
+ */
+function getJobDepartment(jobTitle) {
+    const title = simplifyTitle(jobTitle);
+    const match = JOB_DEPARTMENT_PATTERNS.find(([, pattern]) => pattern.test(title));
+    return match ? match[0] : 'other';
+}
+
+/**
+ * Adds role and role_priority to each contact
+ * @param {Array<Object>} emails - Contacts ({ email, firstName, lastName, position, confidence })
+ * @returns {Array<Object>} - Copies of the contacts with their role
+ */
+function tagContactRoles(emails) {
+    return (emails || []).map(email => {
+        const { role, priority } = classifyContactRole(email.position);
+        return { ...email, role, role_priority: priority };
+    });
+}
+
+/**
+ * Picks the contact best placed to decide on a job's hire
+ * Contacts whose role doesn't decide for the job's department (or who have no position) are only used
+ * when nobody else is found; among equals the given order (Hunter.io relevance) is kept. Contacts graded
+ * F by contact_quality.js are never picked, and D contacts only when there is no one better.
+ * @param {Array<Object>} emails - Contacts, optionally tagged by tagContactRoles
+ * @param {string} jobTitle - Job title
+ * @returns {Object|null} - Best contact or null if there are none
+ */
+function pickDecisionMaker(emails, jobTitle) {
+    const candidates = (emails || []).filter(email => email.quality_grade !== 'F');
+    if (candidates.length === 0) return null;
+
+    const order = DECISION_MAKERS[getJobDepartment(jobTitle)];
+    const rank = email => {
+        const role = email.role || classifyContactRole(email.position).role;
+        const index = order.indexOf(role);
+        return index === -1 ? order.length : index;
+    };
+    const priority = email => email.role_priority ?? getJobTitlePriority(email.position);
+    const lowQuality = email => (email.quality_grade === 'D' ? 1 : 0);
+
+    return candidates
+        .map((email, index) => ({ email, index }))
+        .sort((a, b) => (lowQuality(a.email) - lowQuality(b.email)) ||
+            (rank(a.email) - rank(b.email)) ||
+            (priority(a.email) - priority(b.email)) ||
+            (a.index - b.index))[0].email;
+}
+
+export {
+    classifyContactRole,
+    getJobDepartment,
+    tagContactRoles,
+    pickDecisionMaker,
+    CONTACT_ROLES
+};
@@ -0,0 +1,167 @@
+/**
+ * Country configuration
+ * Everything that differs between the markets the actor can search: the default city list, the
+ * Google Jobs gl parameter, the currency a bare "$" stands for, region (state/province) codes for
+ * location parsing, and the country names stripped from queries so the city stays central.
+ */
+
+const COUNTRY_CONFIGS = {
+    us: {
+        code: 'us',
+        name: 'United States',
+        gl: 'us',
+        hl: 'en',
+        currency: 'USD',
+        // Names stripped from query text ("chef jobs usa" -> "chef jobs")
+        countryNamePattern: /\b(united states|usa|u\.s\.a\.|u\.s\.)\b/gi,
+        // Top 60 largest US cities for targeted job searches
+        topCities: [
+            'New York NY', 'Los Angeles CA', 'Chicago IL', 'Houston TX', 'Phoenix AZ',
+            'Philadelphia PA', 'San Antonio TX', 'San Diego CA', 'Dallas TX', 'San Jose CA',
+            'Austin TX', 'Jacksonville FL', 'Fort Worth TX', 'Columbus OH', 'Indianapolis IN',
+            'Charlotte NC', 'San Francisco CA', 'Seattle WA', 'Nashville TN', 'Denver CO',
+            'Oklahoma City OK', 'El Paso TX', 'Boston MA', 'Portland OR', 'Las Vegas NV',
+            'Detroit MI', 'Memphis TN', 'Louisville KY', 'Baltimore MD', 'Milwaukee WI',
+            'Albuquerque NM', 'Tucson AZ', 'Fresno CA', 'Sacramento CA', 'Kansas City MO',
+            'Mesa AZ', 'Atlanta GA', 'Omaha NE', 'Colorado Springs CO', 'Raleigh NC',
+            'Long Beach CA', 'Virginia Beach VA', 'Miami FL', 'Oakland CA', 'Minneapolis MN',
+            'Tulsa OK', 'Bakersfield CA', 'Wichita KS', 'Arlington TX', 'Aurora CO',
+            'Tampa FL', 'New Orleans LA', 'Cleveland OH', 'Honolulu HI', 'Anaheim CA',
+            'Lexington KY', 'Stockton CA', 'Corpus Christi TX', 'Henderson NV', 'Riverside CA'
+        ],
+        // State codes and names
+        regions: {
+            AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California',
+            CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida',
+            GA: 'Georgia', HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana',
+            IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana', ME: 'Maine',
+            MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota', MS: 'Mississippi',
+            MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+            NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+            OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island',
+            SC: 'South Carolina', SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah',
+            VT: 'Vermont', VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin',
+            WY: 'Wyoming'
+        },
+        // Cities recognized in Bing snippets that don't name a state
+        knownCities: [
+            'new york', 'los angeles', 'chicago', 'houston', 'phoenix', 'philadelphia', 'san antonio',
+            'san diego', 'dallas', 'san jose', 'austin', 'jacksonville', 'fort worth', 'columbus',
+            'charlotte', 'san francisco', 'indianapolis', 'seattle', 'denver', 'washington', 'boston',
+            'el paso', 'detroit', 'nashville', 'portland', 'memphis', 'oklahoma city', 'las vegas',
+            'louisville', 'baltimore', 'milwaukee', 'albuquerque', 'tucson', 'fresno', 'sacramento', 'mesa',
+            'kansas city', 'atlanta', 'long beach', 'colorado springs', 'raleigh', 'miami',
+            'virginia beach', 'omaha', 'oakland', 'minneapolis', 'tulsa', 'arlington', 'new orleans',
+            'wichita', 'cleveland', 'tampa', 'bakersfield', 'aurora', 'honolulu', 'anaheim', 'santa ana',
+            'corpus christi', 'riverside', 'lexington', 'stockton', 'toledo', 'st. paul', 'newark',
+            'greensboro', 'plano', 'henderson', 'lincoln', 'buffalo', 'jersey city', 'chula vista',
+            'fort wayne', 'orlando', 'st. petersburg', 'chandler', 'laredo', 'norfolk', 'durham', 'madison',
+            'lubbock', 'irvine', 'winston-salem', 'glendale', 'garland', 'hialeah', 'reno', 'chesapeake',
+            'gilbert', 'baton rouge', 'irving', 'scottsdale', 'north las vegas', 'fremont', 'boise',
+            'richmond', 'san bernardino', 'birmingham', 'spokane', 'rochester', 'des moines', 'modesto',
+            'fayetteville', 'tacoma', 'oxnard', 'fontana', 'montgomery', 'moreno valley', 'shreveport',
+            'yonkers', 'akron', 'huntington beach', 'little rock', 'augusta', 'amarillo', 'mobile',
+            'grand rapids', 'salt lake city', 'tallahassee', 'huntsville', 'grand prairie', 'knoxville',
+            'worcester', 'newport news', 'brownsville', 'overland park', 'santa clarita', 'providence',
+            'garden grove', 'chattanooga', 'oceanside', 'jackson', 'fort lauderdale', 'santa rosa',
+            'rancho cucamonga', 'port st. lucie', 'tempe', 'ontario', 'vancouver', 'cape coral',
+            'sioux falls', 'springfield', 'peoria', 'pembroke pines', 'elk grove', 'salem', 'lancaster',
+            'corona', 'eugene', 'palmdale', 'salinas', 'pasadena', 'fort collins', 'hayward', 'pomona',
+            'cary', 'rockford', 'alexandria', 'escondido', 'mckinney', 'joliet', 'sunnyvale', 'torrance',
+            'bridgeport', 'lakewood', 'hollywood', 'paterson', 'naperville', 'syracuse', 'mesquite',
+            'dayton', 'savannah', 'clarksville', 'orange', 'fullerton', 'killeen', 'frisco', 'hampton',
+            'mcallen', 'warren', 'west valley city', 'columbia', 'sterling heights', 'new haven', 'miramar',
+            'waco', 'thousand oaks', 'cedar rapids', 'charleston', 'sioux city', 'round rock', 'fargo',
+            'carrollton', 'roseville', 'concord', 'thornton', 'visalia', 'gainesville', 'olathe', 'denton',
+            'high point', 'richardson', 'pueblo', 'murfreesboro', 'lewisville', 'elgin', 'broken arrow',
+            'miami gardens', 'pearland', 'hartford', 'surprise', 'west jordan', 'college station',
+            'independence', 'clearwater', 'midland', 'inglewood', 'carlsbad', 'el monte', 'abilene',
+            'north charleston', 'berkeley', 'evansville', 'ann arbor', 'fairfield', 'vallejo', 'lansing',
+            'renton'
+        ]
+    },
+    ca: {
+        code: 'ca',
+        name: 'Canada',
+        gl: 'ca',
+        hl: 'en',
+        currency: 'CAD',
+        countryNamePattern: /\bcanada\b/gi,
+        // Largest Canadian cities for targeted job searches
+        topCities: [
+            'Toronto ON', 'Montreal QC', 'Calgary AB', 'Ottawa ON', 'Edmonton AB',
+            'Winnipeg MB', 'Mississauga ON', 'Vancouver BC', 'Brampton ON', 'Hamilton ON',
+            'Surrey BC', 'Quebec City QC', 'Halifax NS', 'Laval QC', 'London ON',
+            'Markham ON', 'Vaughan ON', 'Gatineau QC', 'Saskatoon SK', 'Kitchener ON',
+            'Longueuil QC', 'Burnaby BC', 'Windsor ON', 'Regina SK', 'Oakville ON',
+            'Richmond BC', 'Richmond Hill ON', 'Burlington ON', 'Oshawa ON', 'Sherbrooke QC',
+            'Sudbury ON', 'Abbotsford BC', 'Barrie ON', 'Kelowna BC', 'Guelph ON',
+            'Kingston ON', 'Victoria BC', "St. John's NL", 'Waterloo ON', 'Moncton NB'
+        ],
+        // Province and territory codes and names
+        regions: {
+            AB: 'Alberta', BC: 'British Columbia', MB: 'Manitoba', NB: 'New Brunswick',
+            NL: 'Newfoundland and Labrador', NS: 'Nova Scotia', NT: 'Northwest Territories', NU: 'Nunavut',
+            ON: 'Ontario', PE: 'Prince Edward Island', QC: 'Quebec', SK: 'Saskatchewan', YT: 'Yukon'
+        },
+        knownCities: [
+            'toronto', 'montreal', 'montréal', 'calgary', 'ottawa', 'edmonton', 'winnipeg', 'mississauga',
+            'vancouver', 'brampton', 'hamilton', 'surrey', 'quebec city', 'québec', 'halifax', 'laval',
+            'london', 'markham', 'vaughan', 'gatineau', 'saskatoon', 'kitchener', 'longueuil', 'burnaby',
+            'windsor', 'regina', 'oakville', 'richmond hill', 'richmond', 'burlington', 'oshawa',
+            'sherbrooke', 'sudbury', 'abbotsford', 'barrie', 'kelowna', 'guelph', 'kingston', 'victoria',
+            "st. john's", 'waterloo', 'moncton', 'fredericton', 'charlottetown', 'saint john',
+            'thunder bay', 'lethbridge', 'red deer', 'nanaimo', 'kamloops', 'niagara falls',
+            'whistler', 'banff', 'canmore', 'mont-tremblant', 'whitehorse', 'yellowknife'
+        ]
+    }
+};
+
+// Other spellings accepted in the country input
+const COUNTRY_ALIASES = {
+    usa: 'us',
+    'united states': 'us',
+    'united states of america': 'us',
+    can: 'ca',
+    canada: 'ca'
+};
+
+/**
+ * Resolves the country input into its configuration
+ * @param {string} country - Country code or name (e.g., "us", "ca", "Canada"); empty means United States
+ * @returns {Object} - Country configuration
+ */
+function getCountryConfig(country = 'us') {
+    const key = String(country || 'us').toLowerCase().trim();
+    const code = COUNTRY_ALIASES[key] || key;
+
+    if (!COUNTRY_CONFIGS[code]) {
+        throw new Error(`Unsupported country "${country}" (supported: ${Object.keys(COUNTRY_CONFIGS).join(', ')})`);
+    }
+
+    return COUNTRY_CONFIGS[code];
+}
+
+/**
+ * Finds the region (state/province) code for a code or name
+ * @param {Object} countryConfig - Country configuration
+ * @param {string} region - Region code or name (e.g., "ON", "Ontario", "Québec")
+ * @returns {string|null} - Region code, or null if the region is not in this country
+ */
+function getRegionCode(countryConfig, region) {
+    if (!region) return null;
+
+    const upper = region.trim().toUpperCase();
+    if (countryConfig.regions[upper]) return upper;
+
+    const normalized = region.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+    const entry = Object.entries(countryConfig.regions)
+        .find(([, name]) => name.toLowerCase() === normalized);
+    return entry ? entry[0] : null;
+}
+
+export {
+    getCountryConfig,
+    getRegionCode,
+    COUNTRY_CONFIGS
+};
@@ -4,6 +4,10 @@
  */
 
 import https from 'https';
+import { formatSalary } from './salary_parser.js';
+import { normalizeCompanyName } from './job_dedup.js';
+import { tagContactRoles, pickDecisionMaker } from './contact_roles.js';
+import { getLatestSchemaVersion } from './migrations.js';
 
 // Supabase project details
 const SUPABASE_URL = 'https://mbaqiwhkngfxxmlkionj.supabase.co';
@@ -61,9 +65,32 @@ function makeRequest(method, path, data = null) {
     });
 }
 
+/**
+ * Checks that the database schema is at the version this code expects
+ * The REST API can't change the schema, so jobs are not saved through it until the database is migrated.
+ * @returns {Promise<boolean>} - True if every migration is applied
+ */
+async function checkSchemaVersion() {
+    try {
+        const expectedVersion = getLatestSchemaVersion();
+        const rows = await makeRequest('GET', '/schema_migrations?select=version&order=version.desc&limit=1');
+        const version = rows.length > 0 ? rows[0].version : 0;
+
+        if (version < expectedVersion) {
+            console.error(`Database schema is at version ${version} but version ${expectedVersion} is expected; not saving through the REST API until "npm run migrate" is run with DATABASE_URL set`);
+            return false;
+        }
+        console.log(`Database schema is at version ${version}`);
+        return true;
+    } catch (error) {
+        console.error(`Could not read the database schema version (${error.message}); not saving through the REST API until "npm run migrate" is run with DATABASE_URL set`);
+        return false;
+    }
+}
+
 /**
  * Initializes the database connection
- * @returns {Promise<boolean>} - True if connection is successful
+ * @returns {Promise<boolean>} - True if connection is successful and the schema is up to date
  */
 async function initDatabase() {
     try {
@@ -75,7 +102,7 @@ async function initDatabase() {
         console.log('Successfully connected to Supabase REST API!');
         console.log('Response:', result);
 
-        return true;
+        return await checkSchemaVersion();
     } catch (error) {
         console.error('Failed to connect to Supabase REST API:', error.message);
 
@@ -87,7 +114,7 @@ async function initDatabase() {
             console.log('Successfully connected to Supabase health endpoint!');
             console.log('Response:', result);
 
-            return true;
+            return await checkSchemaVersion();
         } catch (altError) {
             console.error('Failed to connect to alternative endpoint:', altError.message);
             return false;
@@ -95,6 +122,83 @@ async function initDatabase() {
     }
 }
 
+/**
+ * Merges two source lists without repeating entries
+ * @param {Array} stored - Sources stored on the row
+ * @param {Array} incoming - Sources of the job being saved
+ * @returns {Array} - Combined sources
+ */
+function mergeSources(stored, incoming) {
+    const merged = [];
+    const seen = new Set();
+    for (const source of [...(stored || []), ...(incoming || [])]) {
+        const key = JSON.stringify(source);
+        if (!seen.has(key)) {
+            seen.add(key);
+            merged.push(source);
+        }
+    }
+    return merged;
+}
+
+/**
+ * Builds the REST filter for a job's row: the id found by the fuzzy dedup, or title, company and location
+ * @param {Object} job - Job object
+ * @returns {string} - Query string filter
+ */
+function getJobRowFilter(job) {
+    return job.existing_job_id
+        ? `id=eq.${job.existing_job_id}`
+        : `title=eq.${encodeURIComponent(job.title)}&company=eq.${encodeURIComponent(job.company)}` +
+            (job.location ? `&location=eq.${encodeURIComponent(job.location)}` : '&location=is.null');
+}
+
+/**
+ * Saves a contact to the company contacts table and links it to a job
+ * @param {number} jobId - Job row id
+ * @param {Object} job - Job the contact was found for (company, company_domain)
+ * @param {Object} email - Contact tagged by tagContactRoles
+ * @param {string} now - Timestamp for date fields
+ * @returns {Promise<void>}
+ */
+async function saveCompanyContact(jobId, job, email, now) {
+    const companyKey = normalizeCompanyName(job.company);
+    const contactData = {
+        company: job.company,
+        company_key: companyKey,
+        ...(job.company_domain ? { domain: job.company_domain } : {}),
+        name: `${email.firstName || ''} ${email.lastName || ''}`.trim(),
+        title: email.position || '',
+        role: email.role,
+        email: email.email,
+        ...(email.quality_grade ? { quality_grade: email.quality_grade, quality_flags: email.quality_flags } : {}),
+        last_updated: now
+    };
+
+    const existing = await makeRequest(
+        'GET',
+        `/culinary_company_contacts_google?company_key=eq.${encodeURIComponent(companyKey)}&email=eq.${encodeURIComponent(email.email)}&select=id`
+    );
+
+    let contactId;
+    if (existing && existing.length > 0) {
+        contactId = existing[0].id;
+        await makeRequest('PATCH', `/culinary_company_contacts_google?id=eq.${contactId}`, contactData);
+    } else {
+        const created = await makeRequest('POST', '/culinary_company_contacts_google', { ...contactData, date_added: now });
+        contactId = created[0].id;
+    }
+
+    try {
+        await makeRequest('POST', '/culinary_job_contacts_google', { job_id: jobId, contact_id: contactId });
+    } catch (linkError) {
+        // The contact is already linked to this job
+        if (!linkError.message || !linkError.message.includes('409')) {
+            throw linkError;
+        }
+    }
+}
+
 /**
  * Inserts job data into the database
  * @param {Array} jobs - Array of job objects to insert
@@ -108,26 +212,15 @@ async function insertJobsIntoDatabase(jobs) {
 
         for (const job of jobs) {
             try {
-                // Format salary as a string combining min and max
-                let salaryStr = '';
-                if (job.salary_min && job.salary_max) {
-                    salaryStr = `${job.salary_min} - ${job.salary_max}`;
-                    if (job.salary_currency) {
-                        salaryStr = `${job.salary_currency} ${salaryStr}`;
-                    }
-                    if (job.salary_period) {
-                        salaryStr = `${salaryStr} ${job.salary_period}`;
-                    }
-                }
+                // Format salary as a string (currency, range or single amount, period)
+                const salaryStr = formatSalary(job);
 
                 // Get the current timestamp for date fields
                 const now = new Date().toISOString();
 
-                // Get contact info from the first email if available
-                const contactName = job.emails && job.emails.length > 0 ?
-                    `${job.emails[0].firstName || ''} ${job.emails[0].lastName || ''}`.trim() : '';
-                const contactTitle = job.emails && job.emails.length > 0 ? job.emails[0].position || '' : '';
-                const contactEmail = job.emails && job.emails.length > 0 ? job.emails[0].email || '' : '';
+                // The job's contact is the company's best decision-maker for the job's department
+                const contacts = tagContactRoles(job.emails);
+                const decisionMaker = pickDecisionMaker(contacts, job.title);
 
                 // Insert job data
                 const jobData = {
@@ -136,18 +229,47 @@ async function insertJobsIntoDatabase(jobs) {
                     parent_company: '', // Empty for now
                     location: job.location,
                     salary: salaryStr,
-                    contact_name: contactName,
-                    contact_title: contactTitle,
-                    email: contactEmail,
                     url: job.apply_link,
                     job_details: job.description,
                     linkedin: '', // Empty for now
                     domain: job.company_domain || '',
+                    domain_confidence: job.company_domain ? job.company_domain_confidence ?? null : null,
+                    domain_method: job.company_domain ? job.company_domain_method || null : null,
                     company_size: '', // Empty for now
                     date_added: now,
                     last_updated: now,
                     contacts_last_viewed: null,
-                    parent_url: '' // Empty for now
+                    parent_url: '', // Empty for now
+                    // Jobs without a contact leave contact_name, contact_title and email NULL (or as stored)
+                    ...(decisionMaker ? {
+                        contact_name: `${decisionMaker.firstName || ''} ${decisionMaker.lastName || ''}`.trim() || null,
+                        contact_title: decisionMaker.position || null,
+                        email: decisionMaker.email
+                    } : {}),
+                    // Only sent when known so an update never clears a previously parsed date
+                    ...(job.posted_date ? { posted_date: job.posted_date } : {}),
+                    ...(job.apply_links && job.apply_links.length > 0 ? { apply_links: job.apply_links } : {}),
+                    ...(job.benefits ? {
+                        benefits: job.benefits,
+                        benefit_details: job.benefit_details,
+                        qualifications: job.qualifications,
+                        responsibilities: job.responsibilities,
+                        no_degree_mentioned: job.no_degree_mentioned
+                    } : {}),
+                    ...(job.salary_annual_min || job.salary_annual_max ? {
+                        salary_annual_min: job.salary_annual_min,
+                        salary_annual_max: job.salary_annual_max
+                    } : {}),
+                    ...(job.location_key || job.remote_type ? {
+                        location_city: job.location_city,
+                        location_region: job.location_region,
+                        location_country: job.location_country,
+                        location_postal_code: job.location_postal_code,
+                        remote_type: job.remote_type,
+                        location_key: job.location_key
+                    } : {}),
+                    ...(job.search_location ? { search_location: job.search_location } : {}),
+                    ...(job.sources && job.sources.length > 0 ? { sources: job.sources } : {})
                 };
 
                 // Job insertion is handled below
@@ -155,15 +277,30 @@ async function insertJobsIntoDatabase(jobs) {
                 // Get the job result from the try/catch block
                 let jobResult;
                 try {
-                    // First check if the job already exists based on title and company
+                    // First check if the job already exists based on title, company and location (or the row the fuzzy dedup matched)
                     const checkResult = await makeRequest(
                         'GET',
-                        `/culinary_jobs_google?title=eq.${encodeURIComponent(job.title)}&company=eq.${encodeURIComponent(job.company)}&select=id`
+                        `/culinary_jobs_google?${getJobRowFilter(job)}&select=id,sources,posted_date`
                     );
 
                     if (checkResult && checkResult.length > 0) {
                         console.log(`Job already exists in database: "${job.title}" at "${job.company}" (ID: ${checkResult[0].id})`);
 
+                        // Keep the sources stored by earlier runs; a reworded duplicate keeps the stored title, company and location
+                        if (jobData.sources) {
+                            jobData.sources = mergeSources(checkResult[0].sources, jobData.sources);
+                        }
+                        // posted_date is estimated from "3 days ago" on every run; the earliest estimate is kept
+                        const storedPostedDate = checkResult[0].posted_date;
+                        if (jobData.posted_date && storedPostedDate && new Date(storedPostedDate) <= new Date(jobData.posted_date)) {
+                            delete jobData.posted_date;
+                        }
+                        if (job.existing_job_id) {
+                            delete jobData.title;
+                            delete jobData.company;
+                            delete jobData.location;
+                        }
+
                         // Update the existing job
                         await makeRequest(
                             'PATCH',
@@ -178,7 +315,7 @@ async function insertJobsIntoDatabase(jobs) {
                         try {
                             jobResult = await makeRequest(
                                 'POST',
-                                '/culinary_jobs_google?on_conflict=title,company',
+                                '/culinary_jobs_google?on_conflict=title,company,location',
                                 jobData
                             );
                         } catch (insertError) {
@@ -195,7 +332,7 @@ async function insertJobsIntoDatabase(jobs) {
                                 // Try again with the modified URL
                                 jobResult = await makeRequest(
                                     'POST',
-                                    '/culinary_jobs_google?on_conflict=title,company',
+                                    '/culinary_jobs_google?on_conflict=title,company,location',
                                     jobData
                                 );
 
@@ -218,83 +355,18 @@ async function insertJobsIntoDatabase(jobs) {
                     continue;
                 }
 
-                // Insert email contacts if available
-                if (job.emails && job.emails.length > 0) {
-                    let insertedEmailCount = 0;
-                    for (const email of job.emails) {
+                // Save the company's contacts once and link them to this job
+                if (contacts.length > 0) {
+                    let savedContactCount = 0;
+                    for (const email of contacts) {
                         try {
-                            // Combine first and last name
-                            const fullName = `${email.firstName || ''} ${email.lastName || ''}`.trim();
-
-                            const contactData = {
-                                job_id: jobId,
-                                name: fullName,
-                                title: email.position || '',
-                                email: email.email,
-                                date_added: now,
-                                last_updated: now
-                            };
-
-                            // First check if the contact already exists
-                            try {
-                                const checkResult = await makeRequest(
-                                    'GET',
-                                    `/culinary_contacts_google?job_id=eq.${jobId}&email=eq.${encodeURIComponent(email.email)}&select=id`
-                                );
-
-                                if (checkResult && checkResult.length > 0) {
-                                    console.log(`Contact ${email.email} already exists for job ID ${jobId}`);
-
-                                    // Update the existing contact
-                                    await makeRequest(
-                                        'PATCH',
-                                        `/culinary_contacts_google?id=eq.${checkResult[0].id}`,
-                                        contactData
-                                    );
-
-                                    insertedEmailCount++;
-                                } else {
-                                    // Insert new contact
-                                    try {
-                                        await makeRequest(
-                                            'POST',
-                                            '/culinary_contacts_google',
-                                            contactData
-                                        );
-                                        insertedEmailCount++;
-                                    } catch (insertError) {
-                                        // If there's a constraint error, log it and continue
-                                        if (insertError.message && insertError.message.includes('culinary_contacts_google_job_id_email_key')) {
-                                            console.warn(`Contact ${email.email} already exists for job ID ${jobId} (constraint violation)`);
-                                        } else {
-                                            throw insertError;
-                                        }
-                                    }
-                                }
-                            } catch (checkError) {
-                                console.error(`Error checking if contact ${email.email} exists:`, checkError.message);
-                                // Try to insert anyway
-                                try {
-                                    await makeRequest(
-                                        'POST',
-                                        '/culinary_contacts_google',
-                                        contactData
-                                    );
-                                    insertedEmailCount++;
-                                } catch (insertError) {
-                                    // If there's a constraint error, log it and continue
-                                    if (insertError.message && insertError.message.includes('culinary_contacts_google_job_id_email_key')) {
-                                        console.warn(`Contact ${email.email} already exists for job ID ${jobId} (constraint violation)`);
-                                    } else {
-                                        throw insertError;
-                                    }
-                                }
-                            }
+                            await saveCompanyContact(jobId, job, email, now);
+                            savedContactCount++;
                         } catch (emailError) {
-                            console.error(`Error inserting contact ${email.email}:`, emailError.message);
+                            console.error(`Error saving contact ${email.email}:`, emailError.message);
                         }
                     }
-                    console.log(`Inserted/updated ${insertedEmailCount} out of ${job.emails.length} email contacts for job ID ${jobId}`);
+                    console.log(`Saved ${savedContactCount} out of ${contacts.length} company contacts for job ID ${jobId}`);
                 }
 
                 insertedCount++;
@@ -312,7 +384,29 @@ async function insertJobsIntoDatabase(jobs) {
     }
 }
 
+/**
+ * Saves the merged source list of a job that was found again by another provider or city search
+ * @param {Object} job - Job with its sources array
+ * @returns {Promise<boolean>} - True if the row was updated
+ */
+async function updateJobSources(job) {
+    try {
+        const rows = await makeRequest('GET', `/culinary_jobs_google?${getJobRowFilter(job)}&select=id,sources`);
+        if (!rows || rows.length === 0) return false;
+
+        await makeRequest('PATCH', `/culinary_jobs_google?id=eq.${rows[0].id}`, {
+            sources: mergeSources(rows[0].sources, job.sources),
+            last_updated: new Date().toISOString()
+        });
+        return true;
+    } catch (error) {
+        console.error(`Error updating sources for "${job.title}" at "${job.company}":`, error.message);
+        return false;
+    }
+}
+
 export {
     initDatabase,
-    insertJobsIntoDatabase
+    insertJobsIntoDatabase,
+    updateJobSources
 };
@@ -4,6 +4,10 @@
  */
 
 import pg from 'pg';
+import { formatSalary } from './salary_parser.js';
+import { createJobIndex, normalizeCompanyName } from './job_dedup.js';
+import { tagContactRoles, pickDecisionMaker } from './contact_roles.js';
+import { runMigrations } from './migrations.js';
 const { Pool } = pg;
 
 // Database configuration - using Supabase direct connection
@@ -106,8 +110,8 @@ if (process.env.DATABASE_URL) {
 let pool = null;
 
 /**
- * Initializes the database connection pool
- * @returns {Promise<boolean>} - True if connection is successful
+ * Initializes the database connection pool and applies pending schema migrations
+ * @returns {Promise<boolean>} - True if connection is successful and every migration is applied
  */
 async function initDatabase() {
     try {
@@ -144,10 +148,20 @@ async function initDatabase() {
         try {
             await client.query('SELECT NOW()');
             console.log('Successfully connected to database');
-            return true;
         } finally {
             client.release();
         }
+
+        // Jobs and contacts saved against an older schema would hit tables and columns that don't exist yet
+        try {
+            await runMigrations(pool);
+        } catch (error) {
+            console.error(`Database schema could not be migrated, not saving jobs to the database: ${error.message}`);
+            await pool.end();
+            pool = null;
+            return false;
+        }
+        return true;
     } catch (error) {
         console.error('Failed to connect to database:', error);
         if (error.code === 'ENOTFOUND') {
@@ -253,53 +267,12 @@ async function checkExistingSchema() {
 }
 
 /**
- * Creates indexes for performance optimization
+ * Builds the SQL expression that merges a JSON array of sources into the stored sources column
+ * @param {string} param - Query parameter holding the new sources as JSON (e.g., "$31")
+ * @returns {string} - SQL expression with the distinct union of both lists
  */
-async function createIndexes() {
-    const client = await pool.connect();
-    try {
-        // Create indexes for the jobs table
-        // Drop the unique constraint on URL if it exists
-        try {
-            await client.query(`
-                DO $$
-                BEGIN
-                    IF EXISTS (
-                        SELECT 1 FROM pg_constraint
-                        WHERE conname = 'unique_job_url' AND conrelid = 'culinary_jobs_google'::regclass
-                    ) THEN
-                        ALTER TABLE culinary_jobs_google DROP CONSTRAINT unique_job_url;
-                    END IF;
-                END $$;
-            `);
-            console.info('Checked and dropped unique_job_url constraint if it existed');
-        } catch (error) {
-            console.error('Error checking/dropping URL constraint:', error);
-        }
-
-        // Create indexes for the jobs table
-        await client.query(`
-            CREATE INDEX IF NOT EXISTS idx_google_company_name ON culinary_jobs_google(company);
-            CREATE INDEX IF NOT EXISTS idx_google_job_title ON culinary_jobs_google(title);
-            CREATE INDEX IF NOT EXISTS idx_google_date_added ON culinary_jobs_google(date_added);
-            CREATE INDEX IF NOT EXISTS idx_google_domain ON culinary_jobs_google(domain);
-            CREATE INDEX IF NOT EXISTS idx_google_parent_company ON culinary_jobs_google(parent_company);
-        `);
-
-        // Create indexes for the contacts table
-        await client.query(`
-            CREATE INDEX IF NOT EXISTS idx_google_contact_email ON culinary_contacts_google(email);
-            CREATE INDEX IF NOT EXISTS idx_google_contact_job_id ON culinary_contacts_google(job_id);
-            CREATE INDEX IF NOT EXISTS idx_google_contact_name ON culinary_contacts_google(name);
-        `);
-
-        console.info('Database indexes created successfully');
-    } catch (error) {
-        console.error('Error creating database indexes:', error);
-        // Don't throw the error, just log it
-    } finally {
-        client.release();
-    }
+function mergeSourcesSql(param) {
+    return `(SELECT jsonb_agg(DISTINCT source) FROM jsonb_array_elements(COALESCE(sources, '[]'::jsonb) || COALESCE(${param}::jsonb, '[]'::jsonb)) AS source)`;
 }
 
 /**
@@ -332,34 +305,59 @@ async function insertJobsIntoDatabase(jobs) {
                 await client.query('BEGIN');
                 console.info('Starting new transaction for job insertion');
 
-                // Format salary as a string combining min and max
-                let salaryStr = '';
-                if (job.salary_min && job.salary_max) {
-                    salaryStr = `${job.salary_min} - ${job.salary_max}`;
-                    if (job.salary_currency) {
-                        salaryStr = `${job.salary_currency} ${salaryStr}`;
-                    }
-                    if (job.salary_period) {
-                        salaryStr = `${salaryStr} ${job.salary_period}`;
-                    }
-                }
+                // Format salary as a string (currency, range or single amount, period)
+                const salaryStr = formatSalary(job);
 
                 // Get the current timestamp for date fields
                 const now = new Date().toISOString();
 
-                // Get contact info from the first email if available
-                const contactName = job.emails && job.emails.length > 0 ?
-                    `${job.emails[0].firstName || ''} ${job.emails[0].lastName || ''}`.trim() : '';
-                const contactTitle = job.emails && job.emails.length > 0 ? job.emails[0].position || '' : '';
-                const contactEmail = job.emails && job.emails.length > 0 ? job.emails[0].email || '' : '';
-
-                // If email is empty, add a unique identifier
-                let finalContactEmail = contactEmail;
-                if (!finalContactEmail) {
-                    const uniqueId = `${job.title}_${job.location}`.replace(/[^a-zA-Z0-9]/g, '_').substring(0, 20);
-                    finalContactEmail = `no-email-${uniqueId}@placeholder.com`;
-                    console.info(`Generated placeholder email for empty email: ${finalContactEmail}`);
-                }
+                // The job's contact is the company's best decision-maker for the job's department
+                const contacts = tagContactRoles(job.emails);
+                const decisionMaker = pickDecisionMaker(contacts, job.title);
+                // Jobs without a contact store NULL (an update keeps the contact found earlier)
+                const contactName = decisionMaker ?
+                    `${decisionMaker.firstName || ''} ${decisionMaker.lastName || ''}`.trim() || null : null;
+                const contactTitle = decisionMaker ? decisionMaker.position || null : null;
+                const contactEmail = decisionMaker ? decisionMaker.email : null;
+
+                // Every apply link with its source; url holds the canonical one
+                const applyLinksJson = job.apply_links && job.apply_links.length > 0 ? JSON.stringify(job.apply_links) : null;
+
+                // Benefits, qualifications and responsibilities (null keeps the stored value for jobs that were not re-processed)
+                const toJson = value => (value === undefined || value === null ? null : JSON.stringify(value));
+                const highlightValues = [
+                    toJson(job.benefits),
+                    toJson(job.benefit_details),
+                    toJson(job.qualifications),
+                    toJson(job.responsibilities),
+                    typeof job.no_degree_mentioned === 'boolean' ? job.no_degree_mentioned : null
+                ];
+
+                // Annualized salary for comparing hourly and yearly pay
+                const annualSalaryValues = [
+                    job.salary_annual_min ?? null,
+                    job.salary_annual_max ?? null
+                ];
+
+                // Every provider/search the job was found by (merged with the stored list on update)
+                const sourcesJson = job.sources && job.sources.length > 0 ? JSON.stringify(job.sources) : null;
+
+                // How sure the website resolver is of the domain; replaced along with the domain
+                const domainValues = [
+                    job.company_domain ? job.company_domain_confidence ?? null : null,
+                    job.company_domain ? job.company_domain_method || null : null
+                ];
+
+                // Normalized location and the location that was searched
+                const locationValues = [
+                    job.location_city || null,
+                    job.location_region || null,
+                    job.location_country || null,
+                    job.location_postal_code || null,
+                    job.remote_type || null,
+                    job.location_key || null,
+                    job.search_location || null
+                ];
 
                 // First check if the job already exists
                 console.info(`Checking if job already exists: "${job.title}" at "${job.company}" in "${job.location}"`);
@@ -368,17 +366,22 @@ async function insertJobsIntoDatabase(jobs) {
                     WHERE title = $1 AND company = $2 AND location = $3
                 `;
 
-                const checkResult = await client.query(checkQuery, [
-                    job.title,
-                    job.company,
-                    job.location
-                ]);
+                // Jobs matched to an existing row by the fuzzy dedup carry its id
+                const checkResult = job.existing_job_id
+                    ? await client.query('SELECT id, title, company, location FROM culinary_jobs_google WHERE id = $1', [job.existing_job_id])
+                    : await client.query(checkQuery, [
+                        job.title,
+                        job.company,
+                        job.location
+                    ]);
 
                 let jobId;
                 let isNewJob = false;
                 if (checkResult.rows.length > 0) {
-                    // Update existing job
+                    // Update existing job; a reworded duplicate keeps the stored title, company and location, and
+                    // posted_date (estimated from "3 days ago" on every run) keeps its earliest estimate
                     console.info(`Updating existing job with ID: ${checkResult.rows[0].id}`);
+                    const storedJob = job.existing_job_id ? checkResult.rows[0] : job;
                     const updateQuery = `
                         UPDATE culinary_jobs_google
                         SET
@@ -387,34 +390,60 @@ async function insertJobsIntoDatabase(jobs) {
                             parent_company = $3,
                             location = $4,
                             salary = $5,
-                            contact_name = $6,
-                            contact_title = $7,
-                            email = $8,
+                            contact_name = COALESCE($6, contact_name),
+                            contact_title = COALESCE($7, contact_title),
+                            email = COALESCE($8, email),
                             url = $9,
                             job_details = $10,
                             linkedin = $11,
                             domain = $12,
                             company_size = $13,
+                            posted_date = LEAST(posted_date, $15),
+                            apply_links = COALESCE($16, apply_links),
+                            benefits = COALESCE($17, benefits),
+                            benefit_details = COALESCE($18, benefit_details),
+                            qualifications = COALESCE($19, qualifications),
+                            responsibilities = COALESCE($20, responsibilities),
+                            no_degree_mentioned = COALESCE($21, no_degree_mentioned),
+                            salary_annual_min = COALESCE($22, salary_annual_min),
+                            salary_annual_max = COALESCE($23, salary_annual_max),
+                            location_city = COALESCE($24, location_city),
+                            location_region = COALESCE($25, location_region),
+                            location_country = COALESCE($26, location_country),
+                            location_postal_code = COALESCE($27, location_postal_code),
+                            remote_type = COALESCE($28, remote_type),
+                            location_key = COALESCE($29, location_key),
+                            search_location = COALESCE($30, search_location),
+                            sources = ${mergeSourcesSql('$31')},
+                            domain_confidence = $32,
+                            domain_method = $33,
                             last_updated = CURRENT_TIMESTAMP
                         WHERE id = $14
                         RETURNING id
                     `;
 
                     const updateResult = await client.query(updateQuery, [
-                        job.title,
-                        job.company,
+                        storedJob.title,
+                        storedJob.company,
                         '', // parent_company
-                        job.location,
+                        storedJob.location,
                         salaryStr,
                         contactName,
                         contactTitle,
-                        finalContactEmail,
+                        contactEmail,
                         job.apply_link,
                         job.description,
                         '', // linkedin
                         job.company_domain || '', // domain
                         '', // company_size
-                        checkResult.rows[0].id
+                        checkResult.rows[0].id,
+                        job.posted_date || null,
+                        applyLinksJson,
+                        ...highlightValues,
+                        ...annualSalaryValues,
+                        ...locationValues,
+                        sourcesJson,
+                        ...domainValues
                     ]);
                     jobId = updateResult.rows[0].id;
                     updatedJobs.push(job);
@@ -426,8 +455,13 @@ async function insertJobsIntoDatabase(jobs) {
                             title, company, parent_company, location, salary,
                             contact_name, contact_title, email, url, job_details,
                             linkedin, domain, company_size, date_added, last_updated,
-                            contacts_last_viewed, parent_url
-                        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+                            contacts_last_viewed, parent_url, posted_date, apply_links,
+                            benefits, benefit_details, qualifications, responsibilities, no_degree_mentioned,
+                            salary_annual_min, salary_annual_max, location_city, location_region, location_country,
+                            location_postal_code, remote_type, location_key, search_location, sources,
+                            domain_confidence, domain_method
+                        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19,
+                            $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30, $31, $32, $33, $34, $35, $36)
                         RETURNING id
                     `;
 
@@ -439,7 +473,7 @@ async function insertJobsIntoDatabase(jobs) {
                         salaryStr,
                         contactName,
                         contactTitle,
-                        finalContactEmail,
+                        contactEmail,
                         job.apply_link,
                         job.description,
                         '', // linkedin
@@ -448,33 +482,56 @@ async function insertJobsIntoDatabase(jobs) {
                         now, // date_added
                         now, // last_updated
                         null, // contacts_last_viewed
-                        '' // parent_url
+                        '', // parent_url
+                        job.posted_date || null,
+                        applyLinksJson,
+                        ...highlightValues,
+                        ...annualSalaryValues,
+                        ...locationValues,
+                        sourcesJson,
+                        ...domainValues
                     ]);
                     jobId = insertResult.rows[0].id;
                     newJobs.push(job);
                 }
 
-                // Insert email contacts if available
-                if (job.emails && job.emails.length > 0) {
-                    for (const email of job.emails) {
-                        const fullName = `${email.firstName || ''} ${email.lastName || ''}`.trim();
-                        await client.query(`
-                            INSERT INTO culinary_contacts_google (
-                                job_id, name, title, email, date_added, last_updated
-                            ) VALUES ($1, $2, $3, $4, $5, $6)
-                            ON CONFLICT (job_id, email) DO UPDATE SET
-                                name = EXCLUDED.name,
-                                title = EXCLUDED.title,
-                                last_updated = CURRENT_TIMESTAMP
-                        `, [
-                            jobId,
-                            fullName,
-                            email.position || '',
-                            email.email,
-                            now,
-                            now
-                        ]);
-                    }
+                // Save the company's contacts once and link them to this job
+                const companyKey = normalizeCompanyName(job.company);
+                for (const email of contacts) {
+                    const fullName = `${email.firstName || ''} ${email.lastName || ''}`.trim();
+                    const contactResult = await client.query(`
+                        INSERT INTO culinary_company_contacts_google (
+                            company, company_key, domain, name, title, role, email, date_added, last_updated,
+                            quality_grade, quality_flags
+                        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+                        ON CONFLICT (company_key, email) DO UPDATE SET
+                            domain = COALESCE(EXCLUDED.domain, culinary_company_contacts_google.domain),
+                            name = EXCLUDED.name,
+                            title = EXCLUDED.title,
+                            role = EXCLUDED.role,
+                            quality_grade = COALESCE(EXCLUDED.quality_grade, culinary_company_contacts_google.quality_grade),
+                            quality_flags = COALESCE(EXCLUDED.quality_flags, culinary_company_contacts_google.quality_flags),
+                            last_updated = CURRENT_TIMESTAMP
+                        RETURNING id
+                    `, [
+                        job.company,
+                        companyKey,
+                        job.company_domain || null,
+                        fullName,
+                        email.position || '',
+                        email.role,
+                        email.email,
+                        now,
+                        now,
+                        email.quality_grade || null,
+                        email.quality_flags ? JSON.stringify(email.quality_flags) : null
+                    ]);
+
+                    await client.query(`
+                        INSERT INTO culinary_job_contacts_google (job_id, contact_id)
+                        VALUES ($1, $2)
+                        ON CONFLICT DO NOTHING
+                    `, [jobId, contactResult.rows[0].id]);
                 }
 
                 // If we got here, commit the transaction
@@ -521,10 +578,11 @@ async function insertJobsIntoDatabase(jobs) {
 }
 
 /**
- * Fetches all existing job title + company combinations from the database
- * @returns {Promise<Map>} - Map of title+company combinations that already exist
+ * Fetches all existing jobs from the database into a dedup index
+ * @param {string} country - Country searched, for parsing locations stored without a location key
+ * @returns {Promise<Object>} - Job index (see createJobIndex) of the jobs that already exist
  */
-async function fetchExistingJobs() {
+async function fetchExistingJobs(country = 'us') {
     // Fix the DATABASE_URL format if needed
     if (process.env.DATABASE_URL && process.env.DATABASE_URL.includes('/postgres&')) {
         console.info('Fixing DATABASE_URL format in fetchExistingJobs: replacing /postgres& with /postgres?');
@@ -558,32 +616,30 @@ async function fetchExistingJobs() {
 
     if (!pool) {
         console.error('Database not initialized');
-        return new Map();
+        return createJobIndex({ country });
     }
 
     try {
-        console.info('Fetching existing job title + company combinations from database...');
+        console.info('Fetching existing jobs from database...');
 
         const client = await pool.connect();
         try {
             const query = `
-                SELECT title, company
+                SELECT id, title, company, location, location_key
                 FROM culinary_jobs_google
             `;
 
             const result = await client.query(query);
             console.info(`Found ${result.rows.length} existing jobs in database`);
 
-            // Create a Map for efficient lookups
-            const existingJobs = new Map();
+            // Index by normalized title/company so reworded duplicates are found too
+            const existingJobs = createJobIndex({ country });
 
             for (const row of result.rows) {
-                // Use title+company as the key
-                const key = `${row.title.toLowerCase()}|${row.company.toLowerCase()}`;
-                existingJobs.set(key, true);
+                existingJobs.add(row);
             }
 
-            console.info(`Created lookup map with ${existingJobs.size} entries`);
+            console.info(`Created dedup index with ${existingJobs.size} entries`);
             return existingJobs;
 
         } finally {
@@ -591,12 +647,39 @@ async function fetchExistingJobs() {
         }
     } catch (error) {
         console.error('Error fetching existing jobs:', error);
-        return new Map();
+        return createJobIndex({ country });
+    }
+}
+
+/**
+ * Saves the merged source list of a job that was found again by another provider or city search
+ * @param {Object} job - Job with its sources array (title, company, location, sources)
+ * @returns {Promise<boolean>} - True if a row was updated
+ */
+async function updateJobSources(job) {
+    if (!pool) {
+        console.error('Database not initialized');
+        return false;
+    }
+
+    try {
+        const result = await pool.query(`
+            UPDATE culinary_jobs_google
+            SET sources = ${mergeSourcesSql('$1')}, last_updated = CURRENT_TIMESTAMP
+            WHERE ${job.existing_job_id ? 'id = $2' : 'title = $2 AND company = $3 AND location = $4'}
+        `, job.existing_job_id
+            ? [JSON.stringify(job.sources || []), job.existing_job_id]
+            : [JSON.stringify(job.sources || []), job.title, job.company, job.location]);
+        return result.rowCount > 0;
+    } catch (error) {
+        console.error(`Error updating sources for "${job.title}" at "${job.company}":`, error);
+        return false;
     }
 }
 
 export {
     initDatabase,
     insertJobsIntoDatabase,
-    fetchExistingJobs
+    fetchExistingJobs,
+    updateJobSources
 };
@@ -4,6 +4,7 @@
  */
 
 import { Resend } from 'resend';
+import { formatSalary } from './salary_parser.js';
 
 // Email configuration
 const FROM_EMAIL = 'Google Jobs Scraper <aj@chefsheet.com>';
@@ -88,12 +89,10 @@ function formatJobsAsHtml(jobs, limit = 10) {
 
         // Add salary if available
         if (job.salary_min || job.salary_max) {
-            const salaryMin = job.salary_min ? `$${job.salary_min.toLocaleString()}` : '';
-            const salaryMax = job.salary_max ? `$${job.salary_max.toLocaleString()}` : '';
-            const salary = salaryMin && salaryMax ? `${salaryMin} - ${salaryMax}` : salaryMin || salaryMax;
+            const salary = formatSalary(job);
 
             if (salary) {
-                html += ` (${salary}${job.salary_period ? ` ${job.salary_period}` : ''})`;
+                html += ` (${salary})`;
             }
         }
 
@@ -113,6 +112,43 @@ function formatJobsAsHtml(jobs, limit = 10) {
     return html;
 }
 
+/**
+ * Format SearchAPI.io usage as HTML
+ * @param {Object} apiUsage - Usage summary from the usage meter
+ * @param {number} limit - Maximum number of query/city rows to include
+ * @returns {string} - HTML formatted usage breakdown
+ */
+function formatApiUsageAsHtml(apiUsage, limit = 20) {
+    if (!apiUsage) {
+        return '<p>No usage data available.</p>';
+    }
+
+    let html = '<ul style="color: #000000;">';
+    html += `<li><b>${apiUsage.totalCalls}</b> SearchAPI requests${apiUsage.maxApiCalls > 0 ? ` of a ${apiUsage.maxApiCalls} request budget` : ''}.</li>`;
+    if (apiUsage.budgetExhausted) {
+        html += '<li><span style="color: #cc0000;">Budget reached - the run stopped early and will continue from its checkpoint on the next run.</span></li>';
+    }
+    for (const [engine, calls] of Object.entries(apiUsage.byEngine)) {
+        html += `<li>${engine}: ${calls}</li>`;
+    }
+    html += '</ul>';
+
+    if (apiUsage.bySearch.length > 0) {
+        html += '<table style="color: #000000; border-collapse: collapse;">';
+        html += '<tr><th style="text-align: left; padding: 2px 8px;">Query</th><th style="text-align: left; padding: 2px 8px;">City</th><th style="text-align: right; padding: 2px 8px;">Requests</th></tr>';
+        for (const search of apiUsage.bySearch.slice(0, limit)) {
+            html += `<tr><td style="padding: 2px 8px;">${search.query}</td><td style="padding: 2px 8px;">${search.location || '-'}</td><td style="text-align: right; padding: 2px 8px;">${search.calls}</td></tr>`;
+        }
+        html += '</table>';
+
+        if (apiUsage.bySearch.length > limit) {
+            html += `<p><i>...and ${apiUsage.bySearch.length - limit} more query/city combinations</i></p>`;
+        }
+    }
+
+    return html;
+}
+
 /**
  * Generate HTML email content
  * @param {Object} stats - Job statistics object
@@ -129,7 +165,8 @@ function generateEmailHtml(stats, testMode = false) {
         newJobs,
         skippedDuplicateJobs,
         skippedExcludedJobs,
-        queries
+        queries,
+        apiUsage
     } = stats;
 
     // Format completion time
@@ -153,6 +190,9 @@ function generateEmailHtml(stats, testMode = false) {
             <li><b>${skippedExcludedJobs.length}</b> listings were skipped (excluded companies).</li>
         </ul>
 
+        <h2>SearchAPI Usage</h2>
+        ${formatApiUsageAsHtml(apiUsage)}
+
         <h2>Queries Used</h2>
         <ul style="color: #000000;">
             ${queries.map(q => `<li>${q}</li>`).join('')}
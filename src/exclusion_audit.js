@@ -0,0 +1,126 @@
+/**
+ * Exclusion audit trail
+ * Records every job the actor drops (by an exclusion rule, the posting age limit or because a Bing result
+ * couldn't be parsed) with the stage, rule and matched term, and saves the records to a named dataset,
+ * so false positives such as a fine-dining group dropped for containing "Giant" can be reviewed.
+ */
+
+import { Actor } from 'apify';
+import { getUsageContext } from './usage_meter.js';
+
+const DEFAULT_AUDIT_DATASET = 'job-exclusions';
+
+let auditDatasetName = DEFAULT_AUDIT_DATASET; // empty = audit disabled
+let auditRunId = null;
+let auditDatasetPromise = null;
+
+// Records waiting to be pushed, and counts per stage/rule for the run summary
+const pendingRecords = [];
+const countsByRule = new Map();
+
+/**
+ * Configures the audit trail from actor input
+ * @param {Object} options - Audit options
+ * @param {string} options.datasetName - Named dataset the records are saved to (empty disables saving)
+ * @param {string} options.runId - Id of this run, stored on every record so runs can be told apart
+ */
+function configureExclusionAudit({ datasetName = DEFAULT_AUDIT_DATASET, runId = null } = {}) {
+    auditDatasetName = datasetName || '';
+    auditRunId = runId;
+    auditDatasetPromise = null;
+
+    console.info(`Exclusion audit: ${auditDatasetName ? `saving dropped jobs to dataset "${auditDatasetName}"` : 'disabled'}`);
+}
+
+/**
+ * Records a dropped job
+ * @param {Object} job - Job that was dropped
+ * @param {Object} exclusion - Why it was dropped
+ * @param {string} exclusion.rule - Rule id (e.g., "fast_food", "max_posting_age")
+ * @param {string} exclusion.reason - Exclusion reason (e.g., "fast_food", "posting_too_old")
+ * @param {string} exclusion.field - Field that matched (company, domain, title, description, salary, posted_at)
+ * @param {string} exclusion.match - Matched term or value
+ * @param {Object} context - Where it was dropped
+ * @param {string} context.stage - search or process
+ * @param {string} context.provider - Provider the job came from (e.g., "google", "bing")
+ */
+function recordExclusion(job, exclusion, { stage, provider = job.provider } = {}) {
+    const key = `${stage}|${exclusion.rule}`;
+    countsByRule.set(key, (countsByRule.get(key) || 0) + 1);
+
+    if (!auditDatasetName) return;
+
+    const search = getUsageContext();
+    pendingRecords.push({
+        run_id: auditRunId,
+        excluded_at: new Date().toISOString(),
+        stage,
+        rule: exclusion.rule,
+        reason: exclusion.reason,
+        field: exclusion.field,
+        match: exclusion.match === null || exclusion.match === undefined ? null : String(exclusion.match),
+        provider: provider || null,
+        query: search.query || null,
+        search_location: job.search_location || search.location || null,
+        title: job.title || null,
+        company: job.company || null,
+        location: job.location || null,
+        apply_link: job.apply_link || null
+    });
+}
+
+/**
+ * Saves the records collected so far to the audit dataset
+ * @returns {Promise<number>} - Number of records saved
+ */
+async function flushExclusionAudit() {
+    if (!auditDatasetName || pendingRecords.length === 0) return 0;
+
+    // Taken before the first await so concurrent searches don't push the same records twice
+    const records = pendingRecords.splice(0, pendingRecords.length);
+    try {
+        if (!auditDatasetPromise) {
+            auditDatasetPromise = Actor.openDataset(auditDatasetName);
+        }
+        const dataset = await auditDatasetPromise;
+        await dataset.pushData(records);
+        return records.length;
+    } catch (error) {
+        console.error(`Error saving ${records.length} exclusion audit records: ${error.message}`);
+        auditDatasetPromise = null;
+        return 0;
+    }
+}
+
+/**
+ * Gets the number of dropped jobs per stage and rule
+ * @returns {Array<Object>} - { stage, rule, count }, most frequent first
+ */
+function getExclusionAuditSummary() {
+    return Array.from(countsByRule.entries())
+        .map(([key, count]) => {
+            const [stage, rule] = key.split('|');
+            return { stage, rule, count };
+        })
+        .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Logs the number of dropped jobs per stage and rule
+ */
+function logExclusionAuditSummary() {
+    const summary = getExclusionAuditSummary();
+    const total = summary.reduce((sum, entry) => sum + entry.count, 0);
+    console.log(`\nDropped jobs: ${total}${auditDatasetName && total > 0 ? ` (details in dataset "${auditDatasetName}")` : ''}`);
+    for (const { stage, rule, count } of summary) {
+        console.log(`- ${stage} / ${rule}: ${count}`);
+    }
+}
+
+export {
+    configureExclusionAudit,
+    recordExclusion,
+    flushExclusionAudit,
+    getExclusionAuditSummary,
+    logExclusionAuditSummary
+};
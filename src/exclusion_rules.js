@@ -0,0 +1,389 @@
+/**
+ * Exclusion rules
+ * Which jobs to drop (hourly roles, recruiters, job boards, fast food and other chains) is described by
+ * rules rather than hard-coded lists. The defaults live in default_exclusion_rules.json; a run can load
+ * its own rules from a JSON/YAML file or a key-value store record, and the same rules are applied to
+ * every provider's results.
+ *
+ * A rules document looks like:
+ *   {
+ *     "extendDefaults": true,
+ *     "rules": [
+ *       { "id": "fast_food", "reason": "fast_food", "stage": "process", "category": "fast_food", "providers": ["google", "bing"],
+ *         "company": { "match": "token", "terms": ["McDonald's", { "term": "Checkers", "match": "exact" }] },
+ *         "domain": { "terms": ["mcdonalds.com"] },
+ *         "title": { "patterns": ["\\bcrew member\\b"] },
+ *         "description": { "terms": ["drive-thru"] },
+ *         "salary": { "periods": ["hourly"], "annualBelow": 40000 },
+ *         "allow": [{ "company": { "match": "exact", "terms": ["Shake Shack"] } }] }
+ *     ],
+ *     "allow": [{ "domain": { "terms": ["hillstone.com"] } }]
+ *   }
+ * A rule excludes a job when any of its conditions matches, unless the job matches one of the rule's
+ * allow entries or one of the document's allow entries. Rules with a category can be switched off for a run
+ * (the excludeFastFood, excludeRecruiters and excludeHourly inputs).
+ */
+
+import fs from 'fs/promises';
+import { readFileSync } from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { Actor } from 'apify';
+import { getDomainFromUrl } from './search_api.js';
+import { extractJobSalary } from './salary_parser.js';
+import { getCountryConfig } from './country_config.js';
+import { createCompanyMatcher } from './company_matcher.js';
+
+// search: dropped as soon as results come back; process: excluded (and reported) while preparing jobs for the database
+const RULE_STAGES = ['search', 'process'];
+
+const CONDITION_FIELDS = ['company', 'domain', 'title', 'description', 'salary'];
+
+// Categories of rules that actor inputs can switch off
+const RULE_CATEGORIES = ['fast_food', 'recruiter', 'hourly'];
+
+const DEFAULT_EXCLUSION_RULES = JSON.parse(
+    readFileSync(new URL('./default_exclusion_rules.json', import.meta.url), 'utf8')
+);
+
+/**
+ * Compiles one condition of a rule
+ * @param {string} field - company, domain, title, description or salary
+ * @param {Object} condition - Condition as written in the rules document
+ * @param {string} ruleId - Rule id, for error messages
+ * @returns {Object} - Compiled condition
+ */
+function compileCondition(field, condition, ruleId) {
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+        throw new Error(`Invalid exclusion rule "${ruleId}": ${field} must be an object`);
+    }
+
+    if (field === 'salary') {
+        const periods = (condition.periods || []).map(period => String(period).toLowerCase());
+        const annualBelow = condition.annualBelow === undefined ? null : Number(condition.annualBelow);
+        if (annualBelow !== null && !Number.isFinite(annualBelow)) {
+            throw new Error(`Invalid exclusion rule "${ruleId}": salary.annualBelow must be a number`);
+        }
+        return { field, periods, annualBelow };
+    }
+
+    if (field === 'company') {
+        // Terms are names or { term, match } objects; see company_matcher.js for the match modes
+        try {
+            const matcher = createCompanyMatcher(condition.terms || [], condition.match || 'token');
+            return { field, matcher, terms: matcher.entries.map(entry => entry.term) };
+        } catch (error) {
+            throw new Error(`Invalid exclusion rule "${ruleId}": ${error.message}`);
+        }
+    }
+
+    const terms = (condition.terms || []).map(term => String(term));
+
+    if (field === 'domain') {
+        return { field, terms: terms.map(term => term.toLowerCase().replace(/^www\./, '')) };
+    }
+
+    // title / description: plain terms and regular expressions
+    const patterns = (condition.patterns || []).map(pattern => {
+        try {
+            return new RegExp(pattern, 'i');
+        } catch (error) {
+            throw new Error(`Invalid exclusion rule "${ruleId}": bad ${field} pattern "${pattern}" (${error.message})`);
+        }
+    });
+    return { field, terms: terms.map(term => term.toLowerCase()), patterns };
+}
+
+/**
+ * Compiles the conditions of a rule or allow entry
+ * @param {Object} definition - Rule or allow entry
+ * @param {string} ruleId - Rule id, for error messages
+ * @returns {Array<Object>} - Compiled conditions
+ */
+function compileConditions(definition, ruleId) {
+    return CONDITION_FIELDS
+        .filter(field => definition[field] !== undefined)
+        .map(field => compileCondition(field, definition[field], ruleId));
+}
+
+/**
+ * Compiles a rule
+ * @param {Object} rule - Rule as written in the rules document
+ * @returns {Object} - Compiled rule
+ */
+function compileRule(rule) {
+    if (!rule || !rule.id) {
+        throw new Error('Invalid exclusion rule: every rule needs an id');
+    }
+
+    const stage = rule.stage || 'process';
+    if (!RULE_STAGES.includes(stage)) {
+        throw new Error(`Invalid exclusion rule "${rule.id}": unknown stage "${stage}" (supported: ${RULE_STAGES.join(', ')})`);
+    }
+    if (rule.category && !RULE_CATEGORIES.includes(rule.category)) {
+        throw new Error(`Invalid exclusion rule "${rule.id}": unknown category "${rule.category}" (supported: ${RULE_CATEGORIES.join(', ')})`);
+    }
+
+    const conditions = compileConditions(rule, rule.id);
+    if (conditions.length === 0) {
+        throw new Error(`Invalid exclusion rule "${rule.id}": needs at least one of ${CONDITION_FIELDS.join(', ')}`);
+    }
+
+    return {
+        id: rule.id,
+        reason: rule.reason || rule.id,
+        stage,
+        category: rule.category || null,
+        providers: Array.isArray(rule.providers) ? rule.providers.map(provider => provider.toLowerCase()) : null,
+        conditions,
+        allow: (rule.allow || []).map(entry => compileConditions(entry, rule.id))
+    };
+}
+
+/**
+ * Gets the parsed salary of a job, parsing it if the job hasn't been processed yet
+ * @param {Object} job - Job object
+ * @param {string} country - Country searched, for the currency of "$" amounts
+ * @returns {Object} - { period, annual_min, annual_max }
+ */
+function getJobSalary(job, country) {
+    if (job.salary_period !== undefined || job.salary_annual_max !== undefined) {
+        return { period: job.salary_period, annual_min: job.salary_annual_min, annual_max: job.salary_annual_max };
+    }
+    const { currency } = getCountryConfig(country);
+    return extractJobSalary(job, { dollarCurrency: currency, defaultCurrency: currency });
+}
+
+/**
+ * Finds the first term or pattern of a condition that the job matches
+ * @param {Object} condition - Compiled condition
+ * @param {Object} job - Job object (title, company, description, apply_link, company_domain, salary)
+ * @param {string} country - Country searched
+ * @returns {string|null} - The matched term, or null if the condition doesn't match
+ */
+function matchCondition(condition, job, country) {
+    switch (condition.field) {
+        case 'company': {
+            if (!job.company || job.company === 'Unknown Company') return null;
+            const found = condition.matcher.match(job.company);
+            return found ? found.term : null;
+        }
+        case 'domain': {
+            const domains = [getDomainFromUrl(job.apply_link), job.company_domain]
+                .filter(Boolean)
+                .map(domain => domain.toLowerCase().replace(/^www\./, ''));
+            return condition.terms.find(term => domains.some(domain => domain === term || domain.endsWith(`.${term}`))) || null;
+        }
+        case 'title':
+        case 'description': {
+            const text = job[condition.field] || '';
+            const lowerText = text.toLowerCase();
+            const term = condition.terms.find(candidate => lowerText.includes(candidate));
+            if (term) return term;
+            for (const pattern of condition.patterns) {
+                const match = text.match(pattern);
+                if (match) return match[0];
+            }
+            return null;
+        }
+        case 'salary': {
+            const salary = getJobSalary(job, country);
+            if (salary.period && condition.periods.includes(salary.period)) return salary.period;
+            const annual = salary.annual_max ?? salary.annual_min;
+            if (condition.annualBelow !== null && annual !== null && annual !== undefined && annual < condition.annualBelow) {
+                return `${annual} a year`;
+            }
+            return null;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Checks whether a job matches any entry of an allow list
+ * @param {Array<Array<Object>>} allow - Compiled allow entries
+ * @param {Object} job - Job object
+ * @param {string} country - Country searched
+ * @returns {boolean} - True if the job is allowed
+ */
+function isAllowed(allow, job, country) {
+    return allow.some(conditions => conditions.some(condition => matchCondition(condition, job, country) !== null));
+}
+
+/**
+ * Merges a rules document into the defaults
+ * Rules with the same id replace the default rule ("enabled": false turns a default rule off); allow entries are added.
+ * @param {Object} document - Rules document
+ * @returns {Object} - Merged document
+ */
+function mergeWithDefaults(document) {
+    const rules = [...DEFAULT_EXCLUSION_RULES.rules];
+    for (const rule of document.rules || []) {
+        const index = rules.findIndex(existing => existing.id === rule.id);
+        if (index >= 0) {
+            rules[index] = rule;
+        } else {
+            rules.push(rule);
+        }
+    }
+
+    return {
+        rules,
+        allow: [...(DEFAULT_EXCLUSION_RULES.allow || []), ...(document.allow || [])]
+    };
+}
+
+/**
+ * Compiles a rules document into a rule set
+ * @param {Object} document - Rules document (see the top of this file)
+ * @param {Object} options - Rule set options
+ * @param {Array<string>} options.skipCategories - Categories of rules to leave out (e.g., ["fast_food"])
+ * @returns {Object} - Rule set with rules, check(job, context) and getTerms(ruleId, field)
+ */
+function createExclusionRules(document = DEFAULT_EXCLUSION_RULES, { skipCategories = [] } = {}) {
+    if (!document || typeof document !== 'object' || !Array.isArray(document.rules || [])) {
+        throw new Error('Invalid exclusion rules: expected an object with a rules array');
+    }
+
+    const merged = document !== DEFAULT_EXCLUSION_RULES && document.extendDefaults !== false
+        ? mergeWithDefaults(document)
+        : document;
+
+    const rules = (merged.rules || [])
+        .filter(rule => rule && rule.enabled !== false)
+        .map(compileRule)
+        .filter(rule => !skipCategories.includes(rule.category));
+    const allow = (merged.allow || []).map(entry => compileConditions(entry, 'allow'));
+
+    return {
+        rules,
+
+        /**
+         * Finds the first rule that excludes a job
+         * @param {Object} job - Job object (title, company, description, apply_link, company_domain, salary fields)
+         * @param {Object} context - Where the job is being checked
+         * @param {string} context.stage - search or process
+         * @param {string} context.provider - Provider the job came from (e.g., "google", "bing")
+         * @param {string} context.country - Country searched (e.g., "us", "ca")
+         * @returns {Object|null} - { rule, reason, field, match } or null if the job is kept
+         */
+        check(job, { stage = 'process', provider = job.provider, country = 'us' } = {}) {
+            for (const rule of rules) {
+                if (rule.stage !== stage) continue;
+                if (rule.providers && provider && !rule.providers.includes(provider.toLowerCase())) continue;
+
+                for (const condition of rule.conditions) {
+                    const match = matchCondition(condition, job, country);
+                    if (match === null) continue;
+
+                    if (isAllowed(rule.allow, job, country) || isAllowed(allow, job, country)) {
+                        console.info(`Exclusion rule "${rule.id}" matched "${match}" for "${job.title}" at "${job.company}", but the job is allow-listed`);
+                        return null;
+                    }
+                    return { rule: rule.id, reason: rule.reason, field: condition.field, match };
+                }
+            }
+            return null;
+        },
+
+        /**
+         * Lists the terms of one condition of a rule
+         * @param {string} ruleId - Rule id
+         * @param {string} field - company, domain, title or description
+         * @returns {Array<string>} - Terms as written, or an empty array if the rule or condition doesn't exist
+         */
+        getTerms(ruleId, field) {
+            const rule = rules.find(candidate => candidate.id === ruleId);
+            const condition = rule && rule.conditions.find(candidate => candidate.field === field);
+            if (!condition) return [];
+            return [...condition.terms];
+        }
+    };
+}
+
+// Rules used by the search and processing stages; replaced by configureExclusionRules
+let activeRules = createExclusionRules();
+
+/**
+ * Parses a rules document from JSON or YAML text
+ * @param {string} text - Document text
+ * @param {string} name - File name or record key, for error messages
+ * @returns {Object} - Rules document
+ */
+function parseRulesDocument(text, name) {
+    try {
+        return /\.ya?ml$/i.test(name) ? yaml.load(text) : JSON.parse(text);
+    } catch (error) {
+        // Key-value store records have no extension; YAML is tried when the text isn't JSON
+        if (!/\.json$/i.test(name)) {
+            try {
+                return yaml.load(text);
+            } catch (yamlError) {
+                // Fall through to the original error
+            }
+        }
+        throw new Error(`Could not parse exclusion rules from ${name}: ${error.message}`);
+    }
+}
+
+/**
+ * Loads the exclusion rules for this run
+ * @param {Object} options - Where to load rules from (defaults are used when neither is set)
+ * @param {string} options.file - Path to a JSON or YAML rules file
+ * @param {string} options.key - Key of a JSON or YAML record in the default key-value store
+ * @param {Object} options.categories - Whether each rule category applies (e.g., { fast_food: false }); categories left out apply
+ * @returns {Promise<Object>} - The active rule set
+ */
+async function configureExclusionRules({ file = null, key = null, categories = {} } = {}) {
+    let document = DEFAULT_EXCLUSION_RULES;
+    let origin = 'defaults';
+
+    if (key) {
+        const value = await Actor.getValue(key);
+        if (value === null || value === undefined) {
+            throw new Error(`No exclusion rules found in the key-value store under "${key}"`);
+        }
+        document = typeof value === 'string' || Buffer.isBuffer(value)
+            ? parseRulesDocument(value.toString(), key)
+            : value;
+        origin = `key-value store record "${key}"`;
+    } else if (file) {
+        const text = await fs.readFile(path.resolve(file), 'utf8');
+        document = parseRulesDocument(text, file);
+        origin = `file ${file}`;
+    }
+
+    const skipCategories = RULE_CATEGORIES.filter(category => categories[category] === false);
+    activeRules = createExclusionRules(document, { skipCategories });
+
+    const stageCounts = RULE_STAGES.map(stage => `${activeRules.rules.filter(rule => rule.stage === stage).length} ${stage}`).join(', ');
+    console.info(`Exclusion rules: ${activeRules.rules.length} rules from ${origin} (${stageCounts})${skipCategories.length > 0 ? `, not excluding: ${skipCategories.join(', ')}` : ''}`);
+    return activeRules;
+}
+
+/**
+ * Finds the first active rule that excludes a job
+ * @param {Object} job - Job object
+ * @param {Object} context - { stage, provider, country } (see createExclusionRules)
+ * @returns {Object|null} - { rule, reason, field, match } or null if the job is kept
+ */
+function checkExclusionRules(job, context = {}) {
+    return activeRules.check(job, context);
+}
+
+/**
+ * Gets the active rule set
+ * @returns {Object} - Rule set from createExclusionRules
+ */
+function getExclusionRules() {
+    return activeRules;
+}
+
+export {
+    configureExclusionRules,
+    createExclusionRules,
+    checkExclusionRules,
+    getExclusionRules,
+    DEFAULT_EXCLUSION_RULES
+};
@@ -4,32 +4,86 @@
  * and enrich the data with company website URLs (email enrichment is handled by the web viewer)
  */
 
-import { getWebsiteUrlFromSearchAPI, getDomainFromUrl } from './search_api.js';
-import { EXCLUDED_RESTAURANT_CHAINS } from './excluded_chains.js';
 import { isSalaryCompanyName } from './bing_search_api.js';
+import { getSearchMode } from './search_recorder.js';
+import { searchApiRequest } from './searchapi_client.js';
+import { parsePostedAt, getPostingAgeDays } from './posted_date.js';
+import { rankApplyLinks, pickCanonicalApplyLink } from './apply_links.js';
+import { extractJobSalary } from './salary_parser.js';
+import { getCountryConfig } from './country_config.js';
+import { normalizeLocation } from './location_normalizer.js';
+import { buildJobSource } from './job_dedup.js';
+import { checkExclusionRules } from './exclusion_rules.js';
+import { recordExclusion } from './exclusion_audit.js';
+import { resolveCompanyWebsite } from './website_resolver.js';
+
+// Values Google Jobs accepts for the date_posted chip
+const DATE_POSTED_VALUES = ['today', '3days', 'week', 'month'];
+
+// Values Google Jobs accepts for the employment_type chip, with common spellings
+const EMPLOYMENT_TYPES = {
+    fulltime: 'FULLTIME',
+    parttime: 'PARTTIME',
+    contractor: 'CONTRACTOR',
+    contract: 'CONTRACTOR',
+    intern: 'INTERN',
+    internship: 'INTERN'
+};
 
-// Identify recruiter/staffing firms by company name patterns
-function isRecruiterCompanyName(name) {
-    if (!name) return false;
-    const lower = name.toLowerCase();
-    const patterns = [
-        'recruit',
-        'recruiter',
-        'recruitment',
-        'staffing',
-        'headhunt',
-        'headhunter',
-        'talent acquisition',
-        'executive search',
-        'search firm',
-        'placement'
-    ];
-    return patterns.some(p => lower.includes(p));
-}
+/**
+ * Converts search filters into google_jobs engine parameters
+ * @param {Object} filters - Search filters
+ * @param {string} filters.datePosted - today, 3days, week or month
+ * @param {string|Array<string>} filters.employmentType - FULLTIME, PARTTIME, CONTRACTOR and/or INTERN
+ * @param {boolean} filters.remoteOnly - Only return remote / work from home jobs
+ * @param {string} filters.gl - Country code (e.g., "us")
+ * @param {string} filters.hl - Language code (e.g., "en")
+ * @param {number} filters.radius - Search radius around the location in kilometers
+ * @returns {Object} - SearchAPI.io parameters (chips, ltype, gl, hl, lrad)
+ */
+function buildGoogleJobsFilterParams(filters = {}) {
+    const params = {};
+    const chips = [];
+
+    if (filters.datePosted) {
+        // Accept "3days", "3 days", "last 3 days", "past week"...
+        const datePosted = String(filters.datePosted).toLowerCase().replace(/\b(last|past)\b/g, '').replace(/[^a-z0-9]/g, '');
+        if (DATE_POSTED_VALUES.includes(datePosted)) {
+            chips.push(`date_posted:${datePosted}`);
+        } else {
+            console.warn(`Ignoring unknown datePosted filter "${filters.datePosted}" (use one of: ${DATE_POSTED_VALUES.join(', ')})`);
+        }
+    }
+
+    if (filters.employmentType) {
+        const types = Array.isArray(filters.employmentType) ? filters.employmentType : String(filters.employmentType).split(',');
+        for (const type of types) {
+            const employmentType = EMPLOYMENT_TYPES[String(type).toLowerCase().replace(/[^a-z]/g, '')];
+            if (employmentType) {
+                chips.push(`employment_type:${employmentType}`);
+            } else if (String(type).trim()) {
+                console.warn(`Ignoring unknown employmentType filter "${type}" (use FULLTIME, PARTTIME, CONTRACTOR or INTERN)`);
+            }
+        }
+    }
+
+    if (chips.length > 0) {
+        params.chips = chips.join(',');
+    }
+    if (filters.remoteOnly) {
+        params.ltype = '1';
+    }
+    if (filters.gl) {
+        params.gl = String(filters.gl).toLowerCase();
+    }
+    if (filters.hl) {
+        params.hl = String(filters.hl).toLowerCase();
+    }
+    if (Number(filters.radius) > 0) {
+        params.lrad = String(Number(filters.radius));
+    }
 
-function shouldExcludeHourlyGoogle(job) {
-    const text = `${job.title || ''} ${job.description || ''}`.toLowerCase();
-    return /\b(per\s+hour|hourly|\$\s*\d+\s*\/\s*(hour|hr)|\/hr|\/hour)\b/i.test(text);
+    return params;
 }
 
 /**
@@ -37,53 +91,35 @@ function shouldExcludeHourlyGoogle(job) {
  * @param {string} query - The search query (e.g., "restaurant chef united states")
  * @param {string} location - Optional location filter (e.g., "New York")
  * @param {string} nextPageToken - Optional token for pagination
+ * @param {Object} filters - Optional search filters (datePosted, employmentType, remoteOnly, gl, hl, radius)
  * @returns {Promise<Object>} - Job listings and pagination info
  */
-async function searchJobs(query, location = '', nextPageToken = null) {
+async function searchJobs(query, location = '', nextPageToken = null, filters = {}) {
     const apiKey = process.env.SEARCH_API_KEY;
+    const searchMode = getSearchMode();
 
-    if (!apiKey) {
+    if (!apiKey && searchMode !== 'replay') {
         console.warn('SEARCH_API_KEY environment variable not found. Skipping Google Jobs search.');
         return { jobs: [], hasMore: false };
     }
 
     try {
-        // Build the API URL
-        let searchUrl = `https://www.searchapi.io/api/v1/search?engine=google_jobs&q=${encodeURIComponent(query)}&api_key=${apiKey}`;
-
-        // Add cache-busting parameter to ensure fresh results
-        searchUrl += `&_cacheBust=${Date.now()}`;
-
-        // Add location if provided — city should be central, so rely on location param not query text
-        if (location) {
-            searchUrl += `&location=${encodeURIComponent(location)}`;
-        }
-
-        // Add pagination token if provided
-        if (nextPageToken) {
-            searchUrl += `&next_page_token=${encodeURIComponent(nextPageToken)}`;
-        }
-
-        console.info(`GOOGLE JOBS API: Searching for jobs with query "${query}"${location ? ` in ${location}` : ''}`);
-        console.info(`API URL: ${searchUrl.replace(apiKey, '***')}`); // Log URL without API key
-
-        const response = await fetch(searchUrl);
-
-        if (!response.ok) {
-            console.error(`Google Jobs API HTTP error: ${response.status} ${response.statusText}`);
-            const errorText = await response.text();
-            console.error(`Error response body: ${errorText}`);
-            return { jobs: [], hasMore: false };
+        if (searchMode !== 'replay') {
+            console.info(`GOOGLE JOBS API: Searching for jobs with query "${query}"${location ? ` in ${location}` : ''}`);
         }
 
-        const data = await response.json();
+        // Location is passed as its own parameter so the city stays central rather than relying on query text.
+        // In replay mode the response is served from recorded SearchAPI.io responses instead of the network.
+        const data = await searchApiRequest('google_jobs', {
+            q: query,
+            location,
+            next_page_token: nextPageToken,
+            ...buildGoogleJobsFilterParams(filters),
+            // Cache-busting parameter to ensure fresh results
+            _cacheBust: Date.now()
+        });
 
-        // Check for API-level errors in the response
-        if (data.error) {
-            console.error(`Google Jobs API error: ${data.error}`);
-            if (data.error_message) {
-                console.error(`Error message: ${data.error_message}`);
-            }
+        if (!data) {
             return { jobs: [], hasMore: false };
         }
 
@@ -94,34 +130,13 @@ async function searchJobs(query, location = '', nextPageToken = null) {
             return { jobs: [], hasMore: false };
         }
 
-        // Early filtering to reduce runtime: drop hourly roles and recruiter/staffing posters
-        const filteredRawJobs = data.jobs.filter(raw => {
-            try {
-                // Exclude hourly roles quickly
-                if (shouldExcludeHourlyGoogle(raw)) return false;
-
-                // Exclude by explicit company name when present (recruiters, salary-words, chains, etc.)
-                if (raw.company_name) {
-                    if (isRecruiterCompanyName(raw.company_name)) return false;
-                    if (isSalaryCompanyName(raw.company_name)) return false;
-                }
-
-                return true;
-            } catch (e) {
-                return true;
-            }
-        });
-
-        // Log the number of jobs found
-        console.info(`Found ${data.jobs.length} job listings for "${query}" (${filteredRawJobs.length} after early filtering)`);
-
         // Log pagination info for debugging
         if (data.pagination) {
             console.info(`Pagination info: current page token: ${data.pagination.current_page_token || 'none'}, next page token: ${data.pagination.next_page_token || 'none'}`);
         }
 
         // Process the jobs to extract relevant information
-        let processedJobs = filteredRawJobs.map(job => {
+        const processedJobs = data.jobs.map(job => {
             // Extract company name from various sources
             let companyName = job.company_name;
 
@@ -154,27 +169,41 @@ async function searchJobs(query, location = '', nextPageToken = null) {
                 company: companyName || 'Unknown Company',
                 location: job.location || 'Unknown Location',
                 posted_at: job.detected_extensions?.posted_at || 'Unknown',
+                posted_date: parsePostedAt(job.detected_extensions?.posted_at),
                 schedule: job.detected_extensions?.schedule || 'Unknown',
                 description: job.description || 'No description available',
                 highlights: job.job_highlights || [],
                 extensions: job.extensions || [],
+                detected_extensions: job.detected_extensions || {},
                 apply_link: job.apply_link || null,
                 apply_links: job.apply_links || [],
                 source: job.via ? job.via.replace('via ', '') : 'Unknown Source'
             };
         });
 
-        // Filter out hourly jobs and recruiter/staffing companies to reduce noise and runtime
-        processedJobs = processedJobs.filter(j => !shouldExcludeHourlyGoogle(j));
-        processedJobs = processedJobs.filter(j => !isRecruiterCompanyName(j.company));
+        // Early filtering to reduce runtime: drop hourly roles, recruiters and job boards (search stage exclusion rules)
+        const filteredJobs = processedJobs.filter(job => {
+            const exclusion = checkExclusionRules(job, { stage: 'search', provider: 'google', country: filters.gl });
+            if (exclusion) {
+                console.info(`Skipping job: "${job.title}" at "${job.company}" excluded by rule "${exclusion.rule}" (${exclusion.field} matched "${exclusion.match}")`);
+                recordExclusion(job, exclusion, { stage: 'search', provider: 'google' });
+                return false;
+            }
+            return true;
+        });
+
+        // Log the number of jobs found
+        console.info(`Found ${data.jobs.length} job listings for "${query}" (${filteredJobs.length} after early filtering)`);
 
         return {
-            jobs: processedJobs,
+            jobs: filteredJobs,
             hasMore: !!data.pagination?.next_page_token,
             nextPageToken: data.pagination?.next_page_token || null
         };
 
     } catch (error) {
+        // Quota/API key errors abort the whole run
+        if (error.fatal) throw error;
         console.error(`Error during Google Jobs API call for "${query}": ${error.message}`);
         return { jobs: [], hasMore: false };
     }
@@ -185,40 +214,54 @@ async function searchJobs(query, location = '', nextPageToken = null) {
  * @param {string} query - The search query
  * @param {string} location - Optional location filter
  * @param {number} maxPages - Maximum number of pages to fetch (default: 5)
- * @param {Map} existingJobs - Optional map of existing job title+company combinations
+ * @param {Object} existingJobs - Optional index of existing jobs (see createJobIndex)
+ * @param {Object} options - Optional pagination options
+ * @param {string} options.startPageToken - Page token to resume from (e.g., from a checkpoint)
+ * @param {number} options.startPage - Number of pages already fetched before startPageToken
+ * @param {Function} options.onPage - async (pageJobs, nextPageToken, pageNumber) called after each page
+ * @param {Object} options.filters - Search filters passed to every page (see buildGoogleJobsFilterParams)
  * @returns {Promise<Array>} - All job listings
  */
-async function searchAllJobs(query, location = '', maxPages = 20, existingJobs = null) {
+async function searchAllJobs(query, location = '', maxPages = 20, existingJobs = null, options = {}) {
+    const { startPageToken = null, startPage = 0, onPage = null, filters = {} } = options;
     let allJobs = [];
-    let nextPageToken = null;
-    let currentPage = 0;
+    let nextPageToken = startPageToken;
+    let currentPage = startPage;
     let skippedExistingJobs = 0;
 
+    if (startPageToken) {
+        console.info(`Resuming "${query}"${location ? ` in ${location}` : ''} from page ${startPage + 1}`);
+    }
+
     do {
         currentPage++;
         console.info(`Fetching page ${currentPage} of job results...`);
 
-        const result = await searchJobs(query, location, nextPageToken);
+        const result = await searchJobs(query, location, nextPageToken, filters);
 
         if (result.jobs.length === 0) {
             break;
         }
 
+        // Index of this page's first job in allJobs, used to hand the page to onPage
+        const pageStart = allJobs.length;
+
         // If we have a map of existing jobs, filter out jobs that already exist
         if (existingJobs && existingJobs.size > 0) {
             const newJobs = [];
 
             for (const job of result.jobs) {
-                // Create a key using title+company
-                const key = `${job.title.toLowerCase()}|${job.company.toLowerCase()}`;
+                // Match against existing jobs by normalized title/company, location and description
+                const existingJob = existingJobs.findDuplicate(job);
 
-                if (existingJobs.has(key)) {
+                if (existingJob) {
                     // Job already exists in database, skip it
-                    console.info(`Skipping existing job: "${job.title}" at "${job.company}" (already in database)`);
+                    console.info(`Skipping existing job: "${job.title}" at "${job.company}" (already in database as "${existingJob.job.title}" at "${existingJob.job.company}")`);
                     skippedExistingJobs++;
 
-                    // Add a flag to indicate this job was skipped due to existing in DB
+                    // Add a flag to indicate this job was skipped due to existing in DB, and the row it matched
                     job._existsInDatabase = true;
+                    job.existing_job_id = existingJob.job.id;
 
                     // Still add to allJobs for tracking purposes
                     allJobs.push(job);
@@ -237,163 +280,37 @@ async function searchAllJobs(query, location = '', maxPages = 20, existingJobs =
 
         nextPageToken = result.nextPageToken;
 
-        // Add a small delay between requests to avoid rate limiting
-        if (result.hasMore && currentPage < maxPages) {
-            await new Promise(resolve => setTimeout(resolve, 1000));
+        if (onPage) {
+            await onPage(allJobs.slice(pageStart), currentPage < maxPages ? nextPageToken : null, currentPage);
         }
 
+        // Rate limiting between pages is handled by the shared request scheduler
     } while (nextPageToken && currentPage < maxPages);
 
     console.info(`Fetched a total of ${allJobs.length} jobs across ${currentPage} pages (${skippedExistingJobs} already exist in database)`);
     return allJobs;
 }
 
-/**
- * List of excluded companies
- */
-const EXCLUDED_COMPANIES = new Set([
-    "Alliance Personnel", "Aramark", "August Point Advisors", "Bon Appetit", "Capital Restaurant Associates",
-    "Chartwells", "Compass", "CORE Recruitment", "EHS Recruiting", "Empowered Hospitality",
-    "Eurest", "Gecko Hospitality", "Goodwin Recruiting", "HMG Plus - New York", "Hospitality Confidential", "LSG Sky Chefs", "Major Food Group",
-    "Measured HR", "One Haus", "Patrice & Associates", "Persone NYC", "Playbook Advisors",
-    "Restaurant Associates", "Source One Hospitality", "Ten Five Hospitality",
-    "The Goodkind Group", "Tuttle Hospitality", "Willow Tree Recruiting",
-    // Adding Washington variants
-    "washington", "washington dc", "washington d.c.", "washington d c",
-    // Convenience stores and gas station chains to exclude
-    "7-Eleven", "Couche-Tard", "Circle K", "Speedway", "Casey's General Stores", "CST Brands", "Corner Store",
-    "Aplus", "MACS", "Tigermarket", "Stripes", "Aloha", "Murphy USA", "Murphy Express", "ampm",
-    "Kroger", "Turkey Hill", "Kwik Shop", "Quik Stop", "Suncor Energy", "Petro-Canada", "Neighbours", "SuperStop",
-    "GPM Investments", "Fas Mart", "Shore Stop", "Scotchman", "QuikTrip", "Chevron Corp.", "ExtraMile", "Caltex",
-    "Wawa", "Pilot Travel Centers", "Flying J", "Cumberland Farms", "Kum & Go", "Kwik Trip", "Kwik Star", "Sheetz",
-    "Holiday Stationstores", "Shell Canada Select", "Husky", "Mohawk", "TravelCenters of America", "Petro Stopping Centers",
-    "Minit Mart", "RaceTrac", "RaceWay", "Delek U.S.", "Mapco", "Love's Travel Stops & Country Stores",
-    "Stewart's Shops", "United Pacific", "We Got It!", "United Mart", "My Goods", "Allsup's Convenience Stores",
-    "Alon Brands", "Sunshine Gasoline Distributors", "Kwik Fill", "Red Apple", "E-Z Mart Stores", "Xtra Mart", "Alltown",
-    "Maverik", "SuperAmerica", "Western Refining", "Giant", "Mustang", "Sundial", "Howdy's", "Shop24",
-    "Convenient Food Mart", "CEFCO Convenience Stores", "Meijer Gas Stations", "Jacksons Food Stores",
-    "Timewise Food Stores", "Anabi Oil", "Shell", "GetGo", "United Dairy Farmers", "Thorntons", "Snack Express",
-    "Verve", "Esso", "Pioneer", "Admiral", "Royal Farms", "Terrible Herbst", "Flash Foods", "G&M Food Mart",
-    "QuickChek", "American Retail Services", "Hy-Vee Gas", "Loop Neighborhood", "GoMart Food Stores",
-    "Duchess Shoppes", "Blarney Castle", "EZ Mart", "Quality Mart", "Quality Plus", "GOGAS", "Huck's",
-    "Petroleum Mktg. Group", "E&C Enterprises Inc.", "7-Eleven Stores of Oklahoma", "Plaid Pantry", "truenorth",
-    "Little General Stores", "Town Pump Food Stores", "Star Stop", "Roadrunner Markets", "Gasamat", "Smoker Friendly",
-    "Family Fare", "Tri Star Energy", "Twice Daily", "Daily's", "Lil' Mart", "Sprint Mart", "Certified",
-    "Flash Market", "Spinx", "Bucky's Convenience Stores", "MotoMart", "Shell Express Lane", "C.N. Brown",
-    "Big Apple Food Stores", "FiveStar Food Marts", "Toot'n Totum Food Stores", "Sampson-Bladen Oil", "Han-Dee Hugo's",
-    "MFA Oil", "Break Time", "Express Mart", "Mirabito", "Quickway Food Stores", "Convenience Express",
-    "Manley's Mighty-Mart", "ABC Stores", "GATE Stores", "Krist Food Marts", "Country Fair", "Cenex Zip Trip",
-    "Southwest Georgia Oil", "Dandy Mini Marts", "Stinker Stores", "Dash In", "Weigel's Farm Stores",
-    "Family Express", "Shop Rite Inc.", "Tobacco Plus", "Enmark Station", "Enmarket"
-].map(name => name.toLowerCase()));
-
-/**
- * List of fast food restaurants to exclude
- * Source: https://github.com/ajaykumar1196/American-Fast-Food-Restaurants
- */
-const FAST_FOOD_RESTAURANTS = new Set([
-    "McDonald's", "Burger King", "Wendy's", "Subway", "Taco Bell", "Pizza Hut",
-    "KFC", "Chick-fil-A", "Sonic Drive-In", "Domino's Pizza", "Dairy Queen",
-    "Papa John's", "Arby's", "Little Caesars", "Popeyes", "Chipotle", "Hardee's",
-    "Jimmy John's", "Zaxby's", "Five Guys", "Whataburger", "Culver's", "Steak 'n Shake",
-    "Church's Chicken", "Raising Cane's", "Wingstop", "Qdoba", "Jersey Mike's Subs",
-    "Firehouse Subs", "Moe's Southwest Grill", "McAlister's Deli", "Panda Express",
-    "Panera Bread", "Bojangles'", "El Pollo Loco", "Del Taco", "In-N-Out Burger",
-    "White Castle", "Checkers", "Rally's", "Shake Shack", "Smashburger", "Auntie Anne's",
-    "Baskin-Robbins", "Boston Market", "Captain D's", "Carl's Jr.", "Charleys Philly Steaks",
-    "Chuck E. Cheese's", "Cinnabon", "Cold Stone Creamery", "Cousins Subs", "Dunkin'",
-    "Einstein Bros. Bagels", "Fazoli's", "Godfather's Pizza", "Golden Corral", "Hungry Howie's",
-    "Jamba Juice", "Jason's Deli", "Jollibee", "Krispy Kreme", "Krystal", "Long John Silver's",
-    "Marco's Pizza", "Nathan's Famous", "Noodles & Company", "Penn Station", "Port of Subs",
-    "Potbelly Sandwich Shop", "Quiznos", "Round Table Pizza", "Roy Rogers", "Rubio's",
-    "Schlotzsky's", "Smoothie King", "Starbucks", "Taco John's", "Tim Hortons", "Tropical Smoothie Cafe",
-    "Wienerschnitzel", "Wing Street", "Zoup!"
-].map(name => name.toLowerCase()));
-
-/**
- * Normalizes company name for better matching by removing apostrophes and extra spaces
- * @param {string} name - Company name to normalize
- * @returns {string} - Normalized company name
- */
-function normalizeCompanyName(name) {
-    if (!name) return '';
-    return name.toLowerCase()
-        .replace(/'/g, '')  // Remove apostrophes
-        .replace(/'/g, '')  // Remove smart apostrophes
-        .replace(/\s+/g, ' ')  // Replace multiple spaces with single space
-        .trim();
-}
-
-/**
- * Checks if a company should be excluded based on exclusion lists
- * @param {string} company - Company name to check
- * @returns {Object} - Object with isExcluded flag and reason
- */
-function shouldExcludeCompany(company) {
-    if (!company || company === 'Unknown Company') return { isExcluded: false, reason: null };
-
-    const lowerCompany = company.toLowerCase();
-    const normalizedCompany = normalizeCompanyName(company);
-
-    // Check excluded companies list (recruiters, etc.)
-    for (const excluded of EXCLUDED_COMPANIES) {
-        const normalizedExcluded = normalizeCompanyName(excluded);
-        if (lowerCompany.includes(excluded) || normalizedCompany.includes(normalizedExcluded)) {
-            return { isExcluded: true, reason: 'excluded_company', match: excluded };
-        }
-    }
-
-    // Check fast food restaurants list (original list)
-    for (const fastFood of FAST_FOOD_RESTAURANTS) {
-        const normalizedFastFood = normalizeCompanyName(fastFood);
-        // Use more precise matching for fast food with normalized names
-        if (lowerCompany === fastFood ||
-            normalizedCompany === normalizedFastFood ||
-            lowerCompany.includes(` ${fastFood} `) ||
-            lowerCompany.startsWith(`${fastFood} `) ||
-            lowerCompany.endsWith(` ${fastFood}`) ||
-            normalizedCompany.includes(` ${normalizedFastFood} `) ||
-            normalizedCompany.startsWith(`${normalizedFastFood} `) ||
-            normalizedCompany.endsWith(` ${normalizedFastFood}`)) {
-            return { isExcluded: true, reason: 'fast_food', match: fastFood };
-        }
-    }
-
-    // Check comprehensive restaurant chains list
-    for (const chain of EXCLUDED_RESTAURANT_CHAINS) {
-        const lowerChain = chain.toLowerCase();
-        const normalizedChain = normalizeCompanyName(chain);
-        // Use more precise matching for restaurant chains with normalized names
-        if (lowerCompany === lowerChain ||
-            normalizedCompany === normalizedChain ||
-            lowerCompany.includes(` ${lowerChain} `) ||
-            lowerCompany.startsWith(`${lowerChain} `) ||
-            lowerCompany.endsWith(` ${lowerChain}`) ||
-            lowerCompany.includes(lowerChain) ||
-            normalizedCompany.includes(` ${normalizedChain} `) ||
-            normalizedCompany.startsWith(`${normalizedChain} `) ||
-            normalizedCompany.endsWith(` ${normalizedChain}`) ||
-            normalizedCompany.includes(normalizedChain)) {
-            return { isExcluded: true, reason: 'restaurant_chain', match: chain };
-        }
-    }
-
-    return { isExcluded: false, reason: null };
-}
-
 /**
  * Extracts structured data from job listings
  * @param {Array} jobs - Array of job objects from searchJobs or searchAllJobs
  * @param {boolean} includeWebsiteData - Whether to include company website data (email enrichment handled by web viewer)
+ * @param {Object} options - Optional filters
+ * @param {number} options.maxPostingAgeDays - Exclude jobs posted more than this many days before the run (jobs without a posting date are kept)
+ * @param {string} options.country - Country searched (e.g., "us", "ca"); sets the currency for salaries written with "$" or no currency
+ *   and the country of locations that don't name one
  * @returns {Promise<Array>} - Array of structured job data ready for database insertion
  */
-async function processJobsForDatabase(jobs, includeWebsiteData = false) {
+async function processJobsForDatabase(jobs, includeWebsiteData = false, options = {}) {
+    const { maxPostingAgeDays = null, country = 'us' } = options;
+    const { currency } = getCountryConfig(country);
     console.info(`Processing ${jobs.length} jobs for database insertion...`);
 
     let excludedCount = 0;
     let excludedByCompany = 0;
     let excludedByFastFood = 0;
     let excludedByRestaurantChain = 0;
+    let excludedByAge = 0;
     let skippedExistingCount = 0;
 
     // Process each job sequentially to avoid rate limiting
@@ -411,10 +328,13 @@ async function processJobsForDatabase(jobs, includeWebsiteData = false) {
                 company: job.company,
                 location: job.location,
                 posted_at: job.posted_at,
+                posted_date: job.posted_date || null,
                 schedule: job.schedule,
                 description: job.description,
                 apply_link: job.apply_link,
                 source: job.source,
+                sources: job.sources || [buildJobSource(job)],
+                existing_job_id: job.existing_job_id || null,
                 scraped_at: new Date().toISOString(),
                 _existsInDatabase: true
             };
@@ -423,37 +343,39 @@ async function processJobsForDatabase(jobs, includeWebsiteData = false) {
             continue;
         }
 
-        // Check if company name is a salary-related word
-        if (isSalaryCompanyName(job.company)) {
-            console.info(`Excluding job with salary-related company name: "${job.title}" at "${job.company}"`);
+        // Check if the posting is older than the maximum age
+        const postingAgeDays = getPostingAgeDays(job.posted_date);
+        if (maxPostingAgeDays > 0 && postingAgeDays !== null && postingAgeDays > maxPostingAgeDays) {
+            console.info(`Excluding job posted ${Math.floor(postingAgeDays)} days ago: "${job.title}" at "${job.company}" (max age: ${maxPostingAgeDays} days)`);
             excludedCount++;
-            excludedByCompany++; // Count as excluded company for stats
+            excludedByAge++;
 
-            // Add excluded job to the return value for tracking
-            job._exclusionReason = 'salary_company_name';
-            job._exclusionMatch = job.company;
+            job._exclusionReason = 'posting_too_old';
+            job._exclusionMatch = job.posted_at;
+            recordExclusion(job, { rule: 'max_posting_age', reason: 'posting_too_old', field: 'posted_at', match: job.posted_at }, { stage: 'process' });
 
             continue;
         }
 
-        // Check if company should be excluded
-        const exclusionCheck = shouldExcludeCompany(job.company);
-        if (exclusionCheck.isExcluded) {
-            if (exclusionCheck.reason === 'excluded_company') {
-                console.info(`Excluding job at excluded company: "${job.title}" at "${job.company}" (matched: ${exclusionCheck.match})`);
-                excludedByCompany++;
-            } else if (exclusionCheck.reason === 'fast_food') {
-                console.info(`Excluding job at fast food restaurant: "${job.title}" at "${job.company}" (matched: ${exclusionCheck.match})`);
+        // Check the processing stage exclusion rules (salary words as company names, excluded companies, fast food, chains)
+        const exclusion = checkExclusionRules(job, { stage: 'process', country });
+        if (exclusion) {
+            if (exclusion.reason === 'fast_food') {
+                console.info(`Excluding job at fast food restaurant: "${job.title}" at "${job.company}" (matched: ${exclusion.match})`);
                 excludedByFastFood++;
-            } else if (exclusionCheck.reason === 'restaurant_chain') {
-                console.info(`Excluding job at restaurant chain: "${job.title}" at "${job.company}" (matched: ${exclusionCheck.match})`);
+            } else if (exclusion.reason === 'restaurant_chain') {
+                console.info(`Excluding job at restaurant chain: "${job.title}" at "${job.company}" (matched: ${exclusion.match})`);
                 excludedByRestaurantChain++;
+            } else {
+                console.info(`Excluding job by rule "${exclusion.rule}": "${job.title}" at "${job.company}" (${exclusion.field} matched: ${exclusion.match})`);
+                excludedByCompany++;
             }
             excludedCount++;
 
             // Add excluded job to the return value for tracking
-            job._exclusionReason = exclusionCheck.reason;
-            job._exclusionMatch = exclusionCheck.match;
+            job._exclusionReason = exclusion.reason;
+            job._exclusionMatch = exclusion.match;
+            recordExclusion(job, exclusion, { stage: 'process' });
 
             continue;
         }
@@ -461,8 +383,8 @@ async function processJobsForDatabase(jobs, includeWebsiteData = false) {
         // Log jobs that are being kept
         console.info(`Processing job: "${job.title}" at "${job.company}"`);
 
-        // Extract salary information from description or highlights
-        const salaryInfo = extractSalaryInfo(job);
+        // Extract salary information from detected extensions, the provider's salary text, highlights or description
+        const salaryInfo = extractJobSalary(job, { dollarCurrency: currency, defaultCurrency: currency });
 
         // Extract skills from description or highlights
         const skills = extractSkills(job);
@@ -470,26 +392,56 @@ async function processJobsForDatabase(jobs, includeWebsiteData = false) {
         // Calculate experience level based on title and description
         const experienceLevel = calculateExperienceLevel(job);
 
+        // Extract benefits, qualifications and responsibilities from highlights and detected extensions
+        const highlightInfo = extractHighlightInfo(job);
+
+        // Split the free-text location into city/region/country/postal code and a remote/hybrid flag
+        const normalizedLocation = normalizeLocation(job.location, {
+            country,
+            searchLocation: job.search_location,
+            workFromHome: Boolean(job.detected_extensions && job.detected_extensions.work_from_home)
+        });
+
         // Initialize the processed job object
         const processedJob = {
             title: job.title,
             company: job.company,
             location: job.location,
+            location_city: normalizedLocation.city,
+            location_region: normalizedLocation.region,
+            location_country: normalizedLocation.country,
+            location_postal_code: normalizedLocation.postal_code,
+            remote_type: normalizedLocation.remote_type,
+            location_key: normalizedLocation.location_key,
+            search_location: job.search_location || null,
             posted_at: job.posted_at,
+            posted_date: job.posted_date || null,
             schedule: job.schedule,
             description: job.description,
             salary_min: salaryInfo.min,
             salary_max: salaryInfo.max,
             salary_currency: salaryInfo.currency,
             salary_period: salaryInfo.period,
+            salary_annual_min: salaryInfo.annual_min,
+            salary_annual_max: salaryInfo.annual_max,
             skills: skills,
             experience_level: experienceLevel,
+            benefits: highlightInfo.benefits,
+            benefit_details: highlightInfo.benefitDetails,
+            qualifications: highlightInfo.qualifications,
+            responsibilities: highlightInfo.responsibilities,
+            no_degree_mentioned: highlightInfo.noDegreeMentioned,
             apply_link: job.apply_link,
+            apply_links: [],
             source: job.source,
+            // Shared with the raw job, so duplicates merged later in the run are added to this list
+            sources: job.sources || [buildJobSource(job)],
             scraped_at: new Date().toISOString(),
             company_website: null,
             company_domain: null,
-            emails: [] // Email enrichment handled by web viewer
+            company_domain_confidence: null,
+            company_domain_method: null,
+            emails: [] // Filled by the Hunter.io stage when includeHunterData is on
         };
 
         // If website data collection is enabled, get company website URL
@@ -497,29 +449,22 @@ async function processJobsForDatabase(jobs, includeWebsiteData = false) {
             try {
                 console.info(`Collecting website data for ${job.company}...`);
 
-                // Get company website URL
-                const companyUrl = await getWebsiteUrlFromSearchAPI(job.company);
-                if (companyUrl) {
-                    processedJob.company_website = companyUrl;
-                    console.info(`Found website URL for ${job.company}: ${companyUrl}`);
-
-                    // Extract domain from URL
-                    const domain = getDomainFromUrl(companyUrl);
-                    if (domain) {
-                        processedJob.company_domain = domain;
-                        console.info(`Extracted domain for ${job.company}: ${domain}`);
-                    } else {
-                        console.info(`Could not extract domain from URL: ${companyUrl}`);
-                    }
+                // Score candidates from the apply links, the Bing result and a Google search
+                const website = await resolveCompanyWebsite({
+                    ...job,
+                    location_city: processedJob.location_city
+                });
+                if (website) {
+                    processedJob.company_website = website.website;
+                    processedJob.company_domain = website.domain;
+                    processedJob.company_domain_confidence = website.confidence;
+                    processedJob.company_domain_method = website.method;
                 } else {
                     console.info(`No website URL found for ${job.company}`);
                 }
 
-                // Add a small delay between API calls to avoid rate limiting
-                console.info(`Adding delay before processing next job...`);
-                await new Promise(resolve => setTimeout(resolve, 1000));
-
             } catch (error) {
+                if (error.fatal) throw error;
                 console.error(`Error collecting website data for ${job.company}: ${error.message}`);
                 if (error.stack) {
                     console.error(`Stack trace: ${error.stack}`);
@@ -527,76 +472,24 @@ async function processJobsForDatabase(jobs, includeWebsiteData = false) {
             }
         }
 
+        // Keep every apply link, and use the employer's own careers page over aggregators as the canonical url
+        processedJob.apply_links = rankApplyLinks({ ...job, company_domain: processedJob.company_domain });
+        processedJob.apply_link = pickCanonicalApplyLink(processedJob.apply_links, job.apply_link);
+        if (processedJob.apply_link !== job.apply_link) {
+            const canonical = processedJob.apply_links.find(applyLink => applyLink.link === processedJob.apply_link);
+            console.info(`Using ${canonical.kind} apply link for "${job.title}" at "${job.company}": ${processedJob.apply_link}`);
+        }
+
         processedJobs.push(processedJob);
     }
 
-    console.info(`Filtering results: ${excludedCount} jobs excluded (${excludedByCompany} by recruiter list, ${excludedByFastFood} by fast food list, ${excludedByRestaurantChain} by restaurant chain list)`);
+    console.info(`Filtering results: ${excludedCount} jobs excluded (${excludedByCompany} by other exclusion rules, ${excludedByFastFood} by fast food list, ${excludedByRestaurantChain} by restaurant chain list, ${excludedByAge} by posting age)`);
     console.info(`Skipped API calls for ${skippedExistingCount} jobs that already exist in the database`);
     console.info(`Returning ${processedJobs.length} jobs after filtering`);
 
     return processedJobs;
 }
 
-/**
- * Extracts salary information from job description and highlights
- * @param {Object} job - Job object
- * @returns {Object} - Structured salary information
- */
-function extractSalaryInfo(job) {
-    const salaryInfo = {
-        min: null,
-        max: null,
-        currency: 'USD',
-        period: 'yearly'
-    };
-
-    // Check job highlights first
-    if (job.highlights && job.highlights.length > 0) {
-        for (const highlight of job.highlights) {
-            if (highlight.title === 'Compensation' && highlight.items && highlight.items.length > 0) {
-                for (const item of highlight.items) {
-                    const salaryMatch = item.match(/\$([0-9,.]+)(?:\s*-\s*\$([0-9,.]+))?(?:\s*(per|a|\/)\s*(hour|year|month|week|day))?/i);
-                    if (salaryMatch) {
-                        salaryInfo.min = parseFloat(salaryMatch[1].replace(/,/g, ''));
-                        salaryInfo.max = salaryMatch[2] ? parseFloat(salaryMatch[2].replace(/,/g, '')) : salaryInfo.min;
-
-                        if (salaryMatch[4]) {
-                            const period = salaryMatch[4].toLowerCase();
-                            if (period === 'hour') salaryInfo.period = 'hourly';
-                            else if (period === 'year') salaryInfo.period = 'yearly';
-                            else if (period === 'month') salaryInfo.period = 'monthly';
-                            else if (period === 'week') salaryInfo.period = 'weekly';
-                            else if (period === 'day') salaryInfo.period = 'daily';
-                        }
-
-                        break;
-                    }
-                }
-            }
-        }
-    }
-
-    // If no salary found in highlights, check description
-    if (!salaryInfo.min && job.description) {
-        const salaryMatch = job.description.match(/\$([0-9,.]+)(?:\s*-\s*\$([0-9,.]+))?(?:\s*(per|a|\/)\s*(hour|year|month|week|day))?/i);
-        if (salaryMatch) {
-            salaryInfo.min = parseFloat(salaryMatch[1].replace(/,/g, ''));
-            salaryInfo.max = salaryMatch[2] ? parseFloat(salaryMatch[2].replace(/,/g, '')) : salaryInfo.min;
-
-            if (salaryMatch[4]) {
-                const period = salaryMatch[4].toLowerCase();
-                if (period === 'hour') salaryInfo.period = 'hourly';
-                else if (period === 'year') salaryInfo.period = 'yearly';
-                else if (period === 'month') salaryInfo.period = 'monthly';
-                else if (period === 'week') salaryInfo.period = 'weekly';
-                else if (period === 'day') salaryInfo.period = 'daily';
-            }
-        }
-    }
-
-    return salaryInfo;
-}
-
 /**
  * Extracts skills from job description and highlights
  * @param {Object} job - Job object
@@ -640,6 +533,82 @@ function extractSkills(job) {
     return skills;
 }
 
+// Benefits Google flags in detected_extensions
+const EXTENSION_BENEFITS = ['health_insurance', 'dental_insurance', 'paid_time_off'];
+
+// Keywords identifying each benefit in the Benefits highlight and extensions
+const BENEFIT_KEYWORDS = {
+    health_insurance: ['health insurance', 'medical', 'healthcare', 'health care', 'health benefits'],
+    dental_insurance: ['dental'],
+    vision_insurance: ['vision'],
+    life_insurance: ['life insurance'],
+    disability_insurance: ['disability'],
+    paid_time_off: ['paid time off', 'pto', 'paid vacation', 'vacation', 'paid holidays', 'sick leave'],
+    retirement_plan: ['401(k)', '401k', 'retirement', 'pension'],
+    bonus: ['bonus'],
+    employee_discount: ['discount'],
+    meals: ['meal', 'free food', 'dining privileges'],
+    tuition_assistance: ['tuition', 'education assistance'],
+    parental_leave: ['parental leave', 'maternity', 'paternity'],
+    relocation: ['relocation']
+};
+
+/**
+ * Gets the items of a job highlight section by title
+ * @param {Object} job - Job object
+ * @param {string} title - Section title (e.g., "Benefits")
+ * @returns {Array<string>} - Items of the section
+ */
+function getHighlightItems(job, title) {
+    if (!job.highlights || job.highlights.length === 0) return [];
+
+    const items = [];
+    for (const highlight of job.highlights) {
+        if (highlight.title && highlight.title.toLowerCase() === title.toLowerCase() && highlight.items) {
+            items.push(...highlight.items);
+        }
+    }
+    return items;
+}
+
+/**
+ * Extracts benefits, qualifications and responsibilities from job highlights and detected extensions
+ * @param {Object} job - Job object
+ * @returns {Object} - benefits (benefit keys, e.g. "dental_insurance"), benefitDetails, qualifications, responsibilities and noDegreeMentioned
+ */
+function extractHighlightInfo(job) {
+    const detected = job.detected_extensions || {};
+    const benefitDetails = getHighlightItems(job, 'Benefits');
+    const benefits = [];
+
+    // Benefits flagged by Google
+    for (const benefit of EXTENSION_BENEFITS) {
+        if (detected[benefit]) {
+            benefits.push(benefit);
+        }
+    }
+
+    // Benefits mentioned in the Benefits highlight or extensions (e.g., "Health insurance")
+    const benefitText = [...benefitDetails, ...(job.extensions || [])].join(' \n ').toLowerCase();
+    const mentions = keyword => {
+        const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(^|[^a-z0-9])${escaped}`).test(benefitText);
+    };
+    for (const [benefit, keywords] of Object.entries(BENEFIT_KEYWORDS)) {
+        if (!benefits.includes(benefit) && keywords.some(mentions)) {
+            benefits.push(benefit);
+        }
+    }
+
+    return {
+        benefits,
+        benefitDetails,
+        qualifications: getHighlightItems(job, 'Qualifications'),
+        responsibilities: getHighlightItems(job, 'Responsibilities'),
+        noDegreeMentioned: detected.no_degree_mentioned === true
+    };
+}
+
 /**
  * Calculates experience level based on job title and description
  * @param {Object} job - Job object
@@ -7,15 +7,9 @@ const HUNTER_API_KEY = process.env.HUNTER_API_KEY || '';
 const DOMAIN_SEARCH_API_URL = 'https://api.hunter.io/v2/domain-search';
 const API_TIMEOUT_MS = 30000;
 const BATCH_PAUSE_MS = 5000;
+// Days Hunter.io results for a domain are reused (see contact_enrichment.js)
 const CACHE_MAX_AGE_DAYS = 30;
 
-// IMPORTANT: Set this to true to disable caching and force fresh Hunter API calls for each company
-// This ensures we don't get the same contacts for different companies
-const DISABLE_COMPANY_CACHE = true;
-
-// In-memory cache
-const companyCache = new Map();
-
 // Generic email patterns to deprioritize
 const GENERIC_EMAIL_PATTERNS = [
     'info@', 'contact@', 'hello@', 'admin@', 'support@',
@@ -28,7 +22,7 @@ const GENERIC_EMAIL_PATTERNS = [
  * Finds email addresses for a domain using Hunter.io
  * @param {string} domain - The domain to search for email addresses
  * @param {string} companyName - The original company name for reference
- * @returns {Promise<Array>} - Array of email objects
+ * @returns {Promise<Array|null>} - Array of email objects, or null if the request failed
  */
 async function findEmailsWithHunter(domain, companyName) {
     if (!HUNTER_API_KEY) {
@@ -41,14 +35,6 @@ async function findEmailsWithHunter(domain, companyName) {
         return [];
     }
 
-    // Check cache first (unless disabled)
-    const cacheKey = domain.toLowerCase();
-    if (!DISABLE_COMPANY_CACHE && companyCache.has(cacheKey)) {
-        const cachedData = companyCache.get(cacheKey);
-        console.info(`Using cached Hunter.io data for domain "${domain}" (${companyName})`);
-        return cachedData;
-    }
-
     try {
         console.info(`HUNTER API: Searching for emails on domain "${domain}" (${companyName})`);
 
@@ -65,8 +51,8 @@ async function findEmailsWithHunter(domain, companyName) {
         const data = await response.json();
 
         if (!response.ok) {
-            console.error(`Hunter API error: ${data.errors?.[0] || response.statusText}`);
-            return [];
+            console.error(`Hunter API error: ${data.errors?.[0]?.details || data.errors?.[0] || response.statusText}`);
+            return null;
         }
 
         // Check if we have email results
@@ -79,12 +65,6 @@ async function findEmailsWithHunter(domain, companyName) {
 
             if (companyEmails.length > 0) {
                 console.info(`Found ${companyEmails.length} email(s) using company name search for "${companyName}"`);
-
-                // Store in cache
-                if (!DISABLE_COMPANY_CACHE) {
-                    companyCache.set(cacheKey, companyEmails);
-                }
-
                 return companyEmails;
             }
 
@@ -106,14 +86,7 @@ async function findEmailsWithHunter(domain, companyName) {
         }));
 
         // Sort emails by job title relevance
-        const sortedEmails = sortEmailsByRelevance(processedEmails);
-
-        // Store in cache
-        if (!DISABLE_COMPANY_CACHE) {
-            companyCache.set(cacheKey, sortedEmails);
-        }
-
-        return sortedEmails;
+        return sortEmailsByRelevance(processedEmails);
 
     } catch (error) {
         if (error.name === 'AbortError') {
@@ -121,7 +94,7 @@ async function findEmailsWithHunter(domain, companyName) {
         } else {
             console.error(`Error during Hunter API call for domain "${domain}": ${error.message}`);
         }
-        return [];
+        return null;
     }
 }
 
@@ -342,5 +315,7 @@ export {
     findEmailsByCompanyName,
     sortEmailsByRelevance,
     getJobTitlePriority,
-    getDomainFromUrl
+    getDomainFromUrl,
+    CACHE_MAX_AGE_DAYS,
+    GENERIC_EMAIL_PATTERNS
 };
@@ -0,0 +1,352 @@
+/**
+ * Job deduplication
+ * The same posting turns up under different spellings from Google and Bing and from neighbouring city
+ * searches ("Executive Chef - Now Hiring" at "Hillstone Restaurant Group" vs "Executive Chef" at
+ * "Hillstone"). These helpers normalize titles and company names, compare locations and descriptions,
+ * and keep an index of jobs already seen so duplicates are merged into one record listing every source.
+ */
+
+import { normalizeLocation } from './location_normalizer.js';
+
+// Title segments that advertise the posting rather than describe the job
+const TITLE_NOISE_PATTERN = /\b(now hiring|hiring( now| immediately)?|urgent(ly)?|immediate(ly)?( start| hire)?|apply (today|now)|full[- ]?time|part[- ]?time|sign[- ]on bonus|bonus|weekly pay|new|remote|hybrid|up to)\b|\$/i;
+
+// Abbreviations spelled out so "Sr. Sous Chef" and "Senior Sous Chef" match
+const TITLE_ABBREVIATIONS = {
+    sr: 'senior',
+    jr: 'junior',
+    mgr: 'manager',
+    asst: 'assistant',
+    exec: 'executive',
+    gm: 'general manager',
+    agm: 'assistant general manager',
+    dir: 'director'
+};
+
+// Words that don't identify a company ("Hillstone Restaurant Group, Inc." -> "hillstone")
+const COMPANY_STOP_WORDS = [
+    'the', 'inc', 'llc', 'llp', 'lp', 'pllc', 'ltd', 'co', 'corp', 'corporation', 'company', 'group',
+    'restaurant', 'restaurants', 'hospitality', 'holdings', 'brands', 'international', 'enterprises',
+    'management', 'concepts'
+];
+
+// Descriptions shorter than this (e.g., Bing snippets) are not compared
+const MIN_DESCRIPTION_WORDS = 40;
+
+// Two full descriptions of the same posting share at least this share of their words
+const DESCRIPTION_SIMILARITY_THRESHOLD = 0.5;
+
+/**
+ * Lowercases text and strips accents and punctuation
+ * @param {string} text - Text to simplify
+ * @returns {string} - Space-separated lowercase words
+ */
+function simplifyText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/['’]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Normalizes a company name for comparison
+ * @param {string} company - Company name
+ * @returns {string} - Normalized name (e.g., "hillstone")
+ */
+function normalizeCompanyName(company) {
+    const words = simplifyText(company).split(' ').filter(Boolean);
+    const significant = words.filter(word => !COMPANY_STOP_WORDS.includes(word));
+    return (significant.length > 0 ? significant : words).join(' ');
+}
+
+/**
+ * Normalizes a job title for comparison
+ * Drops bracketed text, hiring slogans and segments naming the company, and spells out abbreviations.
+ * @param {string} title - Job title
+ * @param {string} company - Company name, removed when the title repeats it ("Executive Chef - Hillstone")
+ * @returns {string} - Normalized title (e.g., "executive chef")
+ */
+function normalizeJobTitle(title, company = '') {
+    const normalizedCompany = normalizeCompanyName(company);
+    const segments = String(title || '')
+        .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+        .split(/\s[-–—|:]\s|\s*\|\s*|:\s/)
+        .map(segment => segment.trim())
+        .filter(Boolean);
+
+    const kept = segments.filter((segment, index) => {
+        if (index === 0) return true;
+        if (TITLE_NOISE_PATTERN.test(segment)) return false;
+        return !normalizedCompany || normalizeCompanyName(segment) !== normalizedCompany;
+    });
+
+    return simplifyText(kept.join(' '))
+        .split(' ')
+        .filter(word => word && !TITLE_NOISE_PATTERN.test(word))
+        .map(word => TITLE_ABBREVIATIONS[word] || word)
+        .join(' ');
+}
+
+/**
+ * Builds the exact-match dedup key for a job
+ * @param {Object} job - Job object (title, company)
+ * @returns {string} - Normalized "title|company" key
+ */
+function getDedupKey(job) {
+    return `${normalizeJobTitle(job.title, job.company)}|${normalizeCompanyName(job.company)}`;
+}
+
+/**
+ * Checks whether two normalized company names refer to the same company
+ * "hillstone" matches "hillstone houstons" when every word of the shorter name is in the longer one.
+ * @param {string} a - Normalized company name
+ * @param {string} b - Normalized company name
+ * @returns {boolean} - True if the names are compatible
+ */
+function isSameCompany(a, b) {
+    if (!a || !b) return false;
+    if (a === b) return true;
+
+    const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+    const shorterWords = shorter.split(' ');
+    const longerWords = new Set(longer.split(' '));
+    return shorterWords.some(word => word.length >= 4) && shorterWords.every(word => longerWords.has(word));
+}
+
+/**
+ * Gets the set of words in a description used for similarity
+ * @param {string} description - Job description
+ * @returns {Set<string>|null} - Words of 3+ letters, or null if the description is too short to compare
+ */
+function getDescriptionWords(description) {
+    const words = simplifyText(description).split(' ').filter(word => word.length >= 3);
+    return words.length >= MIN_DESCRIPTION_WORDS ? new Set(words) : null;
+}
+
+/**
+ * Calculates the similarity of two descriptions (Jaccard similarity of their words)
+ * @param {string|Set<string>} a - Description or its words
+ * @param {string|Set<string>} b - Description or its words
+ * @returns {number|null} - Similarity from 0 to 1, or null if either description is too short
+ */
+function descriptionSimilarity(a, b) {
+    const wordsA = a instanceof Set ? a : getDescriptionWords(a);
+    const wordsB = b instanceof Set ? b : getDescriptionWords(b);
+    if (!wordsA || !wordsB) return null;
+
+    let shared = 0;
+    for (const word of wordsA) {
+        if (wordsB.has(word)) shared++;
+    }
+    return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Splits a location key ("bethesda|md|us", "remote|us") into its parts
+ * @param {string} locationKey - Location key from the location normalizer
+ * @returns {Object|null} - { city, region, country, remote }, or null if the key is empty
+ */
+function parseLocationKey(locationKey) {
+    if (!locationKey) return null;
+
+    const parts = locationKey.split('|');
+    if (parts.length === 2 && parts[0] === 'remote') {
+        return { city: null, region: null, country: parts[1], remote: true };
+    }
+    const [city, region, country] = parts;
+    return { city: city || null, region: region || null, country: country || null, remote: false };
+}
+
+/**
+ * Gets the normalized location of a job for comparison
+ * A location equal to the searched city is treated as unknown, since Bing falls back to it.
+ * @param {Object} job - Job object (location, location_key, search_location)
+ * @param {string} country - Country searched
+ * @returns {Object|null} - { city, region, country, remote }, or null if unknown
+ */
+function getComparableLocation(job, country) {
+    if (job.location_key) {
+        return parseLocationKey(job.location_key);
+    }
+    if (!job.location || (job.search_location && job.location === job.search_location)) {
+        return null;
+    }
+
+    return parseLocationKey(normalizeLocation(job.location, { country, searchLocation: job.search_location }).location_key);
+}
+
+/**
+ * Checks whether two known locations can be the same place
+ * Country, and city and region where both are known, must agree.
+ * @param {Object} a - Location from getComparableLocation
+ * @param {Object} b - Location from getComparableLocation
+ * @returns {boolean} - True if the locations are compatible
+ */
+function isSameLocation(a, b) {
+    if (a.remote || b.remote) return a.remote === b.remote && a.country === b.country;
+    if (a.country && b.country && a.country !== b.country) return false;
+    if (a.city && b.city && a.city !== b.city) return false;
+    if (a.region && b.region && a.region !== b.region) return false;
+    return true;
+}
+
+/**
+ * Gets every apply link a job was found under
+ * @param {Object} job - Job object (apply_link, sources)
+ * @returns {Array<string>} - Apply links
+ */
+function getApplyLinks(job) {
+    const links = Array.isArray(job.sources) ? job.sources.map(source => source.apply_link) : [];
+    return [job.apply_link, ...links].filter(Boolean);
+}
+
+/**
+ * Checks whether two jobs were found under the same apply link
+ * @param {Object} a - Job object
+ * @param {Object} b - Job object
+ * @returns {boolean} - True if the jobs share an apply link
+ */
+function sharesApplyLink(a, b) {
+    const linksA = new Set(getApplyLinks(a));
+    return getApplyLinks(b).some(link => linksA.has(link));
+}
+
+/**
+ * Builds the source entry recorded for a job (where and how it was found)
+ * @param {Object} job - Job object
+ * @returns {Object} - { provider, source, search_location, apply_link }
+ */
+function buildJobSource(job) {
+    return {
+        provider: job.provider || null,
+        source: job.source || null,
+        search_location: job.search_location || null,
+        apply_link: job.apply_link || null
+    };
+}
+
+/**
+ * Adds a duplicate's source to the job it duplicates
+ * @param {Object} job - Job kept as the record (its sources array is updated in place)
+ * @param {Object} duplicate - Duplicate job
+ * @returns {boolean} - True if the source was new
+ */
+function mergeJobSource(job, duplicate) {
+    if (!Array.isArray(job.sources)) {
+        job.sources = [buildJobSource(job)];
+    }
+
+    const source = buildJobSource(duplicate);
+    const exists = job.sources.some(existing =>
+        existing.provider === source.provider &&
+        existing.source === source.source &&
+        existing.search_location === source.search_location &&
+        existing.apply_link === source.apply_link);
+
+    if (!exists) {
+        job.sources.push(source);
+    }
+    return !exists;
+}
+
+/**
+ * Creates an index of jobs for finding duplicates
+ * Entries are bucketed by normalized title; companies, locations and descriptions are compared within a bucket.
+ * @param {Object} options - Index options
+ * @param {string} options.country - Country searched, for parsing locations
+ * @returns {Object} - Index with add(job), findDuplicate(job), size and toJSON()
+ */
+function createJobIndex({ country = 'us' } = {}) {
+    const buckets = new Map();
+    let size = 0;
+
+    return {
+        /**
+         * Adds a job to the index
+         * @param {Object} job - Job object (title, company, location, description, id)
+         * @returns {Object} - The index entry; entry.job is the job passed in
+         */
+        add(job) {
+            const title = normalizeJobTitle(job.title, job.company);
+            const entry = {
+                job,
+                company: normalizeCompanyName(job.company),
+                location: getComparableLocation(job, country),
+                descriptionWords: getDescriptionWords(job.description)
+            };
+
+            if (!buckets.has(title)) {
+                buckets.set(title, []);
+            }
+            buckets.get(title).push(entry);
+            size++;
+            return entry;
+        },
+
+        /**
+         * Finds an indexed job that the given job duplicates
+         * @param {Object} job - Job to look up
+         * @returns {Object|null} - Matching entry ({ job, company, location }) or null
+         */
+        findDuplicate(job) {
+            const candidates = buckets.get(normalizeJobTitle(job.title, job.company));
+            if (!candidates) return null;
+
+            const company = normalizeCompanyName(job.company);
+            const location = getComparableLocation(job, country);
+            const descriptionWords = getDescriptionWords(job.description);
+
+            return candidates.find(entry => {
+                if (!isSameCompany(entry.company, company)) return false;
+
+                const similarity = descriptionSimilarity(entry.descriptionWords, descriptionWords);
+                if (similarity !== null && similarity < DESCRIPTION_SIMILARITY_THRESHOLD) return false;
+
+                if (entry.location && location) {
+                    return isSameLocation(entry.location, location);
+                }
+                // An unknown location (e.g., a Bing job only placed in the searched city) could be any
+                // opening of the chain, so it only matches the same description or apply link
+                return similarity !== null || sharesApplyLink(entry.job, job);
+            }) || null;
+        },
+
+        get size() {
+            return size;
+        },
+
+        /**
+         * Lists the indexed jobs in a compact form for checkpoints (descriptions are not kept)
+         * @returns {Array<Object>} - { title, company, location, search_location, sources }
+         */
+        toJSON() {
+            const jobs = [];
+            for (const entries of buckets.values()) {
+                for (const { job } of entries) {
+                    jobs.push({
+                        title: job.title,
+                        company: job.company,
+                        location: job.location || null,
+                        search_location: job.search_location || null,
+                        sources: job.sources || []
+                    });
+                }
+            }
+            return jobs;
+        }
+    };
+}
+
+export {
+    createJobIndex,
+    normalizeJobTitle,
+    normalizeCompanyName,
+    getDedupKey,
+    descriptionSimilarity,
+    buildJobSource,
+    mergeJobSource
+};
@@ -0,0 +1,181 @@
+/**
+ * Job source provider registry
+ * Each provider implements search(query, location, options) and returns normalized job objects,
+ * so main.js can run any combination of sources selected by the searchEngine input.
+ */
+
+import { searchAllJobs } from './google_jobs_api.js';
+import { searchAllJobsWithBing } from './bing_search_api.js';
+
+// Registered providers, keyed by lowercase name
+const providers = new Map();
+
+// Shorthand searchEngine values that expand to several providers
+const PROVIDER_ALIASES = {
+    both: ['google', 'bing'],
+    all: null // every registered provider
+};
+
+/**
+ * Registers a job source provider
+ * @param {Object} provider - Provider definition
+ * @param {string} provider.name - Unique provider name used in the searchEngine input (e.g., "google")
+ * @param {string} provider.label - Human readable name used in logs (e.g., "Google Jobs API")
+ * @param {Function} provider.search - async (query, location, options) => Array of raw jobs
+ * @param {boolean} provider.paginated - True if search() calls options.onPage itself for every page
+ */
+function registerJobProvider(provider) {
+    if (!provider || !provider.name || typeof provider.search !== 'function') {
+        throw new Error('Job providers need a name and a search(query, location, options) function');
+    }
+
+    const name = provider.name.toLowerCase();
+    if (providers.has(name)) {
+        console.warn(`Job provider "${name}" is already registered, replacing it`);
+    }
+
+    providers.set(name, {
+        ...provider,
+        name,
+        label: provider.label || provider.name
+    });
+}
+
+/**
+ * Gets a registered provider by name
+ * @param {string} name - Provider name
+ * @returns {Object|null} - Provider or null if not registered
+ */
+function getJobProvider(name) {
+    if (!name) return null;
+    return providers.get(name.toLowerCase()) || null;
+}
+
+/**
+ * Lists the names of all registered providers
+ * @returns {Array<string>} - Provider names
+ */
+function getJobProviderNames() {
+    return Array.from(providers.keys());
+}
+
+/**
+ * Resolves the searchEngine input into a list of providers
+ * Accepts a provider name, an alias ("both", "all"), a comma-separated list, or an array of names
+ * @param {string|Array<string>} searchEngine - The searchEngine input
+ * @returns {Array<Object>} - Providers to run, in order
+ */
+function resolveJobProviders(searchEngine = 'both') {
+    const requested = Array.isArray(searchEngine)
+        ? searchEngine
+        : String(searchEngine || 'both').split(',');
+
+    const names = [];
+    for (const entry of requested) {
+        const name = String(entry).toLowerCase().trim();
+        if (!name) continue;
+
+        if (Object.prototype.hasOwnProperty.call(PROVIDER_ALIASES, name)) {
+            names.push(...(PROVIDER_ALIASES[name] || getJobProviderNames()));
+        } else {
+            names.push(name);
+        }
+    }
+
+    const resolved = [];
+    for (const name of names) {
+        const provider = getJobProvider(name);
+        if (!provider) {
+            console.warn(`Unknown job provider "${name}" (registered: ${getJobProviderNames().join(', ')}), skipping`);
+            continue;
+        }
+        if (!resolved.includes(provider)) {
+            resolved.push(provider);
+        }
+    }
+
+    if (resolved.length === 0) {
+        throw new Error(`No valid job providers in searchEngine input: ${JSON.stringify(searchEngine)}`);
+    }
+
+    return resolved;
+}
+
+/**
+ * Normalizes a job returned by a provider so every source has the same shape
+ * @param {Object} job - Raw job from a provider
+ * @param {Object} provider - The provider that returned the job
+ * @param {string} searchLocation - Location the search was run for
+ * @returns {Object} - Normalized job
+ */
+function normalizeProviderJob(job, provider, searchLocation = '') {
+    return {
+        ...job,
+        title: job.title || 'Unknown Title',
+        company: job.company || 'Unknown Company',
+        location: job.location || 'Unknown Location',
+        description: job.description || '',
+        apply_link: job.apply_link || null,
+        apply_links: job.apply_links || [],
+        posted_date: job.posted_date || null,
+        source: job.source || provider.label,
+        search_location: job.search_location || searchLocation || null,
+        provider: provider.name
+    };
+}
+
+/**
+ * Runs a search against a single provider and normalizes its results
+ * If options.onPage is given it receives normalized jobs for every page; providers without
+ * pagination report all of their results as a single final page.
+ * @param {Object} provider - Provider to run
+ * @param {string} query - The search query
+ * @param {string} location - Location to search in
+ * @param {Object} options - Search options (maxPages, existingJobs, testMode, startPageToken, startPage, onPage, filters, country)
+ * @returns {Promise<Array>} - Normalized jobs
+ */
+async function searchWithProvider(provider, query, location = '', options = {}) {
+    const { onPage = null } = options;
+    const normalize = jobs => (jobs || []).map(job => normalizeProviderJob(job, provider, location));
+
+    const providerOptions = { ...options };
+    if (onPage && provider.paginated) {
+        providerOptions.onPage = (pageJobs, nextPageToken, pageNumber) =>
+            onPage(normalize(pageJobs), nextPageToken, pageNumber);
+    } else {
+        delete providerOptions.onPage;
+    }
+
+    const jobs = normalize(await provider.search(query, location, providerOptions));
+
+    if (onPage && !provider.paginated) {
+        await onPage(jobs, null, 1);
+    }
+
+    return jobs;
+}
+
+// Built-in providers
+registerJobProvider({
+    name: 'google',
+    label: 'Google Jobs API',
+    paginated: true,
+    search: (query, location, { maxPages = 20, existingJobs = null, startPageToken = null, startPage = 0, onPage = null, filters = {} } = {}) =>
+        searchAllJobs(query, location, maxPages, existingJobs, { startPageToken, startPage, onPage, filters })
+});
+
+registerJobProvider({
+    name: 'bing',
+    label: 'Bing Search API',
+    search: (query, location, { testMode = false, existingJobs = null, country = 'us' } = {}) =>
+        searchAllJobsWithBing([query], location, testMode ? 20 : 100, existingJobs, country)
+});
+
+export {
+    registerJobProvider,
+    getJobProvider,
+    getJobProviderNames,
+    resolveJobProviders,
+    searchWithProvider,
+    normalizeProviderJob
+};
@@ -0,0 +1,193 @@
+/**
+ * Location normalization
+ * Jobs carry free-text locations ("Bethesda, MD", "Toronto, ON M5V 2T6", "Anywhere", "vancouver" from a
+ * Bing snippet). These helpers parse them into city, region (state/province), country, postal code and a
+ * remote/hybrid flag, plus a location key that stays the same however a source spells the location.
+ */
+
+import { getCountryConfig, getRegionCode, COUNTRY_CONFIGS } from './country_config.js';
+
+// Postal code formats per country
+const POSTAL_CODE_PATTERNS = {
+    us: /\b(\d{5})(?:-\d{4})?\b/,
+    ca: /\b([A-Z]\d[A-Z])\s?(\d[A-Z]\d)\b/i
+};
+
+// Full country names and abbreviations that can trail a location ("Austin, TX, USA")
+const COUNTRY_NAME_PATTERNS = {
+    us: /^(united states( of america)?|usa|u\.s\.a\.?|u\.s\.?|us)$/i,
+    ca: /^(canada|can)$/i
+};
+
+const REMOTE_PATTERN = /\b(remote|work from home|wfh|anywhere|telecommute|telecommuting)\b/i;
+const HYBRID_PATTERN = /\bhybrid\b/i;
+
+// Placeholders providers use when the location is unknown
+const UNKNOWN_LOCATION_PATTERN = /^(unknown( location)?|n\/a|none|)$/i;
+
+/**
+ * Title-cases a city written in all capitals or all lowercase ("DEATH VALLEY" -> "Death Valley")
+ * Mixed-case names are kept as written ("McAllen", "St. John's").
+ * @param {string} city - City name
+ * @returns {string} - City name
+ */
+function formatCityName(city) {
+    if (city !== city.toUpperCase() && city !== city.toLowerCase()) return city;
+
+    return city.toLowerCase().replace(/(^|[\s\-.'])([a-zà-ÿ])/g, (match, separator, letter) =>
+        (separator === "'" ? match : `${separator}${letter.toUpperCase()}`));
+}
+
+/**
+ * Finds which country a region code or name belongs to, preferring the country being searched
+ * @param {string} region - Region code or name
+ * @param {string} preferredCountry - Country searched
+ * @returns {Object|null} - { country, region } with the region code, or null if no country has it
+ */
+function findRegion(region, preferredCountry) {
+    const codes = [preferredCountry, ...Object.keys(COUNTRY_CONFIGS).filter(code => code !== preferredCountry)];
+    for (const code of codes) {
+        const regionCode = getRegionCode(COUNTRY_CONFIGS[code], region);
+        if (regionCode) {
+            return { country: code, region: regionCode };
+        }
+    }
+    return null;
+}
+
+/**
+ * Builds the location key used to compare locations across sources
+ * @param {Object} location - Normalized location (city, region, country, remote_type)
+ * @returns {string|null} - Key such as "bethesda|md|us" or "remote|us", or null if nothing is known
+ */
+function buildLocationKey(location) {
+    const parts = [location.city, location.region, location.country]
+        .map(part => (part ? part.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim() : ''));
+
+    if (!parts[0] && !parts[1]) {
+        return location.remote_type === 'remote' && parts[2] ? `remote|${parts[2]}` : null;
+    }
+    return parts.join('|');
+}
+
+/**
+ * Parses a free-text location into its parts
+ * @param {string} text - Location as reported by the source
+ * @param {Object} options - Normalization options
+ * @param {string} options.country - Country searched (e.g., "us", "ca"); used when the text doesn't say
+ * @param {string} options.searchLocation - City searched (e.g., "Vancouver BC"); fills in the region of a bare city name
+ * @param {boolean} options.workFromHome - Whether the source flagged the job as work from home
+ * @returns {Object} - { city, region, country, postal_code, remote_type, location_key }
+ */
+function normalizeLocation(text, options = {}) {
+    const { country = 'us', searchLocation = null, workFromHome = false } = options;
+    const countryCode = getCountryConfig(country).code;
+
+    const location = {
+        city: null,
+        region: null,
+        country: null,
+        postal_code: null,
+        remote_type: null,
+        location_key: null
+    };
+
+    let remaining = typeof text === 'string' ? text.trim() : '';
+    if (UNKNOWN_LOCATION_PATTERN.test(remaining)) remaining = '';
+
+    if (workFromHome || REMOTE_PATTERN.test(remaining)) {
+        location.remote_type = 'remote';
+    } else if (HYBRID_PATTERN.test(remaining)) {
+        location.remote_type = 'hybrid';
+    }
+
+    // Drop remote words and Google's "(+2 others)" suffix, keeping any city that comes with them
+    remaining = remaining
+        .replace(/\(\s*\+\d+\s+others?\s*\)/gi, '')
+        .replace(new RegExp(`${REMOTE_PATTERN.source}|${HYBRID_PATTERN.source}`, 'gi'), '')
+        .replace(/^[\s\-–:,/]*(?:(?:work|job|position)s?\s+)?(?:in|from|based in)?\s+/i, '')
+        .replace(/^[\s\-–:,/()]+|[\s\-–:,/()]+$/g, '');
+
+    // Postal code, in the searched country's format first
+    const postalCountries = [countryCode, ...Object.keys(POSTAL_CODE_PATTERNS).filter(code => code !== countryCode)];
+    for (const code of postalCountries) {
+        const match = remaining.match(POSTAL_CODE_PATTERNS[code]);
+        if (match) {
+            location.postal_code = match[2] ? `${match[1]} ${match[2]}`.toUpperCase() : match[1];
+            location.country = code;
+            remaining = remaining.replace(match[0], '').replace(/[\s,]+$/, '').trim();
+            break;
+        }
+    }
+
+    let parts = remaining.split(',').map(part => part.trim()).filter(Boolean);
+
+    // Trailing country name ("Austin, TX, United States"); a lone "CA" is California, not Canada
+    const lastPart = parts[parts.length - 1];
+    const namedCountry = lastPart && Object.keys(COUNTRY_NAME_PATTERNS)
+        .find(code => COUNTRY_NAME_PATTERNS[code].test(lastPart) && !(parts.length === 1 && /^ca$/i.test(lastPart)));
+    if (namedCountry) {
+        location.country = namedCountry;
+        parts = parts.slice(0, -1);
+    }
+
+    // "City, Region" or the search-location form "City XX"
+    let cityText = null;
+    if (parts.length >= 2) {
+        const region = findRegion(parts[parts.length - 1], location.country || countryCode);
+        if (region) {
+            location.region = region.region;
+            location.country = location.country || region.country;
+            cityText = parts[parts.length - 2];
+        } else {
+            cityText = parts[0];
+        }
+    } else if (parts.length === 1) {
+        const spaced = parts[0].match(/^(.+?)\s+([A-Za-z]{2})$/);
+        const region = spaced ? findRegion(spaced[2].toUpperCase(), location.country || countryCode) : null;
+        // "New York" and "Quebec" are cities as well as regions; well-known cities win
+        const isKnownCity = getCountryConfig(location.country || countryCode).knownCities.includes(parts[0].toLowerCase());
+        const wholeRegion = !region && !isKnownCity ? findRegion(parts[0], location.country || countryCode) : null;
+
+        if (region && spaced[2] === spaced[2].toUpperCase()) {
+            location.region = region.region;
+            location.country = location.country || region.country;
+            cityText = spaced[1];
+        } else if (wholeRegion && (parts[0].length > 2 || parts[0] === parts[0].toUpperCase())) {
+            // A region on its own ("Ontario", "CA")
+            location.region = wholeRegion.region;
+            location.country = location.country || wholeRegion.country;
+        } else {
+            cityText = parts[0];
+        }
+    }
+
+    if (cityText) {
+        location.city = formatCityName(cityText);
+    }
+
+    // A bare city name takes its region from the search location when they are the same city
+    if (location.city && !location.region && searchLocation) {
+        const searched = normalizeLocation(searchLocation, { country: countryCode });
+        if (searched.city && searched.city.toLowerCase() === location.city.toLowerCase()) {
+            location.city = searched.city;
+            location.region = searched.region;
+            location.country = location.country || searched.country;
+        }
+    }
+
+    if (!location.country && (location.city || location.region || location.remote_type)) {
+        location.country = countryCode;
+    }
+    if (location.country) {
+        location.country = location.country.toUpperCase();
+    }
+
+    location.location_key = buildLocationKey(location);
+    return location;
+}
+
+export {
+    normalizeLocation,
+    buildLocationKey
+};
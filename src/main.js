@@ -5,26 +5,40 @@
  * and save them to a dataset or push them to a database.
  */
 import { Actor } from 'apify';
-import { searchAllJobs, processJobsForDatabase } from './google_jobs_api.js';
-import { searchAllJobsWithBing } from './bing_search_api.js';
+import { processJobsForDatabase } from './google_jobs_api.js';
+import { resolveJobProviders, searchWithProvider } from './job_providers.js';
+import { configureScheduler, getMaxConcurrency, runWithConcurrency } from './request_scheduler.js';
+import { configureUsageMeter, runWithUsageContext, getUsageSummary, logUsageSummary } from './usage_meter.js';
+import { configureSearchRecorder } from './search_recorder.js';
+import { configureExclusionRules } from './exclusion_rules.js';
+import { configureExclusionAudit, flushExclusionAudit, logExclusionAuditSummary } from './exclusion_audit.js';
+import { configureCompanyDomainCache, saveCompanyDomainCache, logCompanyDomainCacheSummary } from './company_domain_cache.js';
+import { configureContactEnrichment, enrichJobsWithContacts, saveContactCache, logContactEnrichmentSummary } from './contact_enrichment.js';
+import { setRunTimestamp } from './posted_date.js';
+import { formatSalary } from './salary_parser.js';
+import { getCountryConfig } from './country_config.js';
+import {
+    openCheckpointStore,
+    buildRunFingerprint,
+    loadCheckpoint,
+    saveCheckpoint,
+    isCheckpointDue,
+    clearCheckpoint,
+    summarizeJobForCheckpoint
+} from './checkpoint.js';
 import { testFunction } from './test.js';
 import { sendCompletionEmail } from './email.js';
 import {
     initDatabase as importedInitDatabase,
     insertJobsIntoDatabase as importedInsertJobsIntoDatabase,
-    fetchExistingJobs
+    fetchExistingJobs,
+    updateJobSources as importedUpdateJobSources
 } from './database.js';
+import { createJobIndex, buildJobSource, mergeJobSource } from './job_dedup.js';
 
 // Log test function result
 console.log('Test function result:', testFunction());
 
-// Import the PostgreSQL client
-import pg from 'pg';
-const { Pool } = pg;
-
-// Define database variables
-let pool = null;
-
 // Try to import the REST API module
 let restModule = null;
 try {
@@ -40,6 +54,9 @@ let insertJobsIntoDatabase = async (jobs) => {
     return 0;
 };
 
+// Default implementation of updateJobSources (used if both approaches fail)
+let updateJobSources = async (job) => false;
+
 // Initialize database function
 async function initDatabase() {
     // First try the imported database.js implementation
@@ -50,6 +67,7 @@ async function initDatabase() {
             console.log('Successfully connected using imported database.js!');
             // Use the imported implementation
             insertJobsIntoDatabase = importedInsertJobsIntoDatabase;
+            updateJobSources = importedUpdateJobSources;
             return true;
         }
         console.log('Imported database.js approach failed, falling back to REST API...');
@@ -67,6 +85,7 @@ async function initDatabase() {
                 console.log('Successfully connected using REST API!');
                 // Use the REST API implementation
                 insertJobsIntoDatabase = restModule.insertJobsIntoDatabase;
+                updateJobSources = restModule.updateJobSources;
                 return true;
             }
             console.log('REST API approach failed, falling back to dummy implementation...');
@@ -81,334 +100,6 @@ async function initDatabase() {
     return false;
 }
 
-// Check for and remove URL unique constraint
-async function checkAndRemoveUrlConstraint() {
-    try {
-        console.log('Checking for URL unique constraint...');
-
-        // Check if the URL constraint exists
-        const constraintCheck = await pool.query(`
-            SELECT con.conname
-            FROM pg_constraint con
-            JOIN pg_class rel ON rel.oid = con.conrelid
-            JOIN pg_attribute att ON att.attrelid = rel.oid AND att.attnum = ANY(con.conkey)
-            WHERE rel.relname = 'culinary_jobs_google'
-            AND att.attname = 'url'
-            AND con.contype = 'u';
-        `);
-
-        if (constraintCheck.rows.length > 0) {
-            const constraintName = constraintCheck.rows[0].conname;
-            console.log(`Found URL unique constraint: ${constraintName}`);
-
-            // Drop the constraint
-            console.log(`Removing URL unique constraint: ${constraintName}...`);
-            await pool.query(`
-                ALTER TABLE culinary_jobs_google
-                DROP CONSTRAINT ${constraintName};
-            `);
-
-            console.log(`Successfully removed URL unique constraint: ${constraintName}`);
-
-            // Create an index on URL instead (for performance but not uniqueness)
-            console.log('Creating non-unique index on URL column...');
-            await pool.query(`
-                CREATE INDEX IF NOT EXISTS idx_google_url ON culinary_jobs_google(url);
-            `);
-
-            console.log('Successfully created non-unique index on URL column');
-        } else {
-            console.log('No URL unique constraint found - no action needed');
-
-            // Check if the URL index exists
-            const indexCheck = await pool.query(`
-                SELECT indexname
-                FROM pg_indexes
-                WHERE tablename = 'culinary_jobs_google'
-                AND indexname = 'idx_google_url';
-            `);
-
-            if (indexCheck.rows.length === 0) {
-                console.log('Creating non-unique index on URL column...');
-                await pool.query(`
-                    CREATE INDEX IF NOT EXISTS idx_google_url ON culinary_jobs_google(url);
-                `);
-                console.log('Successfully created non-unique index on URL column');
-            }
-        }
-
-        // Also check for email-company constraint
-        const emailCompanyConstraintCheck = await pool.query(`
-            SELECT con.conname
-            FROM pg_constraint con
-            JOIN pg_class rel ON rel.oid = con.conrelid
-            WHERE rel.relname = 'culinary_jobs_google'
-            AND con.conname = 'culinary_jobs_google_email_company_key';
-        `);
-
-        if (emailCompanyConstraintCheck.rows.length > 0) {
-            const constraintName = emailCompanyConstraintCheck.rows[0].conname;
-            console.log(`Found email-company unique constraint: ${constraintName}`);
-
-            // Drop the constraint
-            console.log(`Removing email-company unique constraint: ${constraintName}...`);
-            await pool.query(`
-                ALTER TABLE culinary_jobs_google
-                DROP CONSTRAINT ${constraintName};
-            `);
-
-            console.log(`Successfully removed email-company unique constraint: ${constraintName}`);
-        }
-    } catch (error) {
-        console.error('Error checking or removing URL constraint:', error);
-    }
-}
-
-// Check if tables exist and create them if needed
-async function checkAndCreateTables() {
-    try {
-        console.log('Checking if required tables exist...');
-
-        // Check if culinary_jobs_google table exists
-        const jobsTableCheck = await pool.query(`
-            SELECT EXISTS (
-                SELECT FROM information_schema.tables
-                WHERE table_schema = 'public'
-                AND table_name = 'culinary_jobs_google'
-            );
-        `);
-
-        const jobsTableExists = jobsTableCheck.rows[0].exists;
-        console.log(`Table culinary_jobs_google exists: ${jobsTableExists}`);
-
-        // Check and remove URL unique constraint if it exists
-        if (jobsTableExists) {
-            await checkAndRemoveUrlConstraint();
-        }
-
-        if (!jobsTableExists) {
-            console.log('Creating culinary_jobs_google table...');
-            await pool.query(`
-                CREATE TABLE IF NOT EXISTS culinary_jobs_google (
-                    id SERIAL PRIMARY KEY,
-                    title VARCHAR(255) NOT NULL,
-                    company VARCHAR(255) NOT NULL,
-                    parent_company VARCHAR(255),
-                    location VARCHAR(255),
-                    salary VARCHAR(255),
-                    contact_name VARCHAR(255),
-                    contact_title VARCHAR(255),
-                    email VARCHAR(255),
-                    url TEXT,
-                    job_details TEXT,
-                    linkedin VARCHAR(255),
-                    domain VARCHAR(255),
-                    company_size VARCHAR(255),
-                    date_added TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-                    last_updated TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-                    contacts_last_viewed TIMESTAMP WITH TIME ZONE,
-                    parent_url VARCHAR(255),
-
-                    CONSTRAINT culinary_jobs_google_title_company_key UNIQUE (title, company)
-                );
-
-                CREATE INDEX IF NOT EXISTS idx_google_company_name ON culinary_jobs_google(company);
-                CREATE INDEX IF NOT EXISTS idx_google_job_title ON culinary_jobs_google(title);
-                CREATE INDEX IF NOT EXISTS idx_google_date_added ON culinary_jobs_google(date_added);
-                CREATE INDEX IF NOT EXISTS idx_google_domain ON culinary_jobs_google(domain);
-                CREATE INDEX IF NOT EXISTS idx_google_parent_company ON culinary_jobs_google(parent_company);
-            `);
-            console.log('Table culinary_jobs_google created successfully');
-        }
-
-        // Check if culinary_contacts_google table exists
-        const contactsTableCheck = await pool.query(`
-            SELECT EXISTS (
-                SELECT FROM information_schema.tables
-                WHERE table_schema = 'public'
-                AND table_name = 'culinary_contacts_google'
-            );
-        `);
-
-        const contactsTableExists = contactsTableCheck.rows[0].exists;
-        console.log(`Table culinary_contacts_google exists: ${contactsTableExists}`);
-
-        if (!contactsTableExists) {
-            console.log('Creating culinary_contacts_google table...');
-            await pool.query(`
-                CREATE TABLE IF NOT EXISTS culinary_contacts_google (
-                    id SERIAL PRIMARY KEY,
-                    job_id INTEGER REFERENCES culinary_jobs_google(id) ON DELETE CASCADE,
-                    name VARCHAR(255),
-                    title VARCHAR(255),
-                    email VARCHAR(255) NOT NULL,
-                    date_added TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-                    last_updated TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-
-                    CONSTRAINT unique_google_contact_email UNIQUE (job_id, email)
-                );
-
-                CREATE INDEX IF NOT EXISTS idx_google_contact_email ON culinary_contacts_google(email);
-                CREATE INDEX IF NOT EXISTS idx_google_contact_job_id ON culinary_contacts_google(job_id);
-                CREATE INDEX IF NOT EXISTS idx_google_contact_name ON culinary_contacts_google(name);
-            `);
-            console.log('Table culinary_contacts_google created successfully');
-        }
-    } catch (error) {
-        console.error('Error checking or creating tables:', error);
-    }
-}
-
-// Insert jobs into database function using PostgreSQL
-async function insertJobsIntoDatabasePostgres(jobs) {
-    if (!pool) {
-        console.error('Database not initialized');
-        return 0;
-    }
-
-    let insertedCount = 0;
-
-    try {
-        console.info(`Inserting ${jobs.length} jobs into the database...`);
-
-        // Start a transaction
-        const client = await pool.connect();
-        try {
-            await client.query('BEGIN');
-
-            for (const job of jobs) {
-                try {
-                    // Format salary as a string combining min and max
-                    let salaryStr = '';
-                    if (job.salary_min && job.salary_max) {
-                        salaryStr = `${job.salary_min} - ${job.salary_max}`;
-                        if (job.salary_currency) {
-                            salaryStr = `${job.salary_currency} ${salaryStr}`;
-                        }
-                        if (job.salary_period) {
-                            salaryStr = `${salaryStr} ${job.salary_period}`;
-                        }
-                    }
-
-                    // Get the current timestamp for date fields
-                    const now = new Date().toISOString();
-
-                    // Get contact info from the first email if available
-                    const contactName = job.emails && job.emails.length > 0 ?
-                        `${job.emails[0].firstName || ''} ${job.emails[0].lastName || ''}`.trim() : '';
-                    const contactTitle = job.emails && job.emails.length > 0 ? job.emails[0].position || '' : '';
-                    const contactEmail = job.emails && job.emails.length > 0 ? job.emails[0].email || '' : '';
-
-                    // Insert job data
-                    const jobResult = await client.query(
-                        `INSERT INTO culinary_jobs_google
-                        (title, company, parent_company, location, salary, contact_name, contact_title, email,
-                        url, job_details, linkedin, domain, company_size, date_added, last_updated, contacts_last_viewed, parent_url)
-                        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
-                        ON CONFLICT (title, company) DO UPDATE SET
-                        location = EXCLUDED.location,
-                        salary = EXCLUDED.salary,
-                        contact_name = EXCLUDED.contact_name,
-                        contact_title = EXCLUDED.contact_title,
-                        email = EXCLUDED.email,
-                        url = EXCLUDED.url,
-                        job_details = EXCLUDED.job_details,
-                        domain = EXCLUDED.domain,
-                        last_updated = EXCLUDED.last_updated
-                        RETURNING id, (xmax = 0) AS is_new`,
-                        [
-                            job.title,
-                            job.company,
-                            '', // parent_company
-                            job.location,
-                            salaryStr,
-                            contactName,
-                            contactTitle,
-                            contactEmail,
-                            job.apply_link,
-                            job.description,
-                            '', // linkedin
-                            job.company_domain || '',
-                            '', // company_size
-                            now, // date_added
-                            now, // last_updated
-                            null, // contacts_last_viewed
-                            '' // parent_url
-                        ]
-                    );
-
-                    const jobId = jobResult.rows[0].id;
-                    const isNewJob = jobResult.rows[0].is_new;
-
-                    // Track job for email reporting
-                    if (isNewJob) {
-                        // This is a new job
-                        jobStats.newJobs.push(job);
-                        console.info(`Added NEW job: "${job.title}" at "${job.company}" (ID: ${jobId})`);
-                    } else {
-                        // This is a duplicate job
-                        jobStats.skippedDuplicateJobs.push(job);
-                        console.info(`Updated existing job: "${job.title}" at "${job.company}" (ID: ${jobId})`);
-                    }
-
-                    // Insert email contacts if available
-                    if (job.emails && job.emails.length > 0) {
-                        for (const email of job.emails) {
-                            try {
-                                // Combine first and last name
-                                const fullName = `${email.firstName || ''} ${email.lastName || ''}`.trim();
-
-                                await client.query(
-                                    `INSERT INTO culinary_contacts_google
-                                    (job_id, name, title, email, date_added, last_updated)
-                                    VALUES ($1, $2, $3, $4, $5, $6)
-                                    ON CONFLICT (job_id, email) DO UPDATE SET
-                                    name = EXCLUDED.name,
-                                    title = EXCLUDED.title,
-                                    last_updated = EXCLUDED.last_updated`,
-                                    [
-                                        jobId,
-                                        fullName,
-                                        email.position || '',
-                                        email.email,
-                                        now,
-                                        now
-                                    ]
-                                );
-                            } catch (emailError) {
-                                console.error(`Error inserting contact ${email.email}:`, emailError);
-                            }
-                        }
-                        console.info(`Inserted ${job.emails.length} email contacts for job ID ${jobId}`);
-                    }
-
-                    insertedCount++;
-                    console.info(`Inserted job: "${job.title}" at "${job.company}" (ID: ${jobId})`);
-                } catch (error) {
-                    console.error(`Error processing job "${job.title}" at "${job.company}":`, error);
-                }
-            }
-
-            // Commit the transaction
-            await client.query('COMMIT');
-            console.info(`Successfully committed transaction with ${insertedCount} jobs.`);
-        } catch (error) {
-            // Rollback the transaction on error
-            await client.query('ROLLBACK');
-            console.error('Transaction failed, rolling back:', error);
-        } finally {
-            // Release the client back to the pool
-            client.release();
-        }
-
-        console.info(`Successfully inserted ${insertedCount} jobs into the database.`);
-        return insertedCount;
-    } catch (error) {
-        console.error('Error during database insertion:', error);
-        return insertedCount;
-    }
-}
-
 // Store testMode in a variable accessible throughout the file
 let isTestMode = false;
 
@@ -425,7 +116,8 @@ const jobStats = {
     newJobs: [],
     skippedDuplicateJobs: [],
     skippedExcludedJobs: [],
-    queries: []
+    queries: [],
+    apiUsage: null
 };
 
 try {
@@ -434,22 +126,6 @@ try {
     // Get input from the user
     const input = await Actor.getInput() || {};
 
-    // Define the top 60 largest US cities for targeted job searches
-    const topCities = [
-        'New York NY', 'Los Angeles CA', 'Chicago IL', 'Houston TX', 'Phoenix AZ',
-        'Philadelphia PA', 'San Antonio TX', 'San Diego CA', 'Dallas TX', 'San Jose CA',
-        'Austin TX', 'Jacksonville FL', 'Fort Worth TX', 'Columbus OH', 'Indianapolis IN',
-        'Charlotte NC', 'San Francisco CA', 'Seattle WA', 'Nashville TN', 'Denver CO',
-        'Oklahoma City OK', 'El Paso TX', 'Boston MA', 'Portland OR', 'Las Vegas NV',
-        'Detroit MI', 'Memphis TN', 'Louisville KY', 'Baltimore MD', 'Milwaukee WI',
-        'Albuquerque NM', 'Tucson AZ', 'Fresno CA', 'Sacramento CA', 'Kansas City MO',
-        'Mesa AZ', 'Atlanta GA', 'Omaha NE', 'Colorado Springs CO', 'Raleigh NC',
-        'Long Beach CA', 'Virginia Beach VA', 'Miami FL', 'Oakland CA', 'Minneapolis MN',
-        'Tulsa OK', 'Bakersfield CA', 'Wichita KS', 'Arlington TX', 'Aurora CO',
-        'Tampa FL', 'New Orleans LA', 'Cleveland OH', 'Honolulu HI', 'Anaheim CA',
-        'Lexington KY', 'Stockton CA', 'Corpus Christi TX', 'Henderson NV', 'Riverside CA'
-    ];
-
     // Define generic search terms; city is applied via the location parameter
     const defaultQueries = [
         'restaurant management jobs',
@@ -475,15 +151,102 @@ try {
 
         excludeFastFood = true,
         excludeRecruiters = true,
+        excludeHourly = true,
+
+        // Exclusion rules to use instead of / on top of the defaults: a JSON or YAML file, or a key-value store record
+        exclusionRulesFile = '',
+        exclusionRulesKey = '',
+
+        // Named dataset every dropped job is recorded in, with the stage, rule and matched term (empty = off)
+        exclusionAuditDataset = 'job-exclusions',
         includeWebsiteData = false,
+
+        // Company websites found by earlier runs: named store, days to reuse them (found / not found)
+        // and manual company -> domain overrides (null = no website)
+        companyDomainCacheStore = 'company-domains',
+        companyDomainCacheDays = 30,
+        companyDomainNegativeCacheDays = 7,
+        companyDomainOverrides = {},
+
+        // Hunter.io contacts for each company domain (off by default): lookups allowed per run (0 = unlimited)
+        // and the named store domains enriched by earlier runs are cached in
+        includeHunterData = false,
+        maxHunterLookups = 50,
+        hunterCacheStore = 'hunter-domains',
         testMode = false,
         searchEngine = 'both',
 
+        // Market to search: switches the top city list, Google Jobs gl, currency and location parsing
+        country = 'us',
+
         // New inputs to support city-by-city searches
         useTopCities = true,
-        cities = []
+        cities = [],
+
+        // Offline replay / recording of SearchAPI.io responses
+        searchApiMode = process.env.SEARCH_API_MODE || 'live',
+        recordingsDir = process.env.SEARCH_API_RECORDINGS_DIR || 'recordings',
+
+        // Checkpoint/resume for long runs
+        resumeFromCheckpoint = true,
+        checkpointStoreName = '',
+
+        // Concurrency and per-engine rate limits (requests per minute) for SearchAPI.io
+        maxConcurrency = 4,
+        searchApiRateLimits = {},
+
+        // Maximum SearchAPI.io requests for the run (0 = unlimited)
+        maxApiCalls = 0,
+
+        // Skip jobs posted more than this many days before the run (0 = no limit)
+        maxPostingAgeDays = 0,
+
+        // Google Jobs filters (datePosted, employmentType, remoteOnly, gl, hl, radius) for every query,
+        // and per-query overrides keyed by query text
+        googleJobsFilters = {},
+        queryFilters = {}
     } = input;
 
+    // Resolve the country input (throws for unsupported countries)
+    const countryConfig = getCountryConfig(country);
+
+    // Configure whether SearchAPI.io calls go live, are recorded, or are replayed from disk
+    configureSearchRecorder({ mode: searchApiMode, directory: recordingsDir });
+
+    // Share one request scheduler across all searches so parallel cities stay within the limits
+    configureScheduler({ concurrency: maxConcurrency, rateLimits: searchApiRateLimits });
+
+    // Count SearchAPI.io requests and stop the run once the budget is used up
+    configureUsageMeter({ maxApiCalls });
+
+    // Load the exclusion rules applied to every provider's results (throws for invalid rules)
+    await configureExclusionRules({
+        file: exclusionRulesFile || null,
+        key: exclusionRulesKey || null,
+        categories: { fast_food: excludeFastFood, recruiter: excludeRecruiters, hourly: excludeHourly }
+    });
+
+    // Record dropped jobs for review, tagged with this run
+    configureExclusionAudit({ datasetName: exclusionAuditDataset, runId: Actor.getEnv().actorRunId || null });
+
+    // Reuse company websites found by earlier runs so known companies cost no API calls
+    await configureCompanyDomainCache({
+        storeName: companyDomainCacheStore,
+        ttlDays: companyDomainCacheDays,
+        negativeTtlDays: companyDomainNegativeCacheDays,
+        overrides: companyDomainOverrides
+    });
+
+    // Optional Hunter.io contacts, reusing domains enriched within CACHE_MAX_AGE_DAYS
+    await configureContactEnrichment({
+        enabled: includeHunterData,
+        maxLookups: maxHunterLookups,
+        storeName: hunterCacheStore
+    });
+
+    // Relative posting times ("3 days ago") are converted to dates from the run start time
+    setRunTimestamp(jobStats.startTime);
+
     // Update the global isTestMode variable
     isTestMode = testMode;
 
@@ -505,19 +268,29 @@ try {
     // Number of jobs to process in test mode (only used when testMode is true)
     const testModeLimit = 5;
 
+    // Resolve the searchEngine input into registered job source providers
+    const providers = resolveJobProviders(searchEngine);
+
     console.log('Google Jobs API Actor configuration:');
-    console.log(`- Search Engine: ${searchEngine}`);
+    console.log(`- Country: ${countryConfig.name} (gl=${countryConfig.gl}, currency ${countryConfig.currency})`);
+    console.log(`- Search Engine: ${searchEngine} (providers: ${providers.map(p => p.name).join(', ')})`);
+    console.log(`- SearchAPI mode: ${searchApiMode}${searchApiMode !== 'live' ? ` (recordings: ${recordingsDir})` : ''}`);
     console.log(`- Queries: ${queries.join(', ')}`);
     console.log(`- Max pages per query: ${maxPagesPerQuery}`);
     // Determine city list to use
     const locationsToSearch = (Array.isArray(cities) && cities.length > 0)
         ? cities
-        : (useTopCities ? topCities : (location ? [location] : []));
+        : (useTopCities ? countryConfig.topCities : (location ? [location] : []));
     console.log(`- Location filter: ${location || 'None'}${locationsToSearch.length > 0 ? ` (expanded by ${locationsToSearch.length} city/cities)` : ''}`);
 
     console.log(`- Exclude fast food: ${excludeFastFood}`);
     console.log(`- Exclude recruiters: ${excludeRecruiters}`);
-    console.log(`- Include website data: ${forceWebsiteData} (URL collection enabled, email enrichment handled by web viewer)`);
+    console.log(`- Exclude hourly: ${excludeHourly}`);
+    console.log(`- Exclusion rules: ${exclusionRulesKey ? `key-value store record "${exclusionRulesKey}"` : (exclusionRulesFile || 'defaults')}`);
+    console.log(`- Max posting age: ${maxPostingAgeDays > 0 ? `${maxPostingAgeDays} days` : 'no limit'}`);
+    console.log(`- Google Jobs filters: ${Object.keys(googleJobsFilters || {}).length > 0 ? JSON.stringify(googleJobsFilters) : 'none'}${Object.keys(queryFilters || {}).length > 0 ? ` (overridden for ${Object.keys(queryFilters).length} queries)` : ''}`);
+    console.log(`- Include website data: ${forceWebsiteData} (URL collection enabled)`);
+    console.log(`- Include Hunter.io contacts: ${includeHunterData}${includeHunterData ? ` (up to ${maxHunterLookups || 'unlimited'} lookups)` : ''}`);
     console.log(`- Save to dataset: ${saveToDataset}`);
     console.log(`- Push to database: ${forcePushToDatabase} (forced to true)`);
     // Always show database info since forcePushToDatabase is always true
@@ -537,14 +310,89 @@ try {
     function sanitizeQueryForLocation(originalQuery) {
         if (!originalQuery || typeof originalQuery !== 'string') return originalQuery;
         return originalQuery
-            .replace(/\b(united states|usa|u\.s\.a\.|u\.s\.)\b/gi, '')
+            .replace(countryConfig.countryNamePattern, '')
             .replace(/\s+/g, ' ')
             .trim();
     }
 
+    // Searches always run once per location; without cities that is the single location filter
+    const searchLocations = locationsToSearch.length > 0 ? locationsToSearch : [location];
+
+    // Google Jobs filters for a query: the country's gl/hl, overridden by the global filters and then
+    // by the query's own entry in queryFilters
+    const queryFilterKeys = Object.keys(queryFilters || {});
+    function getFiltersForQuery(originalQuery) {
+        const key = queryFilterKeys.find(k => k.toLowerCase().trim() === String(originalQuery).toLowerCase().trim());
+        return {
+            gl: countryConfig.gl,
+            hl: countryConfig.hl,
+            ...(googleJobsFilters || {}),
+            ...(key ? queryFilters[key] : {})
+        };
+    }
+
+    // Resume from the last checkpoint if it was saved for the same queries, locations and providers
+    await openCheckpointStore(checkpointStoreName);
+    const runFingerprint = buildRunFingerprint({
+        queries: queriesToProcess,
+        locations: searchLocations,
+        providers: providers.map(p => p.name),
+        filters: Object.fromEntries(queriesToProcess.map(q => [q, getFiltersForQuery(q)]))
+    });
+    const checkpoint = resumeFromCheckpoint ? await loadCheckpoint(runFingerprint) : null;
+    const resumeFrom = checkpoint ? checkpoint.position : null;
+
+    // Jobs already processed in this run, across queries, cities and providers; reworded duplicates
+    // are matched by normalized title/company, location and description
+    const runJobIndex = createJobIndex({ country: countryConfig.code });
+    for (const entry of (checkpoint ? checkpoint.processedJobs : [])) {
+        runJobIndex.add(entry);
+    }
+
+    if (checkpoint) {
+        ({ totalJobsFound, totalJobsProcessed, totalJobsSaved } = checkpoint.counters);
+        jobStats.processedCount = checkpoint.jobStats.processedCount;
+        jobStats.newJobs.push(...checkpoint.jobStats.newJobs);
+        jobStats.skippedDuplicateJobs.push(...checkpoint.jobStats.skippedDuplicateJobs);
+        jobStats.skippedExcludedJobs.push(...checkpoint.jobStats.skippedExcludedJobs);
+    }
+
+    // Current position in the run, saved with every checkpoint: the query being processed, the
+    // city/provider tasks of that query already finished, and the next page token of unfinished tasks
+    let position = resumeFrom || { queryIndex: 0, completedTasks: [], taskPages: {} };
+
+    // Checkpoint writes are chained so concurrent tasks never overwrite a newer checkpoint with an older one.
+    // Pages and finished tasks are saved at most once a minute; finished queries, migrations and aborts always are.
+    let checkpointWrite = Promise.resolve();
+    const persistCheckpoint = ({ force = false } = {}) => {
+        checkpointWrite = checkpointWrite.then(() => (force || isCheckpointDue() ? writeCheckpoint() : undefined));
+        return checkpointWrite;
+    };
+
+    const writeCheckpoint = () => saveCheckpoint({
+        fingerprint: runFingerprint,
+        position,
+        processedJobs: runJobIndex.toJSON(),
+        counters: { totalJobsFound, totalJobsProcessed, totalJobsSaved },
+        jobStats: {
+            processedCount: jobStats.processedCount,
+            newJobs: jobStats.newJobs.map(summarizeJobForCheckpoint),
+            skippedDuplicateJobs: jobStats.skippedDuplicateJobs.map(summarizeJobForCheckpoint),
+            skippedExcludedJobs: jobStats.skippedExcludedJobs.map(summarizeJobForCheckpoint)
+        }
+    });
+
+    // Save progress right away when the platform is about to migrate the run to another server
+    Actor.on('migrating', () => persistCheckpoint({ force: true }));
+
     // Process each query
-    for (const query of queriesToProcess) {
+    for (let queryIndex = resumeFrom ? resumeFrom.queryIndex : 0; queryIndex < queriesToProcess.length; queryIndex++) {
+        const query = queriesToProcess[queryIndex];
         const baseQuery = sanitizeQueryForLocation(query);
+        const searchFilters = getFiltersForQuery(query);
+        if (Object.keys(searchFilters).length > 0) {
+            console.log(`Google Jobs filters for "${query}": ${JSON.stringify(searchFilters)}`);
+        }
         // In test mode, process enough pages to get our target number of jobs
         // Start with 1 page, but allow up to 3 pages in test mode if needed
         const pagesToProcess = testMode ? 3 : maxPagesPerQuery;
@@ -628,7 +476,7 @@ try {
         }
 
         // Fetch existing jobs from the database to avoid unnecessary API calls
-        let existingJobs = new Map();
+        let existingJobs = null;
 
         try {
             console.log('Fetching existing jobs from the database to optimize API calls...');
@@ -639,7 +487,7 @@ try {
                 process.env.DATABASE_URL = process.env.DATABASE_URL.replace('/postgres&', '/postgres?');
             }
 
-            existingJobs = await fetchExistingJobs();
+            existingJobs = await fetchExistingJobs(countryConfig.code);
             console.log(`Fetched ${existingJobs.size} existing jobs from the database for optimization`);
 
             // If we can't fetch existing jobs, that's a critical error
@@ -652,224 +500,270 @@ try {
             throw new Error('Failed to fetch existing jobs from database. Cannot continue without this data.');
         }
 
-        // Search for jobs based on selected search engine, expanded by city if configured
-        let jobs = [];
-
-        if (locationsToSearch.length > 0) {
-            console.log(`Executing city-by-city search for "${baseQuery}" across ${locationsToSearch.length} cities...`);
-            const aggregatedJobs = [];
-
-            for (const city of locationsToSearch) {
-                try {
-                    if (searchEngine === 'google') {
-                        console.log(`Searching (Google) for: "${baseQuery}" in "${city}"`);
-                        const cityJobs = await searchAllJobs(baseQuery, city, pagesToProcess, existingJobs);
-                        aggregatedJobs.push(...cityJobs);
-                    } else if (searchEngine === 'bing') {
-                        console.log(`Searching (Bing) for: "${baseQuery}" in "${city}"`);
-                        const bingResults = testMode ? 20 : 100;
-                        const cityJobs = await searchAllJobsWithBing([baseQuery], city, bingResults, existingJobs);
-                        aggregatedJobs.push(...cityJobs);
-                    } else if (searchEngine === 'both') {
-                        console.log(`Searching (Both) for: "${baseQuery}" in "${city}"`);
-                        const googleJobs = await searchAllJobs(baseQuery, city, pagesToProcess, existingJobs);
-                        const bingResults = testMode ? 20 : 100;
-                        const bingJobs = await searchAllJobsWithBing([baseQuery], city, bingResults, existingJobs);
-                        const combined = [...googleJobs, ...bingJobs];
-                        aggregatedJobs.push(...combined);
+        // Jobs found and processed for this query (the test mode limit applies per query)
+        let queryJobsFound = 0;
+        let queryJobsProcessed = 0;
+
+        // Processes one page of search results: de-dup, filter/enrich, save to dataset and database
+        const processJobBatch = async (batchJobs) => {
+            // Skip jobs already processed earlier in this run (other cities, providers or queries),
+            // adding where they were found to the job that was kept
+            const jobs = [];
+            const jobsWithNewSources = new Set();
+            for (const job of batchJobs) {
+                const duplicate = runJobIndex.findDuplicate(job);
+                if (duplicate) {
+                    const isNewSource = mergeJobSource(duplicate.job, job);
+                    console.info(`Deduplicating job: "${job.title}" at "${job.company}" (already processed in this run as "${duplicate.job.title}" at "${duplicate.job.company}"${isNewSource ? `, added ${job.source || job.provider} source` : ''})`);
+                    if (isNewSource && !batchJobs.includes(duplicate.job)) {
+                        jobsWithNewSources.add(duplicate.job);
                     }
-                } catch (cityErr) {
-                    console.error(`Error searching city "${city}" for query "${baseQuery}": ${cityErr.message}`);
+                    continue;
                 }
+                job.sources = [buildJobSource(job)];
+                runJobIndex.add(job);
+                jobs.push(job);
             }
 
-            // Deduplicate across all cities by title+company
-            const jobMap = new Map();
-            for (const job of aggregatedJobs) {
-                const key = `${job.title.toLowerCase()}|${job.company.toLowerCase()}`;
-                if (!jobMap.has(key)) jobMap.set(key, job);
-            }
-            jobs = Array.from(jobMap.values());
-            console.log(`City-expanded results for "${baseQuery}": ${aggregatedJobs.length} raw, ${jobs.length} after de-dup`);
-        } else {
-            if (searchEngine === 'google') {
-                console.log(`Searching for jobs with Google Jobs API: "${baseQuery}" (${testMode ? 'test mode - up to 3 pages' : `up to ${pagesToProcess} pages`}) with database optimization`);
-                jobs = await searchAllJobs(baseQuery, location, pagesToProcess, existingJobs);
-            } else if (searchEngine === 'bing') {
-                console.log(`Searching for jobs with Bing Search API: "${baseQuery}" (${testMode ? 'test mode' : 'full search'}) with database optimization`);
-                const bingResults = testMode ? 20 : 100; // No practical limit, best filtering
-                jobs = await searchAllJobsWithBing([baseQuery], location, bingResults, existingJobs);
-            } else if (searchEngine === 'both') {
-                console.log(`Searching for jobs with both Google Jobs API and Bing Search API: "${baseQuery}"`);
-
-                // Search with Google Jobs first
-                console.log(`Google search for: "${baseQuery}"`);
-                const googleJobs = await searchAllJobs(baseQuery, location, pagesToProcess, existingJobs);
-
-                // Search with Bing
-                console.log(`Bing search for: "${baseQuery}"`);
-                const bingResults = testMode ? 20 : 100;
-                const bingJobs = await searchAllJobsWithBing([baseQuery], location, bingResults, existingJobs);
-
-                // Combine results and deduplicate
-                const combinedJobs = [...googleJobs, ...bingJobs];
-                const jobMap = new Map();
-
-                // Deduplicate by title + company combination
-                for (const job of combinedJobs) {
-                    const key = `${job.title.toLowerCase()}|${job.company.toLowerCase()}`;
-                    if (!jobMap.has(key)) {
-                        jobMap.set(key, job);
-                    } else {
-                        console.info(`Deduplicating job: "${job.title}" at "${job.company}" (found in both Google and Bing)`);
-                    }
+            // Jobs saved by earlier pages get their merged sources written to the database
+            if (dbInitialized) {
+                for (const job of jobsWithNewSources) {
+                    await updateJobSources(job);
                 }
-
-                jobs = Array.from(jobMap.values());
-                console.log(`Combined search results: ${googleJobs.length} from Google + ${bingJobs.length} from Bing = ${combinedJobs.length} total, ${jobs.length} after deduplication`);
             }
-        }
 
-        if (jobs.length === 0) {
-            console.log(`No jobs found for query: "${query}"`);
-            continue;
-        }
+            if (jobs.length === 0 || (testMode && queryJobsProcessed >= testModeLimit)) {
+                return;
+            }
 
-        console.log(`Found ${jobs.length} jobs for query: "${query}"`);
-        totalJobsFound += jobs.length;
+            console.log(`Found ${jobs.length} new jobs for query: "${query}"`);
+            totalJobsFound += jobs.length;
+            queryJobsFound += jobs.length;
 
-        // In test mode, only process a limited number of jobs
-        const jobsToProcess = testMode ? jobs.slice(0, testModeLimit) : jobs;
-        console.log(`Processing ${jobsToProcess.length} jobs${testMode ? ` (test mode - limit: ${testModeLimit})` : ''}`);
+            // In test mode, only process a limited number of jobs per query
+            const jobsToProcess = testMode ? jobs.slice(0, testModeLimit - queryJobsProcessed) : jobs;
+            queryJobsProcessed += jobsToProcess.length;
+            console.log(`Processing ${jobsToProcess.length} jobs${testMode ? ` (test mode - limit: ${testModeLimit})` : ''}`);
 
-        // Log the jobs we're processing
-        if (testMode) {
-            console.log('Jobs being processed:');
-            jobsToProcess.forEach((job, index) => {
-                console.log(`Job #${index + 1}: "${job.title}" at "${job.company}" in "${job.location}"`);
-            });
-        }
+            // Log the jobs we're processing
+            if (testMode) {
+                console.log('Jobs being processed:');
+                jobsToProcess.forEach((job, index) => {
+                    console.log(`Job #${index + 1}: "${job.title}" at "${job.company}" in "${job.location}"`);
+                });
+            }
 
-        // Process jobs for database insertion
-        // Website data collection disabled (email enrichment handled by web viewer)
-        console.log(`Processing ${jobsToProcess.length} jobs for database insertion...`);
-        const processedJobs = await processJobsForDatabase(jobsToProcess, forceWebsiteData);
+            // Process jobs for database insertion
+            console.log(`Processing ${jobsToProcess.length} jobs for database insertion...`);
+            const processedJobs = await processJobsForDatabase(jobsToProcess, forceWebsiteData, { maxPostingAgeDays, country: countryConfig.code });
 
-        // Track excluded jobs for email reporting
-        const excludedJobs = jobsToProcess.filter(job => job._exclusionReason);
-        jobStats.skippedExcludedJobs.push(...excludedJobs);
+            // Add Hunter.io contacts for the company domains found (when includeHunterData is on)
+            await enrichJobsWithContacts(processedJobs);
 
-        // Track jobs that were skipped because they already exist in the database
-        const existingDbJobs = jobsToProcess.filter(job => job._existsInDatabase);
-        if (existingDbJobs.length > 0) {
-            console.log(`Found ${existingDbJobs.length} jobs that already exist in the database`);
-            jobStats.skippedDuplicateJobs.push(...existingDbJobs);
-        }
+            // Track excluded jobs for email reporting
+            const excludedJobs = jobsToProcess.filter(job => job._exclusionReason);
+            jobStats.skippedExcludedJobs.push(...excludedJobs);
 
-        // Update job processing count
-        totalJobsProcessed += processedJobs.length;
-        jobStats.processedCount += processedJobs.length;
+            // Track jobs that were skipped because they already exist in the database
+            const existingDbJobs = jobsToProcess.filter(job => job._existsInDatabase);
+            if (existingDbJobs.length > 0) {
+                console.log(`Found ${existingDbJobs.length} jobs that already exist in the database`);
+                jobStats.skippedDuplicateJobs.push(...existingDbJobs);
+            }
 
-        // Save to Apify dataset if requested
-        if (saveToDataset) {
-            await Actor.pushData(processedJobs);
-            console.log(`Saved ${processedJobs.length} jobs to Apify dataset`);
-            totalJobsSaved += processedJobs.length;
-        }
+            // Update job processing count
+            totalJobsProcessed += processedJobs.length;
+            jobStats.processedCount += processedJobs.length;
 
-        // Display job data in logs
-        console.log(`\n=== Job Data for Query: "${query}" ===`);
-        console.log(`Found ${processedJobs.length} jobs after filtering`);
-
-        // Display a summary of each job
-        processedJobs.forEach((job, index) => {
-            console.log(`\nJob #${index + 1}:`);
-            console.log(`Title: ${job.title}`);
-            console.log(`Company: ${job.company}`);
-            console.log(`Location: ${job.location}`);
-            console.log(`Posted: ${job.posted_at}`);
-            console.log(`Schedule: ${job.schedule}`);
-            console.log(`Experience Level: ${job.experience_level}`);
-
-            // Display salary information if available
-            if (job.salary_min || job.salary_max) {
-                const salaryMin = job.salary_min ? `$${job.salary_min.toLocaleString()}` : 'Not specified';
-                const salaryMax = job.salary_max ? `$${job.salary_max.toLocaleString()}` : 'Not specified';
-                console.log(`Salary: ${salaryMin}${job.salary_max ? ` - ${salaryMax}` : ''} ${job.salary_period}`);
-            } else {
-                console.log(`Salary: Not specified`);
+            // Save to Apify dataset if requested
+            if (saveToDataset) {
+                await Actor.pushData(processedJobs);
+                console.log(`Saved ${processedJobs.length} jobs to Apify dataset`);
+                totalJobsSaved += processedJobs.length;
             }
 
-            // Display skills if available
-            if (job.skills && job.skills.length > 0) {
-                console.log(`Skills: ${job.skills.join(', ')}`);
-            } else {
-                console.log(`Skills: None detected`);
-            }
+            // Display job data in logs
+            console.log(`\n=== Job Data for Query: "${query}" ===`);
+            console.log(`Found ${processedJobs.length} jobs after filtering`);
+
+            // Display a summary of each job
+            processedJobs.forEach((job, index) => {
+                console.log(`\nJob #${index + 1}:`);
+                console.log(`Title: ${job.title}`);
+                console.log(`Company: ${job.company}`);
+                console.log(`Location: ${job.location}${job.location_key ? ` (${[job.location_city, job.location_region, job.location_country].filter(Boolean).join(', ')}${job.remote_type ? `, ${job.remote_type}` : ''})` : ''}`);
+                console.log(`Posted: ${job.posted_at}${job.posted_date ? ` (${job.posted_date.split('T')[0]})` : ''}`);
+                console.log(`Schedule: ${job.schedule}`);
+                console.log(`Experience Level: ${job.experience_level}`);
+
+                // Display salary information if available
+                if (job.salary_min || job.salary_max) {
+                    const annual = job.salary_period !== 'yearly' && (job.salary_annual_min || job.salary_annual_max)
+                        ? ` (~${(job.salary_annual_max || job.salary_annual_min).toLocaleString('en-US')} a year)`
+                        : '';
+                    console.log(`Salary: ${formatSalary(job)}${annual}`);
+                } else {
+                    console.log(`Salary: Not specified`);
+                }
 
-            // Display apply link
-            console.log(`Apply Link: ${job.apply_link}`);
+                // Display benefits if available
+                if (job.benefits && job.benefits.length > 0) {
+                    console.log(`Benefits: ${job.benefits.join(', ')}`);
+                }
 
-            // Display company website and domain if available
-            if (job.company_website) {
-                console.log(`Company Website: ${job.company_website}`);
-            }
-            if (job.company_domain) {
-                console.log(`Company Domain: ${job.company_domain}`);
-            }
+                // Display skills if available
+                if (job.skills && job.skills.length > 0) {
+                    console.log(`Skills: ${job.skills.join(', ')}`);
+                } else {
+                    console.log(`Skills: None detected`);
+                }
 
-            // Display emails if available
-            if (job.emails && job.emails.length > 0) {
-                console.log(`Emails Found: ${job.emails.length}`);
-                // Display up to 20 emails
-                job.emails.slice(0, 20).forEach((email, idx) => {
-                    console.log(`  Email #${idx+1}: ${email.email} (${email.firstName || ''} ${email.lastName || ''})${email.position ? ` - ${email.position}` : ''}`);
-                });
-            }
+                // Display apply link
+                console.log(`Apply Link: ${job.apply_link}${job.apply_links && job.apply_links.length > 1 ? ` (${job.apply_links.length} apply links)` : ''}`);
 
-            // Display a short excerpt of the description
-            const shortDescription = job.description.length > 150
-                ? job.description.substring(0, 150) + '...'
-                : job.description;
-            console.log(`Description: ${shortDescription}`);
-        });
+                // Display company website and domain if available
+                if (job.company_website) {
+                    console.log(`Company Website: ${job.company_website}`);
+                }
+                if (job.company_domain) {
+                    console.log(`Company Domain: ${job.company_domain}`);
+                }
 
-        console.log(`\n=== End of Job Data for Query: "${query}" ===`);
+                // Display emails if available
+                if (job.emails && job.emails.length > 0) {
+                    console.log(`Emails Found: ${job.emails.length}`);
+                    // Display up to 20 emails
+                    job.emails.slice(0, 20).forEach((email, idx) => {
+                        console.log(`  Email #${idx+1}: ${email.email} (${email.firstName || ''} ${email.lastName || ''})${email.position ? ` - ${email.position}` : ''}`);
+                    });
+                }
 
-        // Database integration - always enabled
-        if (forcePushToDatabase) {
-            console.log(`Pushing ${processedJobs.length} jobs to database...`);
+                // Display a short excerpt of the description
+                const shortDescription = job.description.length > 150
+                    ? job.description.substring(0, 150) + '...'
+                    : job.description;
+                console.log(`Description: ${shortDescription}`);
+            });
 
-            // Database connection should already be initialized
-            if (dbInitialized) {
-                // Insert jobs into the database
-                const dbResult = await insertJobsIntoDatabase(processedJobs);
-                console.log(`Successfully inserted/updated ${dbResult.insertedCount} jobs into the database (${databaseTable}).`);
-
-                // Update job statistics for email reporting
-                jobStats.newJobs.push(...dbResult.newJobs);
-                jobStats.skippedDuplicateJobs.push(...dbResult.updatedJobs);
-
-                console.log(`Database results: ${dbResult.newJobs.length} new jobs, ${dbResult.updatedJobs.length} updated jobs`);
-            } else {
-                console.error(`Failed to initialize database connection. Please check your database credentials.`);
-                console.error(`Make sure to set DATABASE_URL or all SUPABASE_* environment variables in the Apify console.`);
+            console.log(`\n=== End of Job Data for Query: "${query}" ===`);
+
+            // Database integration - always enabled
+            if (forcePushToDatabase) {
+                console.log(`Pushing ${processedJobs.length} jobs to database...`);
+
+                // Database connection should already be initialized
+                if (dbInitialized) {
+                    // Insert jobs into the database
+                    const dbResult = await insertJobsIntoDatabase(processedJobs);
+                    console.log(`Successfully inserted/updated ${dbResult.insertedCount} jobs into the database (${databaseTable}).`);
+
+                    // Update job statistics for email reporting
+                    jobStats.newJobs.push(...dbResult.newJobs);
+                    jobStats.skippedDuplicateJobs.push(...dbResult.updatedJobs);
+
+                    console.log(`Database results: ${dbResult.newJobs.length} new jobs, ${dbResult.updatedJobs.length} updated jobs`);
+                } else {
+                    console.error(`Failed to initialize database connection. Please check your database credentials.`);
+                    console.error(`Make sure to set DATABASE_URL or all SUPABASE_* environment variables in the Apify console.`);
+                }
             }
+        };
+
+        // One task per city and provider; tasks run in parallel within the scheduler's limits
+        const isResumeQuery = resumeFrom && queryIndex === resumeFrom.queryIndex;
+        position = isResumeQuery
+            ? { queryIndex, completedTasks: [...resumeFrom.completedTasks], taskPages: { ...resumeFrom.taskPages } }
+            : { queryIndex, completedTasks: [], taskPages: {} };
+
+        const tasks = [];
+        searchLocations.forEach((searchLocation, locationIndex) => {
+            providers.forEach((provider, providerIndex) => {
+                const taskKey = `${locationIndex}:${providerIndex}`;
+                if (!position.completedTasks.includes(taskKey)) {
+                    tasks.push({ taskKey, searchLocation, locationIndex, provider });
+                }
+            });
+        });
+
+        if (isResumeQuery) {
+            console.log(`Resuming "${baseQuery}": ${tasks.length} of ${searchLocations.length * providers.length} city/provider searches left`);
         }
 
-        // Add a delay between queries to avoid rate limits
-        if (queries.indexOf(query) < queries.length - 1) {
-            console.log('Waiting 5 seconds before next query...');
-            await new Promise(resolve => setTimeout(resolve, 5000));
+        await runWithConcurrency(tasks, getMaxConcurrency(), async ({ taskKey, searchLocation, locationIndex, provider }) => {
+            const savedPage = position.taskPages[taskKey];
+
+            try {
+                if (locationsToSearch.length > 0) {
+                    console.log(`City ${locationIndex + 1}/${searchLocations.length} for "${baseQuery}": ${searchLocation}`);
+                }
+                console.log(`Searching (${provider.label}) for: "${baseQuery}"${searchLocation ? ` in "${searchLocation}"` : ''} (${testMode ? 'test mode - up to 3 pages' : `up to ${pagesToProcess} pages`})`);
+                // Attribute every SearchAPI request made for this search (including website lookups) to the query/city
+                await runWithUsageContext({ query: baseQuery, location: searchLocation }, () => searchWithProvider(provider, baseQuery, searchLocation, {
+                    maxPages: pagesToProcess,
+                    existingJobs,
+                    testMode,
+                    startPageToken: savedPage ? savedPage.pageToken : null,
+                    startPage: savedPage ? savedPage.page : 0,
+                    filters: searchFilters,
+                    country: countryConfig.code,
+                    onPage: async (pageJobs, nextPageToken, page) => {
+                        await processJobBatch(pageJobs);
+
+                        // Save the jobs dropped while searching and processing this page, and the websites found
+                        await flushExclusionAudit();
+                        await saveCompanyDomainCache();
+                        await saveContactCache();
+
+                        // Resume this task after this page
+                        if (nextPageToken) {
+                            position.taskPages[taskKey] = { pageToken: nextPageToken, page };
+                            await persistCheckpoint();
+                        }
+                    }
+                }));
+            } catch (searchErr) {
+                // Quota/API key errors abort the run; the checkpoint keeps this task unfinished so it is resumed later
+                if (searchErr.fatal) {
+                    await persistCheckpoint({ force: true });
+                    throw searchErr;
+                }
+                console.error(`Error searching ${provider.label} for "${baseQuery}"${searchLocation ? ` in "${searchLocation}"` : ''}: ${searchErr.message}`);
+            }
+
+            delete position.taskPages[taskKey];
+            position.completedTasks.push(taskKey);
+            await persistCheckpoint();
+        });
+
+        position = { queryIndex: queryIndex + 1, completedTasks: [], taskPages: {} };
+        await persistCheckpoint({ force: true });
+
+        if (queryJobsFound === 0) {
+            console.log(`No new jobs found for query: "${query}"`);
+        } else {
+            console.log(`Processed ${queryJobsFound} new jobs for query: "${query}"`);
         }
     }
 
+    // All queries finished, so there is nothing left to resume
+    await clearCheckpoint();
+
     console.log(`Google Jobs API Actor completed.`);
     console.log(`Found ${totalJobsFound} jobs, processed ${totalJobsProcessed} jobs, saved ${totalJobsSaved} jobs.`);
 
 } catch (error) {
-    console.error(`Error in Google Jobs API Actor: ${error.message}`);
-    throw error;
+    if (error.code === 'SEARCH_API_BUDGET_EXHAUSTED') {
+        // Budget stop is graceful: finish with the summary and email, keeping the checkpoint to continue later
+        console.warn(`Stopping run: SearchAPI budget of ${getUsageSummary().maxApiCalls} requests reached.`);
+        console.warn('Progress is saved in the checkpoint; rerun with the same input to continue.');
+    } else if (error.fatal) {
+        console.error(`Run aborted by a fatal SearchAPI error (${error.code}): ${error.message}`);
+        console.error('Progress is saved in the checkpoint; rerun with the same input once the API key/quota is fixed to resume.');
+    }
+    if (error.code !== 'SEARCH_API_BUDGET_EXHAUSTED') {
+        console.error(`Error in Google Jobs API Actor: ${error.message}`);
+        throw error;
+    }
 } finally {
     // Calculate end time and duration
     jobStats.endTime = new Date();
@@ -886,6 +780,22 @@ try {
     console.log(`- Skipped duplicates: ${jobStats.skippedDuplicateJobs.length}`);
     console.log(`- Skipped exclusions: ${jobStats.skippedExcludedJobs.length}`);
 
+    // Jobs dropped per stage/rule, saving any not yet in the audit dataset
+    await flushExclusionAudit();
+    logExclusionAuditSummary();
+
+    // Company websites reused and resolved, saving the new ones for later runs
+    await saveCompanyDomainCache();
+    logCompanyDomainCacheSummary();
+
+    // Hunter.io lookups made and reused
+    await saveContactCache();
+    logContactEnrichmentSummary();
+
+    // SearchAPI.io usage per engine and per query/city
+    jobStats.apiUsage = getUsageSummary();
+    logUsageSummary();
+
     // Send completion email
     try {
         console.log('\n=== SENDING COMPLETION EMAIL ===');
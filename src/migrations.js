@@ -0,0 +1,250 @@
+/**
+ * Schema migrations
+ * The database schema is defined only by the numbered SQL files in migrations/ ("0002_job_enrichment_columns.up.sql"
+ * and its ".down.sql"). Applied versions are recorded in schema_migrations, so every backend and every run
+ * works against the same schema version. Each migration runs in its own transaction under an advisory lock,
+ * so actor runs starting at the same time don't apply a migration twice. Transaction-level locks are used
+ * because the Supabase pooler doesn't keep a session between queries.
+ */
+
+import { readFileSync, readdirSync } from 'fs';
+
+const MIGRATIONS_DIR = new URL('../migrations/', import.meta.url);
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+// Arbitrary key shared by every process that migrates this database
+const MIGRATION_LOCK_KEY = 72150631;
+
+/**
+ * Gets a migration's file name without the direction and extension
+ * @param {Object} migration - Migration ({ version, name })
+ * @returns {string} - File name stem (e.g., "0002_job_enrichment_columns")
+ */
+function getMigrationFileName(migration) {
+    return `${String(migration.version).padStart(4, '0')}_${migration.name}`;
+}
+
+/**
+ * Reads the migrations directory
+ * @param {URL|string} dir - Directory holding the migration files
+ * @returns {Array<Object>} - { version, name, up, down } sorted by version; down is null if there is no down file
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = new Map();
+
+    for (const file of readdirSync(dir).sort()) {
+        const match = file.match(MIGRATION_FILE_PATTERN);
+        if (!match) continue;
+
+        const version = parseInt(match[1], 10);
+        const migration = migrations.get(version) || { version, name: match[2], up: null, down: null };
+        if (migration.name !== match[2]) {
+            throw new Error(`Migration version ${version} is used by both "${migration.name}" and "${match[2]}"`);
+        }
+        migration[match[3]] = readFileSync(new URL(file, dir), 'utf8');
+        migrations.set(version, migration);
+    }
+
+    for (const migration of migrations.values()) {
+        if (!migration.up) {
+            throw new Error(`Migration ${getMigrationFileName(migration)} has no .up.sql file`);
+        }
+    }
+
+    return [...migrations.values()].sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Gets the schema version the code expects
+ * @returns {number} - Version of the newest migration file (0 if there are none)
+ */
+function getLatestSchemaVersion() {
+    const migrations = loadMigrations();
+    return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+}
+
+/**
+ * Creates the schema_migrations table if it doesn't exist
+ * @param {Object} client - Connected pg client
+ * @returns {Promise<void>}
+ */
+async function ensureMigrationsTable(client) {
+    await client.query('BEGIN');
+    try {
+        await client.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_KEY]);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    }
+}
+
+/**
+ * Gets the applied migrations
+ * @param {Object} client - Connected pg client
+ * @returns {Promise<Map>} - Version -> { version, name, applied_at }
+ */
+async function getAppliedMigrations(client) {
+    const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return new Map(result.rows.map(row => [row.version, row]));
+}
+
+/**
+ * Runs one migration file and records it, unless another process got there first
+ * @param {Object} client - Connected pg client
+ * @param {Object} migration - Migration from loadMigrations
+ * @param {string} direction - "up" or "down"
+ * @returns {Promise<boolean>} - True if the migration was run
+ */
+async function runMigrationFile(client, migration, direction) {
+    await client.query('BEGIN');
+    try {
+        await client.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_KEY]);
+
+        // Checked again under the lock: another run may have applied or reverted it while this one waited
+        const recorded = await client.query('SELECT 1 FROM schema_migrations WHERE version = $1', [migration.version]);
+        if ((direction === 'up') === (recorded.rows.length > 0)) {
+            await client.query('ROLLBACK');
+            return false;
+        }
+
+        await client.query(migration[direction]);
+        if (direction === 'up') {
+            await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+        } else {
+            await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        }
+
+        await client.query('COMMIT');
+        return true;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${getMigrationFileName(migration)} (${direction}) failed: ${error.message}`);
+    }
+}
+
+/**
+ * Applies the pending migrations in version order
+ * Stops at the first migration that fails; the ones before it stay applied.
+ * @param {Object} pool - pg Pool
+ * @param {Object} options - Migration options
+ * @param {number} options.targetVersion - Newest version to apply (defaults to the newest migration file)
+ * @returns {Promise<Object>} - { applied: versions run by this call, version: schema version afterwards }
+ */
+async function runMigrations(pool, { targetVersion = Infinity } = {}) {
+    const migrations = loadMigrations();
+    const client = await pool.connect();
+    try {
+        await ensureMigrationsTable(client);
+        const appliedMigrations = await getAppliedMigrations(client);
+
+        const applied = [];
+        for (const migration of migrations) {
+            if (migration.version > targetVersion || appliedMigrations.has(migration.version)) continue;
+
+            console.info(`Applying migration ${getMigrationFileName(migration)}...`);
+            if (await runMigrationFile(client, migration, 'up')) {
+                applied.push(migration.version);
+            }
+        }
+
+        const version = await getSchemaVersion(client);
+        console.info(`Database schema is at version ${version}${applied.length > 0 ? ` (applied ${applied.join(', ')})` : ''}`);
+        return { applied, version };
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Reverts applied migrations, newest first
+ * @param {Object} pool - pg Pool
+ * @param {Object} options - Rollback options
+ * @param {number} options.steps - Number of migrations to revert (ignored when targetVersion is given)
+ * @param {number} options.targetVersion - Version to go back to (0 reverts everything)
+ * @returns {Promise<Object>} - { reverted: versions reverted by this call, version: schema version afterwards }
+ */
+async function rollbackMigrations(pool, { steps = 1, targetVersion = null } = {}) {
+    const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+    const client = await pool.connect();
+    try {
+        await ensureMigrationsTable(client);
+        const appliedVersions = [...(await getAppliedMigrations(client)).keys()].sort((a, b) => b - a);
+        const toRevert = targetVersion === null
+            ? appliedVersions.slice(0, steps)
+            : appliedVersions.filter(version => version > targetVersion);
+
+        const reverted = [];
+        for (const version of toRevert) {
+            const migration = migrations.get(version);
+            if (!migration || !migration.down) {
+                throw new Error(`Migration ${version} has no .down.sql file and can't be reverted`);
+            }
+
+            console.info(`Reverting migration ${getMigrationFileName(migration)}...`);
+            if (await runMigrationFile(client, migration, 'down')) {
+                reverted.push(version);
+            }
+        }
+
+        const version = await getSchemaVersion(client);
+        console.info(`Database schema is at version ${version}`);
+        return { reverted, version };
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Gets the schema version of a database
+ * @param {Object} client - Connected pg client or pool
+ * @returns {Promise<number>} - Newest applied version (0 if none is applied)
+ */
+async function getSchemaVersion(client) {
+    const result = await client.query('SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations');
+    return Number(result.rows[0].version);
+}
+
+/**
+ * Lists every migration file and whether it is applied
+ * @param {Object} pool - pg Pool
+ * @returns {Promise<Array<Object>>} - { version, name, applied_at } where applied_at is null for pending migrations
+ */
+async function getMigrationStatus(pool) {
+    const client = await pool.connect();
+    try {
+        await ensureMigrationsTable(client);
+        const appliedMigrations = await getAppliedMigrations(client);
+        const files = loadMigrations();
+
+        // Versions recorded by a newer checkout whose files aren't here are listed too
+        const versions = new Set([...files.map(migration => migration.version), ...appliedMigrations.keys()]);
+        return [...versions].sort((a, b) => a - b).map(version => {
+            const file = files.find(migration => migration.version === version);
+            const applied = appliedMigrations.get(version);
+            return {
+                version,
+                name: file ? file.name : applied.name,
+                applied_at: applied ? applied.applied_at : null
+            };
+        });
+    } finally {
+        client.release();
+    }
+}
+
+export {
+    loadMigrations,
+    getMigrationFileName,
+    getLatestSchemaVersion,
+    runMigrations,
+    rollbackMigrations,
+    getSchemaVersion,
+    getMigrationStatus
+};
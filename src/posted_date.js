@@ -0,0 +1,95 @@
+/**
+ * Posting date parsing
+ * Google Jobs reports when a listing was posted as relative text ("2 hours ago", "30+ days ago",
+ * "yesterday"). These helpers turn that text into an absolute date using the run timestamp, so the
+ * value stays meaningful after the row has been sitting in the database for a while.
+ */
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_HOUR = 60 * MS_PER_MINUTE;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+
+// Length of each unit Google uses in posted_at
+const UNIT_MS = {
+    minute: MS_PER_MINUTE,
+    min: MS_PER_MINUTE,
+    m: MS_PER_MINUTE,
+    hour: MS_PER_HOUR,
+    hr: MS_PER_HOUR,
+    h: MS_PER_HOUR,
+    day: MS_PER_DAY,
+    d: MS_PER_DAY,
+    week: 7 * MS_PER_DAY,
+    wk: 7 * MS_PER_DAY,
+    w: 7 * MS_PER_DAY,
+    month: 30 * MS_PER_DAY,
+    mo: 30 * MS_PER_DAY,
+    year: 365 * MS_PER_DAY,
+    yr: 365 * MS_PER_DAY,
+    y: 365 * MS_PER_DAY
+};
+
+// Time every relative posted_at in this run is measured from
+let runTimestamp = new Date();
+
+/**
+ * Sets the timestamp relative posting times are measured from (the run start time)
+ * @param {Date} timestamp - Run start time
+ */
+function setRunTimestamp(timestamp) {
+    if (timestamp instanceof Date && !Number.isNaN(timestamp.getTime())) {
+        runTimestamp = timestamp;
+    }
+}
+
+/**
+ * Parses a relative posted_at string into an absolute date
+ * "30+ days ago" is treated as exactly 30 days ago, i.e. the most recent date it could mean.
+ * @param {string} postedAt - Relative posting time (e.g., "3 days ago", "an hour ago", "yesterday")
+ * @param {Date} referenceDate - Date the text is relative to (defaults to the run timestamp)
+ * @returns {string|null} - ISO date string, or null if the text could not be parsed
+ */
+function parsePostedAt(postedAt, referenceDate = runTimestamp) {
+    if (!postedAt || typeof postedAt !== 'string') return null;
+
+    const text = postedAt.toLowerCase().replace(/^posted\s+/, '').trim();
+    const reference = referenceDate.getTime();
+
+    if (/^(just posted|just now|today|new)$/.test(text)) {
+        return new Date(reference).toISOString();
+    }
+
+    if (text === 'yesterday') {
+        return new Date(reference - MS_PER_DAY).toISOString();
+    }
+
+    // "3 days ago", "30+ days ago", "an hour ago", "2h ago", "1 wk ago"
+    const match = text.match(/^(\d+|an?)\+?\s*(minute|min|hour|hr|day|week|wk|month|mo|year|yr|m|h|d|w|y)s?\.?(\s+ago)?$/);
+    if (!match) {
+        return null;
+    }
+
+    const amount = match[1] === 'a' || match[1] === 'an' ? 1 : parseInt(match[1], 10);
+    return new Date(reference - amount * UNIT_MS[match[2]]).toISOString();
+}
+
+/**
+ * Calculates how many days old a posting is
+ * @param {string} postedDate - ISO posting date from parsePostedAt
+ * @param {Date} referenceDate - Date to measure from (defaults to the run timestamp)
+ * @returns {number|null} - Age in days, or null if the posting date is unknown
+ */
+function getPostingAgeDays(postedDate, referenceDate = runTimestamp) {
+    if (!postedDate) return null;
+
+    const posted = new Date(postedDate).getTime();
+    if (Number.isNaN(posted)) return null;
+
+    return (referenceDate.getTime() - posted) / MS_PER_DAY;
+}
+
+export {
+    setRunTimestamp,
+    parsePostedAt,
+    getPostingAgeDays
+};
@@ -0,0 +1,188 @@
+/**
+ * Shared scheduler for SearchAPI.io requests
+ * Limits how many requests are in flight at once and applies a token-bucket rate limit per engine
+ * (google_jobs, bing, google), so searches for different cities can run in parallel safely.
+ */
+
+const DEFAULT_MAX_CONCURRENCY = 4;
+
+// Requests per minute allowed for each SearchAPI engine
+const DEFAULT_RATE_LIMITS = {
+    google_jobs: 60,
+    bing: 60,
+    google: 60
+};
+
+let maxConcurrency = DEFAULT_MAX_CONCURRENCY;
+let rateLimits = { ...DEFAULT_RATE_LIMITS };
+
+// Token buckets, created on first use per engine
+const buckets = new Map();
+
+// Concurrency slots
+let activeRequests = 0;
+const waitingForSlot = [];
+
+/**
+ * Configures the scheduler from actor input
+ * @param {Object} options - Scheduler options
+ * @param {number} options.concurrency - Maximum number of SearchAPI requests in flight at once
+ * @param {Object} options.rateLimits - Requests per minute per engine (e.g., { google_jobs: 60, bing: 30 })
+ */
+function configureScheduler({ concurrency, rateLimits: engineRateLimits } = {}) {
+    if (Number.isInteger(concurrency) && concurrency > 0) {
+        maxConcurrency = concurrency;
+    }
+    if (engineRateLimits && typeof engineRateLimits === 'object') {
+        rateLimits = { ...DEFAULT_RATE_LIMITS, ...engineRateLimits };
+    }
+
+    // Rebuild buckets with the new limits
+    buckets.clear();
+
+    console.info(`Request scheduler: max ${maxConcurrency} concurrent requests, rate limits per minute: ${Object.entries(rateLimits).map(([engine, limit]) => `${engine}=${limit}`).join(', ')}`);
+}
+
+/**
+ * Gets the configured concurrency
+ * @returns {number} - Maximum number of concurrent requests
+ */
+function getMaxConcurrency() {
+    return maxConcurrency;
+}
+
+/**
+ * Creates a token bucket that refills continuously at the given rate
+ * @param {number} requestsPerMinute - Sustained request rate
+ * @returns {Object} - Bucket with an async take() that resolves when a token is available
+ */
+function createTokenBucket(requestsPerMinute) {
+    const refillPerMs = requestsPerMinute / 60000;
+    // Allow a short burst of up to one second's worth of requests
+    const capacity = Math.max(1, Math.floor(requestsPerMinute / 60));
+    let tokens = capacity;
+    let lastRefill = Date.now();
+    let queue = Promise.resolve();
+
+    const refill = () => {
+        const now = Date.now();
+        tokens = Math.min(capacity, tokens + (now - lastRefill) * refillPerMs);
+        lastRefill = now;
+    };
+
+    // Waiters are chained so tokens are handed out in request order
+    const take = () => {
+        const turn = queue.then(async () => {
+            refill();
+            if (tokens < 1) {
+                const waitMs = Math.ceil((1 - tokens) / refillPerMs);
+                await new Promise(resolve => setTimeout(resolve, waitMs));
+                refill();
+            }
+            tokens -= 1;
+        });
+        queue = turn.catch(() => {});
+        return turn;
+    };
+
+    return { take };
+}
+
+/**
+ * Gets (or creates) the token bucket for an engine
+ * @param {string} engine - SearchAPI engine
+ * @returns {Object|null} - Token bucket, or null if the engine has no rate limit
+ */
+function getBucket(engine) {
+    if (!buckets.has(engine)) {
+        const limit = rateLimits[engine];
+        buckets.set(engine, limit > 0 ? createTokenBucket(limit) : null);
+    }
+    return buckets.get(engine);
+}
+
+/**
+ * Waits for a free concurrency slot
+ * @returns {Promise<void>}
+ */
+async function acquireSlot() {
+    if (activeRequests < maxConcurrency) {
+        activeRequests++;
+        return;
+    }
+    // releaseSlot hands its slot directly to the next waiter
+    await new Promise(resolve => waitingForSlot.push(resolve));
+}
+
+/**
+ * Releases a concurrency slot
+ */
+function releaseSlot() {
+    const next = waitingForSlot.shift();
+    if (next) {
+        next();
+    } else {
+        activeRequests--;
+    }
+}
+
+/**
+ * Runs a SearchAPI request within the concurrency and rate limits
+ * @param {string} engine - SearchAPI engine (google_jobs, bing, google)
+ * @param {Function} requestFn - async () => result, performs the actual request
+ * @returns {Promise<*>} - Result of requestFn
+ */
+async function scheduleSearchApiRequest(engine, requestFn) {
+    // Wait for the engine's rate limit first so a throttled engine never holds a slot other engines could use
+    const bucket = getBucket(engine);
+    if (bucket) {
+        await bucket.take();
+    }
+
+    await acquireSlot();
+    try {
+        return await requestFn();
+    } finally {
+        releaseSlot();
+    }
+}
+
+/**
+ * Runs a worker over a list of items with at most `limit` workers running at once
+ * If a worker throws, no new items are started; workers already running are allowed to finish
+ * before the first error is rethrown, so a stopped run never exits with half-saved work in flight.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent workers
+ * @param {Function} worker - async (item, index) => void
+ * @returns {Promise<void>}
+ */
+async function runWithConcurrency(items, limit, worker) {
+    let nextIndex = 0;
+    let firstError = null;
+    const runnerCount = Math.max(1, Math.min(limit, items.length));
+
+    const runners = Array.from({ length: runnerCount }, async () => {
+        while (!firstError && nextIndex < items.length) {
+            const index = nextIndex++;
+            try {
+                await worker(items[index], index);
+            } catch (error) {
+                if (!firstError) firstError = error;
+            }
+        }
+    });
+
+    await Promise.all(runners);
+
+    if (firstError) {
+        throw firstError;
+    }
+}
+
+export {
+    configureScheduler,
+    getMaxConcurrency,
+    scheduleSearchApiRequest,
+    runWithConcurrency,
+    DEFAULT_RATE_LIMITS
+};
@@ -0,0 +1,303 @@
+/**
+ * Salary parsing
+ * Google Jobs and Bing report pay in many shapes ("$100K - $110K", "65K–68K a year", "CA$25 an hour",
+ * "up to $70,000", "60-70k DOE"). These helpers parse them into min/max/currency/period plus an
+ * annualized equivalent, so salaries from every source can be compared and stored the same way.
+ */
+
+// Working time used to annualize hourly, daily, weekly and monthly pay
+const HOURS_PER_YEAR = 2080;
+const DAYS_PER_YEAR = 260;
+const WEEKS_PER_YEAR = 52;
+const MONTHS_PER_YEAR = 12;
+
+const ANNUAL_MULTIPLIERS = {
+    hourly: HOURS_PER_YEAR,
+    daily: DAYS_PER_YEAR,
+    weekly: WEEKS_PER_YEAR,
+    monthly: MONTHS_PER_YEAR,
+    yearly: 1
+};
+
+// Currency prefixes and codes; a bare "$" uses the dollarCurrency option
+const CURRENCY_SYMBOLS = {
+    'ca$': 'CAD',
+    'c$': 'CAD',
+    'us$': 'USD',
+    'a$': 'AUD',
+    '£': 'GBP',
+    '€': 'EUR'
+};
+const CURRENCY_CODES = ['CAD', 'USD', 'AUD', 'GBP', 'EUR'];
+
+// Period words found after an amount ("per hour", "an hour", "/hr", "hourly", "per annum")
+const PERIOD_WORDS = {
+    hour: 'hourly', hr: 'hourly', hourly: 'hourly',
+    day: 'daily', daily: 'daily',
+    week: 'weekly', wk: 'weekly', weekly: 'weekly',
+    month: 'monthly', mo: 'monthly', monthly: 'monthly',
+    year: 'yearly', yr: 'yearly', annum: 'yearly', annual: 'yearly', annually: 'yearly', yearly: 'yearly'
+};
+
+// Words that mark a line as being about pay
+const SALARY_CONTEXT_PATTERN = /\b(salary|salaries|pay|pays|paid|compensation|wage|wages|rate|range|earn|earning|earnings|base|minimum|maximum|doe)\b/i;
+
+// Labels that introduce a salary right before its amount ("Salary: 55,000", "Pay range: $18 - $22")
+const SALARY_LABEL_PATTERN = /\b(salary|pay|compensation|wages?|base pay|pay rate|hourly rate)(\s+range)?\s*:\s*$/i;
+// What may follow an amount that only a label marks as pay, so "Pay: 2 weeks vacation" isn't read as $2
+const LABELLED_AMOUNT_END_PATTERN = /^\s*($|[^\w\s]|doe\b)/i;
+
+// Words that mark an amount as something other than pay (tuition, bonuses, store volume)
+const NON_SALARY_CONTEXT_PATTERN = /\b(tuition|reimburse\w*|bonus|bonuses|sign[- ]on|volume|sales|revenue|budget|discount|stipend)\b/i;
+
+// Retirement plan names that look like amounts ("401k", "403(b)")
+const RETIREMENT_PLAN_PATTERN = /\b40[13]\s?\(?[kb]\)?/gi;
+
+// Highlight sections that only contain pay information
+const SALARY_HIGHLIGHT_TITLES = /^(compensation|salary|pay|wages?)\b/i;
+
+const CURRENCY_PREFIX = '(CA\\$|C\\$|US\\$|A\\$|\\$|£|€|CAD|USD|AUD|GBP|EUR)?';
+const AMOUNT = '(\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?)';
+const SALARY_PATTERN = new RegExp(
+    `(?<![\\w.,$])(up\\s+to\\s+|starting\\s+(?:at\\s+)?|from\\s+|at\\s+least\\s+|minimum:?\\s+|maximum:?\\s+)?` +
+    `${CURRENCY_PREFIX}\\s?${AMOUNT}\\s?([kK](?![a-zA-Z]))?` +
+    `(?:\\s*(?:-|–|—|to)\\s*${CURRENCY_PREFIX}\\s?${AMOUNT}\\s?([kK](?![a-zA-Z]))?)?` +
+    `(?:\\s*(CAD|USD|AUD|GBP|EUR)\\b)?` +
+    `(?:\\s*(?:(?:per|an?|\\/)\\s*(hour|hr|day|week|wk|month|mo|year|yr|annum)s?\\b|(hourly|daily|weekly|monthly|yearly|annually|annual)\\b))?`,
+    'gi'
+);
+
+/**
+ * Resolves a currency symbol or code
+ * @param {string} marker - Symbol or code as written ("$", "CA$", "CAD")
+ * @param {string} dollarCurrency - Currency a bare "$" stands for
+ * @returns {string|null} - ISO currency code
+ */
+function resolveCurrency(marker, dollarCurrency) {
+    if (!marker) return null;
+    const lower = marker.toLowerCase();
+    if (lower === '$') return dollarCurrency;
+    if (CURRENCY_SYMBOLS[lower]) return CURRENCY_SYMBOLS[lower];
+    const code = marker.toUpperCase();
+    return CURRENCY_CODES.includes(code) ? code : null;
+}
+
+/**
+ * Converts an amount as written to a number
+ * @param {string} amount - Amount ("100,000", "17.50", "65")
+ * @param {boolean} thousands - Whether the amount has a k suffix
+ * @returns {number} - Amount
+ */
+function toAmount(amount, thousands) {
+    const value = parseFloat(amount.replace(/,/g, ''));
+    return thousands ? value * 1000 : value;
+}
+
+/**
+ * Guesses the pay period from the size of an amount when the text doesn't say
+ * @param {number} amount - Largest amount in the salary
+ * @returns {string|null} - hourly, yearly or null if it could be either
+ */
+function inferPeriod(amount) {
+    if (amount <= 200) return 'hourly';
+    if (amount >= 10000) return 'yearly';
+    return null;
+}
+
+/**
+ * Calculates the annual equivalent of an amount
+ * @param {number} amount - Amount for the period
+ * @param {string} period - hourly, daily, weekly, monthly or yearly
+ * @returns {number|null} - Annual amount, rounded to whole units
+ */
+function annualize(amount, period) {
+    if (amount === null || amount === undefined || !ANNUAL_MULTIPLIERS[period]) return null;
+    return Math.round(amount * ANNUAL_MULTIPLIERS[period]);
+}
+
+/**
+ * Parses a single salary match
+ * @param {Array} match - Match from SALARY_PATTERN
+ * @param {Object} options - Parse options (dollarCurrency, defaultCurrency)
+ * @returns {Object} - Parsed salary plus whether the match looks like pay on its own
+ */
+function parseSalaryMatch(match, options) {
+    const [text, qualifier, currency1, amount1, k1, currency2, amount2, k2, currencyCode, periodAfter, periodWord] = match;
+
+    // "60-70k" applies the k to both ends of the range
+    const isRange = Boolean(amount2);
+    const first = toAmount(amount1, Boolean(k1) || (isRange && Boolean(k2) && !amount1.includes(',') && parseFloat(amount1) < 1000));
+    const second = isRange ? toAmount(amount2, Boolean(k2)) : null;
+
+    const currency = resolveCurrency(currency1, options.dollarCurrency) ||
+        resolveCurrency(currency2, options.dollarCurrency) ||
+        resolveCurrency(currencyCode, options.dollarCurrency) ||
+        options.defaultCurrency;
+
+    const explicitPeriod = PERIOD_WORDS[(periodAfter || periodWord || '').toLowerCase()] || null;
+
+    let min = first;
+    let max = isRange ? second : first;
+    const lowerQualifier = (qualifier || '').toLowerCase().trim();
+    if (!isRange && /^(up to|maximum)/.test(lowerQualifier)) {
+        min = null;
+    } else if (!isRange && /^(starting|from|at least|minimum)/.test(lowerQualifier)) {
+        max = null;
+    }
+    if (min !== null && max !== null && min > max) {
+        [min, max] = [max, min];
+    }
+
+    const period = explicitPeriod || inferPeriod(Math.max(min || 0, max || 0));
+
+    return {
+        salary: {
+            min,
+            max,
+            currency,
+            period,
+            annual_min: annualize(min, period),
+            annual_max: annualize(max, period),
+            text: text.trim()
+        },
+        hasMarker: Boolean(currency1 || currency2 || currencyCode || k1 || k2 || explicitPeriod),
+        isRange,
+        hasExplicitPeriod: Boolean(explicitPeriod)
+    };
+}
+
+/**
+ * Parses the first salary in a piece of text
+ * Amounts need a currency, a k suffix, a pay period or a label ("Salary: 55,000") to count,
+ * so "2 years experience" is ignored.
+ * @param {string} text - Text containing a salary (e.g., "$100K - $110K", "25–33 an hour")
+ * @param {Object} options - Parse options
+ * @param {string} options.dollarCurrency - Currency a bare "$" stands for (default USD)
+ * @param {string} options.defaultCurrency - Currency to use when the text names none (default null)
+ * @param {boolean} options.requireContext - Only accept single amounts on lines that mention pay or lead in with
+ *     "up to", "starting at" or a label
+ * @returns {Object|null} - { min, max, currency, period, annual_min, annual_max, text } or null
+ */
+function parseSalary(text, options = {}) {
+    if (!text || typeof text !== 'string') return null;
+
+    const parseOptions = {
+        dollarCurrency: options.dollarCurrency || 'USD',
+        defaultCurrency: options.defaultCurrency || null
+    };
+
+    for (const rawLine of text.split(/\n|•/)) {
+        const line = rawLine.replace(RETIREMENT_PLAN_PATTERN, '');
+        if (options.requireContext && NON_SALARY_CONTEXT_PATTERN.test(line)) continue;
+        const hasContext = SALARY_CONTEXT_PATTERN.test(line);
+
+        for (const match of line.matchAll(SALARY_PATTERN)) {
+            if (!match[3]) continue;
+
+            // A label ("Salary:") or qualifier ("up to $70,000") right before the amount is pay context too
+            const hasLabel = SALARY_LABEL_PATTERN.test(line.slice(0, match.index));
+            const hasLeadIn = hasLabel || Boolean(match[1]);
+
+            const parsed = parseSalaryMatch(match, parseOptions);
+            if (!parsed.hasMarker &&
+                !(hasLabel && LABELLED_AMOUNT_END_PATTERN.test(line.slice(match.index + match[0].length)))) continue;
+            if (options.requireContext && !hasContext && !hasLeadIn && !parsed.isRange && !parsed.hasExplicitPeriod) continue;
+            if ((parsed.salary.max || parsed.salary.min) < 1) continue;
+
+            return parsed.salary;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Finds the salary for a job
+ * Checks Google's detected salary first, then a salary string from the provider (Bing), then pay
+ * sections of the job highlights, other highlight items that mention pay, and finally the description.
+ * @param {Object} job - Job object (detected_extensions, salary, highlights, description)
+ * @param {Object} options - Parse options (see parseSalary)
+ * @returns {Object} - { min, max, currency, period, annual_min, annual_max, text }, all null if not found
+ */
+function extractJobSalary(job, options = {}) {
+    const sources = [];
+
+    if (job.detected_extensions && job.detected_extensions.salary) {
+        sources.push({ text: job.detected_extensions.salary, requireContext: false });
+    }
+    if (typeof job.salary === 'string' && job.salary) {
+        sources.push({ text: job.salary, requireContext: false });
+    }
+
+    const highlights = Array.isArray(job.highlights) ? job.highlights : [];
+    for (const highlight of highlights) {
+        if (highlight && SALARY_HIGHLIGHT_TITLES.test(highlight.title || '') && Array.isArray(highlight.items)) {
+            sources.push({ text: highlight.items.join('\n'), requireContext: false });
+        }
+    }
+    for (const highlight of highlights) {
+        if (highlight && !SALARY_HIGHLIGHT_TITLES.test(highlight.title || '') && Array.isArray(highlight.items)) {
+            sources.push({ text: highlight.items.join('\n'), requireContext: true });
+        }
+    }
+
+    if (job.description) {
+        sources.push({ text: job.description, requireContext: true });
+    }
+
+    for (const source of sources) {
+        const salary = parseSalary(source.text, { ...options, requireContext: source.requireContext });
+        if (salary) {
+            return salary;
+        }
+    }
+
+    return {
+        min: null,
+        max: null,
+        currency: null,
+        period: null,
+        annual_min: null,
+        annual_max: null,
+        text: null
+    };
+}
+
+/**
+ * Formats a parsed salary for display and the salary text column
+ * @param {Object} job - Job or salary object (salary_min/salary_max/salary_currency/salary_period or min/max/currency/period)
+ * @returns {string} - Formatted salary (e.g., "USD 100,000 - 110,000 yearly", "up to CAD 25 hourly"), or '' if unknown
+ */
+function formatSalary(job) {
+    if (!job) return '';
+
+    const min = job.salary_min ?? job.min ?? null;
+    const max = job.salary_max ?? job.max ?? null;
+    const currency = job.salary_currency ?? job.currency ?? null;
+    const period = job.salary_period ?? job.period ?? null;
+    if (min === null && max === null) return '';
+
+    const format = amount => Number(amount).toLocaleString('en-US');
+    let amount;
+    if (min !== null && max !== null) {
+        amount = min === max ? format(min) : `${format(min)} - ${format(max)}`;
+    } else if (max !== null) {
+        amount = format(max);
+    } else {
+        amount = format(min);
+    }
+
+    let salaryStr = currency ? `${currency} ${amount}` : amount;
+    if (min === null) salaryStr = `up to ${salaryStr}`;
+    if (max === null) salaryStr = `from ${salaryStr}`;
+    if (period) salaryStr = `${salaryStr} ${period}`;
+
+    return salaryStr;
+}
+
+export {
+    parseSalary,
+    extractJobSalary,
+    formatSalary,
+    annualize
+};
@@ -1,3 +1,6 @@
+import { getSearchMode } from './search_recorder.js';
+import { searchApiRequest } from './searchapi_client.js';
+
 /**
  * List of domains to exclude from company website searches
  * These are travel, review, social media, and job sites that won't have relevant business contacts
@@ -47,12 +50,16 @@ function shouldExcludeUrl(url) {
 }
 
 /**
- * Uses SearchAPI.io to find the website URL for a company name.
+ * Searches Google through SearchAPI.io for a company's website
+ * Candidates are picked from the response by resolveCompanyWebsite in website_resolver.js.
+ * @param {string} companyName - Company name
+ * @returns {Promise<Object|null>} - SearchAPI.io response (organic_results, knowledge_graph) or null
  */
-async function getWebsiteUrlFromSearchAPI(companyName) {
+async function searchCompanyWebsite(companyName) {
     const apiKey = process.env.SEARCH_API_KEY;
+    const searchMode = getSearchMode();
 
-    if (!apiKey) {
+    if (!apiKey && searchMode !== 'replay') {
         console.warn('SEARCH_API_KEY environment variable not found. Skipping search.');
         return null;
     }
@@ -66,48 +73,27 @@ async function getWebsiteUrlFromSearchAPI(companyName) {
         // Create search query - add "official website" to improve results
         const searchQuery = `${companyName} official website`;
 
-        // Build the API URL
-        const searchUrl = `https://www.searchapi.io/api/v1/search?engine=google&q=${encodeURIComponent(searchQuery)}&api_key=${apiKey}`;
-
-        console.info(`SEARCH API: Searching for "${searchQuery}"`);
-
-        const response = await fetch(searchUrl);
-        const data = await response.json();
-
-        if (!response.ok) {
-            console.error(`Search API error: ${data.error || response.statusText}`);
-            return null;
+        if (searchMode !== 'replay') {
+            console.info(`SEARCH API: Searching for "${searchQuery}"`);
         }
 
-        // Check if we have organic results
-        if (!data.organic_results || data.organic_results.length === 0) {
-            console.info(`No search results found for "${companyName}"`);
+        const data = await searchApiRequest('google', { q: searchQuery });
+
+        if (!data) {
             return null;
         }
 
-        // Log all results for debugging
-        console.info(`Found ${data.organic_results.length} search results for "${companyName}"`);
-        data.organic_results.slice(0, 3).forEach((result, index) => {
+        const resultCount = (data.organic_results || []).length;
+        console.info(`Found ${resultCount} search results for "${companyName}"${data.knowledge_graph ? ' and a knowledge graph panel' : ''}`);
+        (data.organic_results || []).slice(0, 3).forEach((result, index) => {
             console.info(`Result #${index+1}: ${result.title} - ${result.link} (${result.domain})`);
         });
 
-        // Find the first result that isn't an excluded domain
-        for (let i = 0; i < Math.min(data.organic_results.length, 5); i++) {
-            const result = data.organic_results[i];
-
-            if (shouldExcludeUrl(result.link)) {
-                console.info(`Skipping excluded domain result #${i+1}: ${result.link} (${result.domain})`);
-                continue;
-            }
-
-            console.info(`Using result #${i+1}: ${result.link} (${result.domain})`);
-            return result.link;
-        }
-
-        console.info(`No suitable website found for "${companyName}" - all results were excluded domains`);
-        return null;
+        return data;
 
     } catch (error) {
+        // Quota/API key errors abort the whole run
+        if (error.fatal) throw error;
         console.error(`Error during Search API call for "${companyName}": ${error.message}`);
         return null;
     }
@@ -152,7 +138,8 @@ function getDomainFromUrl(url) {
 }
 
 export {
-    getWebsiteUrlFromSearchAPI,
+    searchCompanyWebsite,
     getDomainFromUrl,
-    shouldExcludeUrl
+    shouldExcludeUrl,
+    EXCLUDED_DOMAINS
 };
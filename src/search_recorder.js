@@ -0,0 +1,216 @@
+/**
+ * Record/replay support for SearchAPI.io responses
+ * In replay mode searches are served from a directory of recorded JSON responses (same shape as
+ * us_search.json / ca_search.json) so the actor can run without spending credits or touching the network.
+ * In record mode live responses are written to that directory for later replay.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// Supported modes: live (default), record (live + save responses), replay (recorded responses only)
+const SEARCH_MODES = ['live', 'record', 'replay'];
+const DEFAULT_RECORDINGS_DIR = 'recordings';
+
+let searchMode = normalizeSearchMode(process.env.SEARCH_API_MODE);
+let recordingsDir = process.env.SEARCH_API_RECORDINGS_DIR || DEFAULT_RECORDINGS_DIR;
+
+// SearchAPI.io's values for parameters that aren't sent
+const DEFAULT_PARAMETER_VALUES = { google_domain: 'google.com', hl: 'en', gl: 'us' };
+
+// Lazily built map of recording key -> recorded response
+let recordingIndex = null;
+
+/**
+ * Normalizes a search mode value, falling back to live for unknown values
+ * @param {string} mode - The requested mode
+ * @returns {string} - One of SEARCH_MODES
+ */
+function normalizeSearchMode(mode) {
+    const lowerMode = (mode || 'live').toString().toLowerCase().trim();
+    if (!SEARCH_MODES.includes(lowerMode)) {
+        console.warn(`Unknown SearchAPI mode "${mode}", falling back to live`);
+        return 'live';
+    }
+    return lowerMode;
+}
+
+/**
+ * Configures the recorder from actor input (overrides the SEARCH_API_MODE / SEARCH_API_RECORDINGS_DIR env vars)
+ * @param {Object} options - Recorder options
+ * @param {string} options.mode - live, record or replay
+ * @param {string} options.directory - Directory holding recorded responses
+ */
+function configureSearchRecorder({ mode, directory } = {}) {
+    if (mode) {
+        searchMode = normalizeSearchMode(mode);
+    }
+    if (directory) {
+        recordingsDir = directory;
+    }
+
+    // Force the index to be rebuilt from the (possibly new) directory
+    recordingIndex = null;
+
+    console.info(`SearchAPI mode: ${searchMode}${searchMode !== 'live' ? ` (recordings directory: ${recordingsDir})` : ''}`);
+}
+
+/**
+ * Gets the current SearchAPI mode
+ * @returns {string} - live, record or replay
+ */
+function getSearchMode() {
+    return searchMode;
+}
+
+/**
+ * Normalizes one part of a recording key so lookups ignore case and whitespace differences
+ * @param {*} value - Key part
+ * @returns {string} - Normalized key part
+ */
+function normalizeKeyPart(value) {
+    if (value === null || value === undefined) return '';
+    return value.toString().toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Gets the request parameters that identify a recorded response
+ * The API key, internal parameters starting with "_" (_cacheBust) and empty values are left out, and so are
+ * values equal to SearchAPI.io's defaults, which it echoes in search_parameters whether or not they were sent.
+ * @param {Object} params - Request or search_parameters
+ * @returns {Object} - Parameters by name, sorted, with normalized values
+ */
+function getRecordedParameters(params = {}) {
+    return Object.fromEntries(Object.keys(params)
+        .filter(name => name !== 'engine' && name !== 'api_key' && !name.startsWith('_'))
+        .map(name => [name, normalizeKeyPart(params[name])])
+        .filter(([name, value]) => value !== '' && DEFAULT_PARAMETER_VALUES[name] !== value)
+        .sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Builds the lookup key for a recorded response
+ * @param {string} engine - SearchAPI engine (google_jobs, bing, google)
+ * @param {Object} params - Request parameters (q, location, next_page_token, chips, ltype, gl, hl, lrad...)
+ * @returns {string} - Recording key
+ */
+function buildRecordingKey(engine, params = {}) {
+    const parts = Object.entries(getRecordedParameters(params)).map(([name, value]) => `${name}=${value}`);
+    return [normalizeKeyPart(engine), ...parts].join('|');
+}
+
+/**
+ * Describes a search for log messages
+ * @param {Object} params - Request parameters
+ * @returns {string} - E.g. "chef jobs" in New York, NY (next page)
+ */
+function describeSearch(params) {
+    return `"${params.q}"${params.location ? ` in ${params.location}` : ''}${params.next_page_token ? ' (next page)' : ''}`;
+}
+
+/**
+ * Turns a string into a short, filesystem-safe slug
+ * @param {string} value - Value to slugify
+ * @returns {string} - Slug
+ */
+function slugify(value) {
+    return normalizeKeyPart(value).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 40) || 'none';
+}
+
+/**
+ * Loads every recorded response in the recordings directory, keyed by its search_parameters
+ * @returns {Promise<Map>} - Map of recording key -> response
+ */
+async function loadRecordingIndex() {
+    if (recordingIndex) return recordingIndex;
+
+    recordingIndex = new Map();
+
+    let files = [];
+    try {
+        files = (await fs.readdir(recordingsDir)).filter(file => file.endsWith('.json'));
+    } catch (error) {
+        console.error(`Could not read recordings directory ${recordingsDir}: ${error.message}`);
+        return recordingIndex;
+    }
+
+    for (const file of files) {
+        try {
+            const data = JSON.parse(await fs.readFile(path.join(recordingsDir, file), 'utf8'));
+            const params = data.search_parameters;
+
+            // Only SearchAPI responses carry search_parameters; skip anything else in the directory
+            if (!params || !params.engine) {
+                continue;
+            }
+
+            const key = buildRecordingKey(params.engine, params);
+            recordingIndex.set(key, data);
+        } catch (error) {
+            console.error(`Error reading recording ${file}: ${error.message}`);
+        }
+    }
+
+    console.info(`REPLAY: Loaded ${recordingIndex.size} recorded SearchAPI responses from ${recordingsDir}`);
+    return recordingIndex;
+}
+
+/**
+ * Gets a recorded response for a search
+ * @param {string} engine - SearchAPI engine
+ * @param {Object} params - Request parameters
+ * @returns {Promise<Object|null>} - Recorded response or null if none was recorded with the same parameters
+ */
+async function getRecordedResponse(engine, params = {}) {
+    const index = await loadRecordingIndex();
+    const data = index.get(buildRecordingKey(engine, params));
+
+    if (!data) {
+        console.info(`REPLAY: No recorded ${engine} response for ${describeSearch(params)}`);
+        return null;
+    }
+
+    console.info(`REPLAY: Serving recorded ${engine} response for ${describeSearch(params)}`);
+    return data;
+}
+
+/**
+ * Saves a live response so it can be replayed later
+ * search_parameters is replaced by the request parameters so the file is found again on replay
+ * @param {string} engine - SearchAPI engine
+ * @param {Object} params - Request parameters
+ * @param {Object} data - Response body from SearchAPI.io
+ * @returns {Promise<void>}
+ */
+async function recordResponse(engine, params, data) {
+    const key = buildRecordingKey(engine, params);
+    const recorded = {
+        ...data,
+        search_parameters: { engine, ...getRecordedParameters(params) }
+    };
+
+    const hash = crypto.createHash('sha1').update(key).digest('hex').substring(0, 10);
+    const fileName = `${engine}_${slugify(params.q)}_${slugify(params.location)}_${hash}.json`;
+
+    try {
+        await fs.mkdir(recordingsDir, { recursive: true });
+        await fs.writeFile(path.join(recordingsDir, fileName), JSON.stringify(recorded, null, 2));
+        console.info(`RECORD: Saved ${engine} response to ${path.join(recordingsDir, fileName)}`);
+
+        if (recordingIndex) {
+            recordingIndex.set(key, recorded);
+        }
+    } catch (error) {
+        console.error(`Error recording ${engine} response for ${describeSearch(params)}: ${error.message}`);
+    }
+}
+
+export {
+    configureSearchRecorder,
+    getSearchMode,
+    getRecordedResponse,
+    recordResponse,
+    buildRecordingKey,
+    SEARCH_MODES
+};
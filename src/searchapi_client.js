@@ -0,0 +1,229 @@
+/**
+ * HTTP client for SearchAPI.io
+ * All SearchAPI.io calls (google_jobs, bing, google) go through searchApiRequest, which applies the
+ * shared request scheduler, replay/record mode, timeouts and retries with exponential backoff.
+ * Errors are classified as transient (retried) or permanent; fatal errors such as an exhausted quota,
+ * an invalid API key or a used-up maxApiCalls budget abort every later request so the run stops instead
+ * of looping through every city.
+ */
+
+import { scheduleSearchApiRequest } from './request_scheduler.js';
+import { getSearchMode, getRecordedResponse, recordResponse } from './search_recorder.js';
+import { reserveApiCall } from './usage_meter.js';
+
+const SEARCH_API_URL = 'https://www.searchapi.io/api/v1/search';
+const API_TIMEOUT_MS = 30000;
+const MAX_RETRIES = 4;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 60000;
+
+// HTTP statuses worth retrying
+const TRANSIENT_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// SearchAPI.io answers 402 when the account is out of searches; these are its wordings of the same error
+// when it comes with another status. Other messages mentioning credits or plans are ordinary errors.
+const QUOTA_ERROR_PATTERN = /run out of (searches|credits)|out of search credits|monthly (search )?(quota|limit) (has been )?(reached|exceeded|exhausted)/i;
+const INVALID_KEY_PATTERN = /invalid api key|api key is invalid|unauthori[sz]ed|missing api key/i;
+
+// Errors that mean no further request may be sent this run
+const FATAL_ERROR_CODES = ['SEARCH_API_QUOTA_EXHAUSTED', 'SEARCH_API_INVALID_KEY', 'SEARCH_API_BUDGET_EXHAUSTED'];
+
+// Set once a fatal error happens; every later request fails fast with it
+let fatalError = null;
+
+/**
+ * Creates an Error carrying the SearchAPI error classification
+ * @param {string} message - Error message
+ * @param {string} code - SEARCH_API_QUOTA_EXHAUSTED, SEARCH_API_INVALID_KEY, SEARCH_API_BUDGET_EXHAUSTED, SEARCH_API_TRANSIENT or SEARCH_API_PERMANENT
+ * @param {Object} details - Extra details (engine, status)
+ * @returns {Error} - The error, with code, fatal, engine and status properties
+ */
+function createSearchApiError(message, code, { engine, status = null } = {}) {
+    const error = new Error(message);
+    error.code = code;
+    error.fatal = FATAL_ERROR_CODES.includes(code);
+    error.engine = engine;
+    error.status = status;
+    return error;
+}
+
+/**
+ * Classifies an error response from SearchAPI.io
+ * @param {number} status - HTTP status (200 for API-level errors in a successful response)
+ * @param {string} message - Error message from the response body
+ * @returns {string} - Error code
+ */
+function classifySearchApiError(status, message = '') {
+    if (status === 402 || QUOTA_ERROR_PATTERN.test(message)) {
+        return 'SEARCH_API_QUOTA_EXHAUSTED';
+    }
+    if (status === 401 || status === 403 || INVALID_KEY_PATTERN.test(message)) {
+        return 'SEARCH_API_INVALID_KEY';
+    }
+    if (TRANSIENT_STATUSES.includes(status)) {
+        return 'SEARCH_API_TRANSIENT';
+    }
+    return 'SEARCH_API_PERMANENT';
+}
+
+/**
+ * Parses a Retry-After header (seconds or HTTP date)
+ * @param {string|null} header - Retry-After header value
+ * @returns {number|null} - Delay in milliseconds, or null if absent/invalid
+ */
+function parseRetryAfter(header) {
+    if (!header) return null;
+
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) {
+        return Math.max(0, date - Date.now());
+    }
+
+    return null;
+}
+
+/**
+ * Calculates the backoff delay for a retry attempt (exponential with jitter)
+ * @param {number} attempt - Retry attempt, starting at 1
+ * @returns {number} - Delay in milliseconds
+ */
+function getBackoffDelay(attempt) {
+    const exponential = BASE_BACKOFF_MS * Math.pow(2, attempt - 1);
+    const jitter = Math.random() * BASE_BACKOFF_MS;
+    return Math.min(MAX_BACKOFF_MS, exponential + jitter);
+}
+
+/**
+ * Performs a single HTTP request to SearchAPI.io with a timeout
+ * @param {string} engine - SearchAPI engine
+ * @param {string} url - Full request URL
+ * @returns {Promise<Object>} - Parsed JSON response
+ */
+async function fetchOnce(engine, url) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), API_TIMEOUT_MS);
+
+    let response;
+    try {
+        response = await fetch(url, { signal: controller.signal });
+    } catch (error) {
+        const message = error.name === 'AbortError'
+            ? `request timed out after ${API_TIMEOUT_MS / 1000}s`
+            : error.message;
+        throw createSearchApiError(`SearchAPI ${engine} ${message}`, 'SEARCH_API_TRANSIENT', { engine });
+    } finally {
+        clearTimeout(timeoutId);
+    }
+
+    const bodyText = await response.text();
+    let data = null;
+    try {
+        data = bodyText ? JSON.parse(bodyText) : {};
+    } catch (error) {
+        data = null;
+    }
+
+    if (!response.ok || !data || data.error) {
+        const message = (data && (data.error_message || data.error)) || bodyText || response.statusText;
+        const status = response.ok && !data ? 502 : response.status;
+        const code = classifySearchApiError(status, String(message));
+        const error = createSearchApiError(`SearchAPI ${engine} error (${response.status}): ${message}`, code, { engine, status });
+        error.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+        throw error;
+    }
+
+    return data;
+}
+
+/**
+ * Sends a request to SearchAPI.io, retrying transient failures with exponential backoff
+ * In replay mode the response comes from recorded files; in record mode live responses are saved.
+ * @param {string} engine - SearchAPI engine (google_jobs, bing, google)
+ * @param {Object} params - Query parameters (q, location, next_page_token, ...); api_key is added here
+ * @returns {Promise<Object|null>} - Response data, or null if replay mode has no recording for the request
+ * @throws {Error} - With code/fatal properties when the request fails permanently or retries are exhausted
+ */
+async function searchApiRequest(engine, params = {}) {
+    if (fatalError) {
+        throw fatalError;
+    }
+
+    const searchMode = getSearchMode();
+
+    if (searchMode === 'replay') {
+        return getRecordedResponse(engine, params);
+    }
+
+    const apiKey = process.env.SEARCH_API_KEY;
+    const query = new URLSearchParams({ engine });
+    for (const [name, value] of Object.entries(params)) {
+        if (value !== null && value !== undefined && value !== '') {
+            query.set(name, value);
+        }
+    }
+    query.set('api_key', apiKey);
+    const url = `${SEARCH_API_URL}?${query.toString()}`;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const data = await scheduleSearchApiRequest(engine, () => {
+                // Every attempt, including retries, is a billable request
+                if (!reserveApiCall(engine)) {
+                    throw createSearchApiError('SearchAPI request budget (maxApiCalls) reached', 'SEARCH_API_BUDGET_EXHAUSTED', { engine });
+                }
+                return fetchOnce(engine, url);
+            });
+
+            if (searchMode === 'record') {
+                await recordResponse(engine, params, data);
+            }
+
+            return data;
+        } catch (error) {
+            if (error.fatal) {
+                if (!fatalError) {
+                    if (error.code === 'SEARCH_API_BUDGET_EXHAUSTED') {
+                        console.warn(`${error.message}, no further SearchAPI requests will be sent`);
+                    } else {
+                        console.error(`FATAL SearchAPI error, aborting all further SearchAPI requests: ${error.message}`);
+                    }
+                    fatalError = error;
+                }
+                throw fatalError;
+            }
+
+            if (error.code !== 'SEARCH_API_TRANSIENT' || attempt >= MAX_RETRIES) {
+                if (error.code === 'SEARCH_API_TRANSIENT') {
+                    console.error(`SearchAPI ${engine} request failed after ${attempt + 1} attempts: ${error.message}`);
+                }
+                throw error;
+            }
+
+            const delayMs = error.retryAfterMs != null
+                ? Math.min(MAX_BACKOFF_MS, error.retryAfterMs)
+                : getBackoffDelay(attempt + 1);
+            console.warn(`${error.message} - retrying in ${Math.round(delayMs / 1000)}s (attempt ${attempt + 2} of ${MAX_RETRIES + 1})`);
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+    }
+}
+
+/**
+ * Gets the fatal error that aborted SearchAPI requests, if any
+ * @returns {Error|null} - The fatal error or null
+ */
+function getFatalSearchApiError() {
+    return fatalError;
+}
+
+export {
+    searchApiRequest,
+    classifySearchApiError,
+    parseRetryAfter,
+    getFatalSearchApiError
+};
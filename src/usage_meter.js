@@ -0,0 +1,118 @@
+/**
+ * SearchAPI.io usage meter
+ * Counts every request sent to SearchAPI.io per engine and per query/city, and enforces the
+ * optional maxApiCalls budget for the run. Recorded responses served in replay mode cost nothing
+ * and are not counted.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Query/city the current search belongs to, so website lookups made while processing its jobs are attributed to it
+const usageContext = new AsyncLocalStorage();
+
+let maxApiCalls = 0; // 0 = no budget
+let totalCalls = 0;
+let budgetExhausted = false;
+const callsByEngine = {};
+const callsBySearch = new Map();
+
+/**
+ * Configures the usage meter from actor input
+ * @param {Object} options - Meter options
+ * @param {number} options.maxApiCalls - Maximum SearchAPI requests for the run (0 or empty = unlimited)
+ */
+function configureUsageMeter({ maxApiCalls: budget } = {}) {
+    maxApiCalls = Number.isInteger(budget) && budget > 0 ? budget : 0;
+    console.info(`SearchAPI budget: ${maxApiCalls > 0 ? `${maxApiCalls} requests` : 'unlimited'}`);
+}
+
+/**
+ * Runs a function with a query/city attached to every SearchAPI request it makes
+ * @param {Object} context - Usage context
+ * @param {string} context.query - Search query
+ * @param {string} context.location - City/location being searched
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>} - Result of fn
+ */
+function runWithUsageContext(context, fn) {
+    return usageContext.run(context, fn);
+}
+
+/**
+ * Gets the query/city of the search the caller is running in
+ * @returns {Object} - { query, location }, empty outside a search
+ */
+function getUsageContext() {
+    return usageContext.getStore() || {};
+}
+
+/**
+ * Reserves one SearchAPI request against the budget and counts it
+ * Called right before a request is sent, so concurrent searches never overshoot the budget.
+ * @param {string} engine - SearchAPI engine (google_jobs, bing, google)
+ * @returns {boolean} - False if the budget is used up and the request must not be sent
+ */
+function reserveApiCall(engine) {
+    if (maxApiCalls > 0 && totalCalls >= maxApiCalls) {
+        budgetExhausted = true;
+        return false;
+    }
+
+    totalCalls++;
+    callsByEngine[engine] = (callsByEngine[engine] || 0) + 1;
+
+    const context = usageContext.getStore() || {};
+    const query = context.query || '(no query)';
+    const location = context.location || '';
+    const key = `${query}|${location}`;
+
+    if (!callsBySearch.has(key)) {
+        callsBySearch.set(key, { query, location, calls: 0, byEngine: {} });
+    }
+    const search = callsBySearch.get(key);
+    search.calls++;
+    search.byEngine[engine] = (search.byEngine[engine] || 0) + 1;
+
+    return true;
+}
+
+/**
+ * Gets the usage breakdown for the run summary and completion email
+ * @returns {Object} - Usage summary (totalCalls, maxApiCalls, budgetExhausted, byEngine, bySearch)
+ */
+function getUsageSummary() {
+    return {
+        totalCalls,
+        maxApiCalls,
+        budgetExhausted,
+        byEngine: { ...callsByEngine },
+        bySearch: Array.from(callsBySearch.values())
+            .map(search => ({ ...search, byEngine: { ...search.byEngine } }))
+            .sort((a, b) => b.calls - a.calls)
+    };
+}
+
+/**
+ * Logs the usage breakdown
+ */
+function logUsageSummary() {
+    const usage = getUsageSummary();
+    console.log(`\nSearchAPI usage:`);
+    console.log(`- Total requests: ${usage.totalCalls}${usage.maxApiCalls > 0 ? ` of ${usage.maxApiCalls} budget${usage.budgetExhausted ? ' (budget reached, run stopped early)' : ''}` : ''}`);
+    for (const [engine, calls] of Object.entries(usage.byEngine)) {
+        console.log(`- ${engine}: ${calls}`);
+    }
+    for (const search of usage.bySearch) {
+        const engines = Object.entries(search.byEngine).map(([engine, calls]) => `${engine}=${calls}`).join(', ');
+        console.log(`- "${search.query}"${search.location ? ` in ${search.location}` : ''}: ${search.calls} (${engines})`);
+    }
+}
+
+export {
+    configureUsageMeter,
+    runWithUsageContext,
+    getUsageContext,
+    reserveApiCall,
+    getUsageSummary,
+    logUsageSummary
+};
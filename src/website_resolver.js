@@ -0,0 +1,309 @@
+/**
+ * Company website resolver
+ * The first Google result for "<company> official website" is often a news article, a review or the
+ * parent group's page. Candidates are collected from several places (the employer's own apply link, the
+ * domain of a Bing result, Google's knowledge graph panel and the organic results), each is scored by how
+ * well its domain matches the company name, whether its title and snippet name the company and the job's
+ * city, and the best one is kept with its confidence (0-1) and the method that found it.
+ */
+
+import { searchCompanyWebsite, getDomainFromUrl } from './search_api.js';
+import { rankApplyLinks, getCompanyTokens, isDomainInList, ATS_DOMAINS, AGGREGATOR_DOMAINS } from './apply_links.js';
+import { tokenizeCompanyName } from './company_matcher.js';
+import { lookupCompanyDomain, storeCompanyDomain, getCompanyCacheKey } from './company_domain_cache.js';
+
+const WEBSITE_METHODS = ['knowledge_graph', 'google_organic', 'apply_link', 'bing_result', 'override'];
+
+// Weight of each signal; a perfect candidate found by the knowledge graph scores 1
+const DOMAIN_WEIGHT = 0.55;
+const TEXT_WEIGHT = 0.2;
+const LOCATION_WEIGHT = 0.1;
+const METHOD_BONUS = {
+    knowledge_graph: 0.15,
+    apply_link: 0.1,
+    bing_result: 0.05,
+    google_organic: 0.1 // minus 0.02 per position below the first result
+};
+// Added for every other method that found the same domain
+const AGREEMENT_BONUS = 0.1;
+// Deep links and news/blog paths are articles about the company rather than its website
+const ARTICLE_PENALTY = 0.15;
+const ARTICLE_PATH_PATTERN = /\/(news|article|articles|blog|blogs|story|stories|press|magazine|20\d\d)\//i;
+
+// Free candidates this good skip the Google search
+const STRONG_CONFIDENCE = 0.75;
+// Below this the company is left without a website
+const MIN_CONFIDENCE = 0.25;
+// Organic results considered
+const MAX_ORGANIC_RESULTS = 5;
+
+// Lookups in progress, so concurrent searches finding the same company share one search
+const pendingLookups = new Map();
+
+// Second-level labels of country domains (restaurantgroup.co.uk, restaurantgroup.com.au)
+const SECOND_LEVEL_LABELS = ['co', 'com', 'net', 'org', 'gov', 'ac', 'edu'];
+const TRAILING_LEGAL_WORDS = ['inc', 'llc', 'llp', 'ltd', 'co', 'corp', 'corporation', 'plc'];
+
+/**
+ * Gets the registrable domain of a host (careers.restaurantgroup.com -> restaurantgroup.com)
+ * @param {string} domain - Host name without www
+ * @returns {string} - Registrable domain
+ */
+function getRegistrableDomain(domain) {
+    const labels = domain.split('.');
+    const count = labels.length >= 3 && labels[labels.length - 1].length === 2 &&
+        SECOND_LEVEL_LABELS.includes(labels[labels.length - 2]) ? 3 : 2;
+    return labels.slice(-count).join('.');
+}
+
+/**
+ * Scores how well a domain matches a company name
+ * @param {string} domain - Registrable domain
+ * @param {string} company - Company name
+ * @returns {number} - 1 for the whole name (hillstone.com for "Hillstone"), less for part of it, 0 for no match
+ */
+function scoreDomainMatch(domain, company) {
+    const label = domain.split('.')[0].replace(/[^a-z0-9]/g, '');
+    const words = tokenizeCompanyName(company).filter((word, index) => index > 0 || word !== 'the');
+    while (words.length > 1 && TRAILING_LEGAL_WORDS.includes(words[words.length - 1])) words.pop();
+    const compactName = words.join('');
+    if (!label || !compactName) return 0;
+
+    if (label === compactName) return 1;
+
+    // hillstonerestaurant.com for "Hillstone", hillstone.com for "Hillstone Restaurant Group"
+    if (label.length >= 4 && (label.startsWith(compactName) || compactName.startsWith(label))) return 0.85;
+
+    // cpk.com for "California Pizza Kitchen"
+    if (words.length >= 3 && label === words.map(word => word[0]).join('')) return 0.6;
+
+    const tokens = getCompanyTokens(company).filter(token => token !== compactName);
+    const found = tokens.filter(token => label.includes(token));
+    if (tokens.length === 0 || found.length === 0) return 0;
+    return 0.3 + 0.45 * (found.length / tokens.length);
+}
+
+/**
+ * Scores how clearly a result's title and snippet name the company
+ * @param {string} text - Title and snippet
+ * @param {string} company - Company name
+ * @returns {number} - 1 for the full name, the share of its distinctive words otherwise
+ */
+function scoreTextMatch(text, company) {
+    const textTokens = ` ${tokenizeCompanyName(text).join(' ')} `;
+    const nameTokens = tokenizeCompanyName(company);
+    if (nameTokens.length === 0 || textTokens.trim() === '') return 0;
+
+    if (textTokens.includes(` ${nameTokens.join(' ')} `)) return 1;
+
+    const tokens = getCompanyTokens(company).filter(token => token !== nameTokens.join(''));
+    if (tokens.length === 0) return 0;
+    return tokens.filter(token => textTokens.includes(` ${token} `)).length / tokens.length;
+}
+
+/**
+ * Checks whether a result's title and snippet mention the job's city
+ * @param {string} text - Title and snippet
+ * @param {Object} job - Job object (location_city)
+ * @returns {boolean} - True if the city is mentioned
+ */
+function mentionsJobLocation(text, job) {
+    const city = tokenizeCompanyName(job.location_city).join(' ');
+    if (!city) return false;
+    return ` ${tokenizeCompanyName(text).join(' ')} `.includes(` ${city} `);
+}
+
+/**
+ * Scores one candidate website
+ * @param {Object} candidate - Candidate ({ url, domain, text, method, position })
+ * @param {Object} job - Job object (company, location_city)
+ * @returns {number} - Confidence between 0 and 1
+ */
+function scoreCandidate(candidate, job) {
+    let score = DOMAIN_WEIGHT * scoreDomainMatch(candidate.domain, job.company) +
+        TEXT_WEIGHT * scoreTextMatch(candidate.text, job.company) +
+        (mentionsJobLocation(candidate.text, job) ? LOCATION_WEIGHT : 0) +
+        METHOD_BONUS[candidate.method];
+
+    if (candidate.method === 'google_organic') {
+        score -= 0.02 * candidate.position;
+    }
+
+    try {
+        const path = new URL(candidate.url).pathname;
+        if (ARTICLE_PATH_PATTERN.test(path) || path.split('/').filter(Boolean).length >= 3) {
+            score -= ARTICLE_PENALTY;
+        }
+    } catch (error) {
+        // Candidates without a parseable url are scored on their domain alone
+    }
+
+    return Math.max(0, Math.min(1, score));
+}
+
+/**
+ * Builds a candidate from a url, leaving out job boards, directories and applicant tracking systems
+ * @param {string} url - Candidate url
+ * @param {string} method - Strategy that found it
+ * @param {string} text - Title and snippet describing it
+ * @param {number} position - Position in the organic results
+ * @returns {Object|null} - Candidate or null if it can't be the company's website
+ */
+function buildCandidate(url, method, text = '', position = 0) {
+    const host = getDomainFromUrl(url);
+    if (!host || isDomainInList(host, AGGREGATOR_DOMAINS) || isDomainInList(host, ATS_DOMAINS)) return null;
+
+    return { url, domain: getRegistrableDomain(host), text, method, position };
+}
+
+/**
+ * Collects candidates that cost no API call: the employer's apply link and the Bing result domain
+ * @param {Object} job - Job object (company, apply_link, apply_links, source, provider, company_domain, description)
+ * @returns {Array<Object>} - Candidates
+ */
+function collectJobCandidates(job) {
+    const candidates = [];
+
+    rankApplyLinks({ ...job, company_domain: null })
+        .filter(applyLink => applyLink.kind === 'employer')
+        .forEach(applyLink => candidates.push(buildCandidate(applyLink.link, 'apply_link', applyLink.source || '')));
+
+    if (job.provider === 'bing' && job.company_domain) {
+        candidates.push(buildCandidate(`https://${job.company_domain}`, 'bing_result', job.description || ''));
+    }
+
+    return candidates.filter(Boolean);
+}
+
+/**
+ * Collects candidates from a Google search: the knowledge graph website and the top organic results
+ * @param {Object} data - SearchAPI.io response
+ * @returns {Array<Object>} - Candidates
+ */
+function collectSearchCandidates(data) {
+    const candidates = [];
+    const knowledgeGraph = data.knowledge_graph;
+
+    if (knowledgeGraph && knowledgeGraph.website) {
+        const text = [knowledgeGraph.title, knowledgeGraph.type, knowledgeGraph.description].filter(Boolean).join(' ');
+        candidates.push(buildCandidate(knowledgeGraph.website, 'knowledge_graph', text));
+    }
+
+    (data.organic_results || []).slice(0, MAX_ORGANIC_RESULTS).forEach((result, index) => {
+        const text = [result.title, result.snippet].filter(Boolean).join(' ');
+        candidates.push(buildCandidate(result.link, 'google_organic', text, index));
+    });
+
+    return candidates.filter(Boolean);
+}
+
+/**
+ * Picks the best-scoring domain among the candidates
+ * A domain found by several methods gets a bonus for each extra method; the best-scoring one is reported.
+ * @param {Array<Object>} candidates - Candidates
+ * @param {Object} job - Job object
+ * @returns {Object|null} - { website, domain, confidence, method } or null if there are no candidates
+ */
+function pickBestCandidate(candidates, job) {
+    const byDomain = new Map();
+
+    for (const candidate of candidates) {
+        const score = scoreCandidate(candidate, job);
+        const entry = byDomain.get(candidate.domain);
+        if (!entry) {
+            byDomain.set(candidate.domain, { best: candidate, score, methods: new Set([candidate.method]) });
+            continue;
+        }
+        entry.methods.add(candidate.method);
+        if (score > entry.score) {
+            entry.best = candidate;
+            entry.score = score;
+        }
+    }
+
+    let best = null;
+    for (const [domain, entry] of byDomain) {
+        const confidence = Math.min(1, entry.score + AGREEMENT_BONUS * (entry.methods.size - 1));
+        if (!best || confidence > best.confidence) {
+            best = {
+                website: `https://${domain}`,
+                domain,
+                confidence: Math.round(confidence * 100) / 100,
+                method: entry.best.method
+            };
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Scores a job's candidates, searching Google when they don't give a confident match
+ * @param {Object} job - Job object
+ * @returns {Promise<Object>} - { best, searched } where searched is false if the search could not be run
+ */
+async function findCompanyWebsite(job) {
+    const candidates = collectJobCandidates(job);
+    let best = pickBestCandidate(candidates, job);
+    let searched = true;
+
+    if (!best || best.confidence < STRONG_CONFIDENCE) {
+        const data = await searchCompanyWebsite(job.company);
+        searched = Boolean(data);
+        if (data) {
+            candidates.push(...collectSearchCandidates(data));
+            best = pickBestCandidate(candidates, job);
+        }
+    }
+
+    if (!best || best.confidence < MIN_CONFIDENCE) {
+        console.info(`No confident website match for "${job.company}"${best ? ` (best: ${best.domain}, ${best.confidence})` : ''}`);
+        return { best: null, searched };
+    }
+
+    console.info(`Resolved website for "${job.company}": ${best.domain} (confidence ${best.confidence}, ${best.method})`);
+    return { best, searched };
+}
+
+/**
+ * Resolves a job's company website
+ * Overrides and the company domain cache are checked first, then the apply link and Bing result; the
+ * Google search is only run when they don't give a confident match. The result is cached, including
+ * "no website" when the search ran and found nothing good enough.
+ * @param {Object} job - Job object (company, apply_link, apply_links, source, provider, company_domain, description, location_city)
+ * @returns {Promise<Object|null>} - { website, domain, confidence, method } or null if no candidate is good enough
+ */
+async function resolveCompanyWebsite(job) {
+    const cached = lookupCompanyDomain(job.company);
+    if (cached) {
+        console.info(`Using ${cached.source === 'override' ? 'override' : 'cached website'} for "${job.company}": ${cached.website ? cached.website.domain : 'no website'}`);
+        return cached.website;
+    }
+
+    const key = getCompanyCacheKey(job.company);
+    if (key && pendingLookups.has(key)) {
+        return pendingLookups.get(key);
+    }
+
+    const lookup = findCompanyWebsite(job).then(({ best, searched }) => {
+        // A failed search is tried again next time rather than cached as "no website"
+        if (best || searched) {
+            storeCompanyDomain(job.company, best);
+        }
+        return best;
+    });
+
+    if (key) pendingLookups.set(key, lookup);
+    try {
+        return await lookup;
+    } finally {
+        if (key) pendingLookups.delete(key);
+    }
+}
+
+export {
+    resolveCompanyWebsite,
+    scoreDomainMatch,
+    getRegistrableDomain,
+    WEBSITE_METHODS
+};